@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+const path = require("path");
+const repl = require("repl");
+const { parseArgs } = require("util");
+const VunshDB = require("../src/ctrlr");
+const Cipher = require("../src/storage/Cipher");
+
+const usage = `Usage: vunshdb [--path <dir>] [--key <key>] <command> [arguments]
+
+Commands:
+  ls                                  List the collections with their document counts and file sizes
+  find <collection> [filter]          Print the matching documents (--sort <json>, --skip <n>, --limit <n>)
+  count <collection> [filter]         Count the matching documents
+  delete <collection> <filter>        Delete the matching documents ('{}' deletes every document)
+  stats                               Print the interaction and runtime system collections
+  export <collection> [file]          Export a collection (--format json|ndjson|csv), to stdout without a file
+  import <collection> <file>          Import a file (--mode insert|upsert|replace, --format json|ndjson|csv)
+  backup <dest>                       Back up the database to an archive (or a directory)
+  restore <src>                       Restore the database from an archive
+  compact [collection]                Compact one or every collection
+  repl                                Start an interactive shell with the database loaded
+
+Options:
+  --path <dir>    The database directory (default: the one VunshDB.connect() uses)
+  --key <key>     The encryption key of an encrypted database (default: $VUNSHDB_KEY)
+  -h, --help      Show this help
+
+Filters are JSON query objects, e.g. '{ "age": { "$gt": 20 } }'.`;
+
+/**
+ * Opens the database without connecting it, so the runtime and interaction counters of the application using it
+ * aren't reset.
+ * @param {Object} options The command-line options.
+ * @returns {Promise<VunshDB>} The database.
+ */
+async function open(options) {
+    const db = new VunshDB(options.path ? { path: options.path } : {});  // The library's default directory without --path
+    const key = options.key || process.env.VUNSHDB_KEY;
+    if (key) db._setCipher(new Cipher(key));
+
+    await db.fileManager.open();
+    await db.fileManager.validateCltns();
+    return db;
+}
+
+/**
+ * Returns a model for a collection. Without the application's schemas, documents are read and written as they are.
+ * @param {VunshDB} db The database.
+ * @param {string} collection The name of the collection.
+ * @param {boolean} [create=false] Whether the collection may be created, otherwise it must exist.
+ * @returns {Object} The model.
+ * @throws {Error} Throws an error if the collection doesn't exist (and may not be created).
+ */
+function model(db, collection, create = false) {
+    if (!collection) throw new Error("[VunshDB] Missing the collection name.");
+    if (!create && !db.fileManager.storage.has(collection)) throw new Error(`[VunshDB] Collection ${collection} doesn't exist.`);
+    if (db.models.has(collection)) return db.models.get(collection);
+    const schema = new VunshDB.Schema({});
+    schema.strict = false;  // Keeps the stored fields, whatever the application's schema defines
+    return db.model(collection, schema);
+}
+
+function parseJson(text, what) {
+    if (text === undefined) return {};
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`[VunshDB] Invalid ${what}, expected JSON: ${text}\n${e}`);
+    }
+}
+
+function parseCount(text, what) {
+    if (text === undefined) return undefined;
+    const count = Number(text);
+    if (!Number.isInteger(count) || count < 0) throw new Error(`[VunshDB] Invalid ${what}, expected a non-negative integer: ${text}`);
+    return count;
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printTable(rows) {
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+    for (const row of rows) console.log(row.map((value, i) => String(value).padEnd(widths[i])).join("  ").trimEnd());
+}
+
+const commands = {
+    async ls(db) {
+        const storage = db.fileManager.storage;
+        const rows = [["COLLECTION", "DOCUMENTS", "SIZE"]];
+        for (const name of (await db.fileManager.listCollections()).sort()) {
+            rows.push([name, storage.read(name).length, formatSize(storage.size(name))]);
+        }
+        if (rows.length === 1) return console.log("No collections.");
+        printTable(rows);
+    },
+
+    async find(db, [collection, filter], options) {
+        const pipeline = [{ $match: parseJson(filter, "filter") }];
+        if (options.sort) pipeline.push({ $sort: parseJson(options.sort, "sort") });
+        if (options.skip) pipeline.push({ $skip: parseCount(options.skip, "skip") });
+        if (options.limit) pipeline.push({ $limit: parseCount(options.limit, "limit") });
+        console.log(JSON.stringify(await model(db, collection).aggregate(pipeline), null, 2));
+    },
+
+    async count(db, [collection, filter]) {
+        console.log(await model(db, collection).countDocuments(parseJson(filter, "filter")));
+    },
+
+    async delete(db, [collection, filter]) {
+        if (filter === undefined) throw new Error("[VunshDB] Missing the filter, pass '{}' to delete every document.");
+        console.log(`Deleted ${await model(db, collection).deleteMany(parseJson(filter, "filter"))} document(s).`);
+    },
+
+    async stats(db) {
+        const [ci, ti, rt] = await Promise.all(["ci", "ti", "rt"].map(name => db.getCollection(name)));
+        printTable([
+            ["Current interactions (ci)", ci.interactions],
+            ["Total interactions (ti)", ti.interactions],
+            ["Runtime (rt)", `${rt.collection}s`]
+        ]);
+    },
+
+    async export(db, [collection, file], options) {
+        const content = await model(db, collection).export({ path: file, format: options.format });
+        if (file) console.log(`Exported ${collection} to ${path.resolve(file)}.`);
+        else process.stdout.write(content);
+    },
+
+    async import(db, [collection, file], options) {
+        if (!file) throw new Error("[VunshDB] Missing the file to import.");
+        const { inserted, updated, failed } = await model(db, collection, true).import(file, { mode: options.mode, format: options.format });
+        console.log(`Inserted ${inserted}, updated ${updated}, failed ${failed.length}.`);
+        for (const { row, error } of failed) console.log(`  row ${row}: ${error}`);
+        if (failed.length > 0) process.exitCode = 1;
+    },
+
+    async backup(db, [dest]) {
+        if (!dest) throw new Error("[VunshDB] Missing the destination of the backup.");
+        const { path: file, collections, documents } = await db.backup(dest);
+        console.log(`Backed up ${collections} collection(s) and ${documents} document(s) to ${file}.`);
+    },
+
+    async restore(db, [src]) {
+        if (!src) throw new Error("[VunshDB] Missing the backup archive to restore.");
+        const { createdAt, collections, documents } = await db.restore(src);
+        console.log(`Restored ${collections} collection(s) and ${documents} document(s) from the backup of ${createdAt}.`);
+    },
+
+    async compact(db, [collection]) {
+        const names = collection ? [collection] : (await db.fileManager.listCollections()).sort();
+        for (const name of names) {
+            const { before, after } = await model(db, name).compact();
+            console.log(`${name}: ${formatSize(before)} -> ${formatSize(after)}`);
+        }
+    },
+
+    async repl(db) {
+        console.log(`VunshDB shell on ${db.path}. Helpers: db, model(name), collections(), Schema. Use await for queries.`);
+        const shell = repl.start({ prompt: "vunshdb> " });
+        Object.assign(shell.context, {
+            db,
+            VunshDB,
+            Schema: VunshDB.Schema,
+            model: (name, schema) => schema ? db.model(name, schema) : model(db, name, true),
+            collections: () => db.fileManager.listCollections()
+        });
+        await new Promise(resolve => shell.on("exit", resolve));
+    }
+};
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            path: { type: "string" },
+            key: { type: "string" },
+            format: { type: "string" },
+            mode: { type: "string" },
+            sort: { type: "string" },
+            skip: { type: "string" },
+            limit: { type: "string" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    const [command, ...args] = positionals;
+    if (!command || options.help || command === "help") return console.log(usage);
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        throw new Error(`[VunshDB] Unknown command "${command}", see vunshdb --help.`);
+    }
+
+    const db = await open(options);
+    await commands[command](db, args, options);
+}
+
+main(process.argv.slice(2)).catch((e) => {
+    console.error(e.message);
+    process.exitCode = 1;
+});
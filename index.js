@@ -1,12 +1,18 @@
 const VunshDB = require("./src/ctrlr");
-const { VDBFileManager } = require("./src/vdbfm");
+const { getCollection } = require("./src/vdbfm");
+const { ValidationError, DuplicateKeyError, TransactionError, VersionError, QueryError } = require("./src/functions/Errors");
 
 module.exports = {
     VunshDB,
     connect: VunshDB.connect,
     Schema: VunshDB.Schema,
     model: VunshDB.model,
-    getCollection: VDBFileManager.getCollection,
+    getCollection,
+    ValidationError,
+    DuplicateKeyError,
+    TransactionError,
+    VersionError,
+    QueryError,
 };
 
 /* Developed by hatebeingsobercereal on Discord :: last updated 3/13/25 */
\ No newline at end of file
@@ -1,13 +1,194 @@
 const { createUUID } = require("./functions/Utils");
-const { getDbFile, getCollection, updateCollection, VDBFileManager } = require("./vdbfm");
-const fs = require("fs");
+const Query = require("./functions/Query");
+const Update = require("./functions/Update");
+const Cursor = require("./functions/Cursor");
+const Schema = require("./functions/Schema");
+const IndexManager = require("./functions/Indexes");
+const TextIndex = require("./functions/TextIndex");
+const Session = require("./functions/Session");
+const ChangeStream = require("./functions/ChangeStream");
+const Populate = require("./functions/Populate");
+const Aggregation = require("./functions/Aggregation");
+const Migrations = require("./functions/Migrations");
+const Scheduler = require("./functions/Scheduler");
+const Metrics = require("./functions/Metrics");
+const Export = require("./functions/Export");
+const Bulk = require("./functions/Bulk");
+const History = require("./functions/History");
+const Document = require("./functions/Document");
+const { VersionError, QueryError } = require("./functions/Errors");
+const Cipher = require("./storage/Cipher");
+const Backup = require("./storage/Backup");
+const Server = require("./http/Server");
+const Client = require("./http/Client");
+const { VDBFileManager } = require("./vdbfm");
 
 class VunshDB {
 
+    /**
+     * A database stored in its own directory, with its own models and system collections.
+     * Databases are opened with `VunshDB.connect()`, which returns an instance of this class.
+     * @param {Object} [options={}] - The database options.
+     * @param {string} [options.path] - The directory to store the database in, defaults to the package directory.
+     * @param {string|Object} [options.storage="file"] - `"file"`, `"memory"` (nothing is written to disk) or a
+     * custom storage adapter, see `./storage/FileStorage.js` for the interface.
+     * @param {string} [options.format="json"] - The format of the collection files: `"json"` (a JSON array) or `"log"`
+     * (an append-only log, so writes don't rewrite the whole file).
+    */
+    constructor(options = {}) {
+        const { path: root, storage = "file", format } = options;
+        this.fileManager = root === undefined && storage === "file" && format === undefined
+            ? VDBFileManager.default
+            : new VDBFileManager(root ?? (storage === "file" ? VDBFileManager.defaultRoot : null), storage, { format });
+        this.path = this.fileManager.root;  // The directory the database is stored in (null for in-memory storage)
+        this.status = false;  // Whether the database has been connected
+        this.duration = 0;  // Time taken to connect (in seconds)
+        this.scheduler = new Scheduler();  // Runs the metrics flush and the TTL sweeper while connected
+        this.metrics = new Metrics();  // Operation metrics and interaction counts, see `stats()`
+        this.models = new Map();  // Models defined on the database by collection name, used to resolve `ref`s
+        this.migrations = new Map();  // Registered migrations by collection name: { list, mode, to, target, base }
+        this.cipher = null;  // Encrypts the collection files and encrypted fields, set with connect({ encryptionKey })
+    }
+
+    /**
+     * The database used by the static methods (`VunshDB.model()`, `VunshDB.transaction()`, ...) and by
+     * `connect()` calls without a path. It is stored in the package directory.
+    */
+    static default = new VunshDB();
+
+    /**
+     * Opens a database. Without a path or storage the default database is connected; otherwise a new, independent
+     * database is opened in that directory (created if necessary) or storage, so several databases can be used
+     * side by side.
+     *
+     * @param {Object} [options={}] - The options, see `VunshDB.prototype.connect()`.
+     * @param {string} [options.path] - The directory to store the database in.
+     * @param {string|Object} [options.storage="file"] - `"file"`, `"memory"` or a custom storage adapter.
+     * @param {string} [options.format="json"] - The format of the collection files, `"json"` or `"log"`.
+     * @returns {Promise<VunshDB>} The connected database, with `status` and `duration` set.
+     *
+     * Example usage:
+     * ```javascript
+     * const db = await VunshDB.connect({ path: "./data" });
+     * const User = db.model("Users", new db.Schema({ username: String }));
+     * ```
+    */
+    static async connect(options = {}) {
+        const { path, storage, format } = options;
+        const db = path === undefined && storage === undefined && format === undefined
+            ? VunshDB.default
+            : new VunshDB({ path, storage, format });
+        return await db.connect(options);
+    }
+
+    /**
+     * Defines (or retrieves) a model on the default database. See `VunshDB.prototype.model()`.
+    */
+    static model(collectionName, schema) {
+        return VunshDB.default.model(collectionName, schema);
+    }
+
+    /**
+     * Repairs collections of the default database. See `VunshDB.prototype.repair()`.
+    */
+    static async repair(collectionName) {
+        return await VunshDB.default.repair(collectionName);
+    }
+
+    /**
+     * Runs a transaction on the default database. See `VunshDB.prototype.transaction()`.
+    */
+    static async transaction(fn) {
+        return await VunshDB.default.transaction(fn);
+    }
+
+    /**
+     * Re-encrypts the default database with a new key. See `VunshDB.prototype.rotateKey()`.
+    */
+    static async rotateKey(newKey) {
+        return await VunshDB.default.rotateKey(newKey);
+    }
+
+    /**
+     * Generates a random encryption key for `connect({ encryptionKey })`.
+     * @returns {string} - A 32-byte key as a hex string.
+    */
+    static generateKey() {
+        return Cipher.generateKey();
+    }
+
+    /**
+     * Registers migrations on the default database. See `VunshDB.prototype.migrate()`.
+    */
+    static async migrate(migrations, options) {
+        return await VunshDB.default.migrate(migrations, options);
+    }
+
+    /**
+     * Deletes the expired documents of the default database. See `VunshDB.prototype.sweep()`.
+    */
+    static async sweep() {
+        return await VunshDB.default.sweep();
+    }
+
+    /**
+     * Serves the models of the default database over HTTP. See `VunshDB.prototype.serve()`.
+    */
+    static async serve(options) {
+        return await VunshDB.default.serve(options);
+    }
+
+    /**
+     * Connects to a database served with `serve()`, see `./http/Client.js`.
+     * @param {string} url - The URL of the server.
+     * @param {Object} [options={}] - `{ token }`, the bearer token the server expects.
+     * @returns {Client} - The client; `client.model(name)` returns a model with the same `create`, `findOne`,
+     * `findMany`, `save` and `deleteOne` methods as a local one.
+     *
+     * Example usage:
+     * ```javascript
+     * const client = VunshDB.client("http://127.0.0.1:8080", { token: process.env.VUNSHDB_TOKEN });
+     * const User = client.model("Users");
+     * const user = await User.findOne({ username: "johndoe" });
+     * ```
+    */
+    static client(url, options) {
+        return new Client(url, options);
+    }
+
+    /**
+     * Returns the operation metrics of the default database. See `VunshDB.prototype.stats()`.
+    */
+    static async stats() {
+        return await VunshDB.default.stats();
+    }
+
+    /**
+     * Returns the metrics of the default database for Prometheus. See `VunshDB.prototype.prometheus()`.
+    */
+    static async prometheus() {
+        return await VunshDB.default.prometheus();
+    }
+
+    /**
+     * Backs up the default database. See `VunshDB.prototype.backup()`.
+    */
+    static async backup(destPath) {
+        return await VunshDB.default.backup(destPath);
+    }
+
+    /**
+     * Restores a backup into the default database. See `VunshDB.prototype.restore()`.
+    */
+    static async restore(srcPath) {
+        return await VunshDB.default.restore(srcPath);
+    }
+
     /**
      * Initializes the VunshDB by validating the database and vdb collection paths, also resets 
-     * "Current Runtime" (rt) & "Current Interactions" (ci) collections to 0, and starting an interval to update 
-     * the "Current Runtime" collection every second.
+     * "Current Runtime" (rt) & "Current Interactions" (ci) collections to 0. Interactions are counted in memory
+     * (see `stats()`) and written to the "Current Runtime", "Current Interactions" and "Total Interactions" (ti)
+     * collections every `flushInterval` and when the database is closed.
      * 
      * @async
      * @function connect
@@ -15,8 +196,17 @@ class VunshDB {
      * @param {Object} [options={}] - The optional settings to control runtime and interaction counting.
      * @param {boolean} [options.$runTime=true] - Whether to track the runtime or not.
      * @param {boolean} [options.$interactionCounts=true] - Whether to count interactions or not.
+     * @param {Buffer|string} [options.encryptionKey] - A 32-byte key (Buffer, hex or base64) to encrypt the collection
+     * files and the fields declared with `encrypt: true` with (AES-256-GCM). Existing unencrypted files are encrypted
+     * on their next write.
+     * @param {number} [options.sweepInterval=60000] - How often the background sweeper deletes expired documents (ms),
+     * see `sweep()`.
+     * @param {number} [options.flushInterval=5000] - How often the interaction counts and the runtime are written to
+     * the system collections (ms).
+     * @param {number|null} [options.slowQueryThreshold=100] - Operations taking at least this long (ms) are recorded
+     * in the slow query log of `stats()`, `null` disables it.
      * 
-     * @returns {Promise<Object>} The initialization result object.
+     * @returns {Promise<VunshDB>} The database.
      * @returns {boolean} returns.status - Status of the initialization (`true`).
      * @returns {number} returns.duration - Time taken for initialization (in seconds).
      * 
@@ -30,386 +220,1911 @@ class VunshDB {
      * console.log(result.duration); // Time in seconds
      * ```
     */
-    static async connect(options = {}) {
-        const { $runtime = true, $interactioncount = true } = options;
+    async connect(options = {}) {
+        const {
+            $runtime = true,
+            $interactioncount = true,
+            encryptionKey,
+            sweepInterval = VunshDB.sweepInterval,
+            flushInterval = VunshDB.flushInterval,
+            slowQueryThreshold = Metrics.slowQueryThreshold
+        } = options;
+        const fileManager = this.fileManager;
         // Update the VDBS collection with the provided options
 
-        const startTime = Date.now();
-        try {
+        const startTime = Date.now();
+        try {
+            if (encryptionKey !== undefined) this._setCipher(encryptionKey === null ? null : new Cipher(encryptionKey));
+
+            // Prepare the storage (finishing interrupted writes) and validate Collections
+            await fileManager.open();
+            await fileManager.validateCltns();
+
+            await this._flushMetrics();  // Interactions made before (re)connecting count towards the total
+
+            await fileManager.updateCollection("vdbs", {
+                "$runtime": $runtime,
+                "$interactioncount": $interactioncount
+            });
+
+            // Reset Runtime Collection to 0 regardless if it is enabled
+            await fileManager.updateCollection("rt", { "collection": 0 });
+            await fileManager.updateCollection("ci", { "interactions": 0 });
+
+            // Bring the collections up to date with the registered migrations
+            await this._runMigrations();
+
+            this.scheduler.cancelAll();  // Reconnecting replaces the previous tasks
+            this.metrics = new Metrics({ slowQueryThreshold });
+            this.metrics.countInteractions = $interactioncount;
+            this.metrics.trackRuntime = $runtime;
+
+            // Write the interaction counts and the runtime periodically, and once more before the process exits
+            this.scheduler.schedule("metrics", flushInterval, () => Metrics.internal(() => this._flushMetrics()), { keepAlive: false });
+            if (!this._flushOnExit) {
+                this._flushOnExit = () => {
+                    if (this.metrics.unflushed > 0) this._flushMetrics().catch(e => console.error(`[VunshDB] Error writing the interaction counts\n${e}`));
+                };
+                process.on("beforeExit", this._flushOnExit);
+            }
+
+            // Delete expired documents in the background
+            this.scheduler.schedule("ttl", sweepInterval, () => Metrics.internal(() => this.sweep()), { keepAlive: false });
+
+            this.status = true; // Return true status
+            this.duration = (Date.now() - startTime) / 1000; // Return time taken to initialize (in seconds)
+            return this;
+        } catch (e) {
+            throw new Error(`[VunshDB] Error initializing VunshDB\n${e}`);
+        }
+    }
+
+    /**
+     * Stops the background tasks of the database (the metrics flush and the TTL sweeper) and writes the interaction
+     * counts and the runtime. The data stays on disk and the database can be connected again.
+     * @returns {Promise<void>} - Resolves once the counts are written.
+    */
+    async close() {
+        this.scheduler.cancelAll();
+        if (this._flushOnExit) process.off("beforeExit", this._flushOnExit);
+        this._flushOnExit = null;
+        if (!this.status) return;
+
+        this.status = false;
+        try {
+            await this._flushMetrics();
+        } catch (e) {
+            console.error(`[VunshDB] Error writing the interaction counts\n${e}`);
+        }
+    }
+
+    /**
+     * Writes the interactions counted since the last flush to the "Total Interactions" (ti) collection, and the
+     * current interactions and runtime to the "Current Interactions" (ci) and "Current Runtime" (rt) collections.
+    */
+    async _flushMetrics() {
+        const metrics = this.metrics;
+        const fileManager = this.fileManager;
+
+        const unflushed = metrics.unflushed;
+        if (unflushed > 0) {
+            metrics.unflushed = 0;
+            try {
+                // A locked read-modify-write, other processes may add their interactions too
+                await fileManager.modifyCollection("ti", (ti) => ({ ...ti, "interactions": ti.interactions + unflushed }));
+            } catch (e) {
+                metrics.unflushed += unflushed;  // Retried on the next flush
+                throw e;
+            }
+        }
+        if (!this.status) return;
+
+        if (metrics.countInteractions) await fileManager.updateCollection("ci", { "interactions": metrics.interactions });
+        if (metrics.trackRuntime) await fileManager.updateCollection("rt", { "collection": Math.floor((Date.now() - metrics.startedAt) / 1000) });
+    }
+
+    /**
+     * Returns the operation metrics of the database, kept in memory since it was connected: for every model the
+     * number of documents, the size of the collection and, per operation, the number of calls and errors and the
+     * latency (average, maximum and a histogram). Operations that took at least `slowQueryThreshold` are listed in
+     * `slowQueries` with their filter, duration and the number of documents they scanned.
+     *
+     * @returns {Promise<Object>} - `{ uptime, interactions: { current, total }, models, slowQueries }`
+     *
+     * Example usage:
+     * ```javascript
+     * const { models, slowQueries } = await db.stats();
+     * console.log(models.Users.operations.findOne); // { count, errors, avgMs, maxMs, histogram }
+     * ```
+    */
+    async stats() {
+        const storage = this.fileManager.storage;
+        const models = {};
+        for (const [collectionName, model] of this.models) {
+            const name = VDBFileManager.resolveCollectionName(collectionName);
+            const exists = storage.has(name);
+            models[collectionName] = {
+                documents: exists ? (await model._read()).length : 0,
+                size: typeof storage.size === "function" ? storage.size(name) : null,  // Custom adapters may not know
+                operations: this.metrics.operationsOf(collectionName)
+            };
+        }
+
+        const stored = storage.hasSystem("tinteractions") ? (await this.getCollection("ti")).interactions : 0;
+        return {
+            uptime: Math.floor((Date.now() - this.metrics.startedAt) / 1000),
+            interactions: { current: this.metrics.interactions, total: stored + this.metrics.unflushed },
+            models,
+            slowQueries: this.metrics.slowQueries.slice()
+        };
+    }
+
+    /**
+     * Returns the metrics of `stats()` in the Prometheus text exposition format, e.g. to serve on a `/metrics`
+     * endpoint: `vunshdb_operations_total`, `vunshdb_operation_errors_total`, `vunshdb_operation_duration_seconds`
+     * (a histogram), `vunshdb_documents`, `vunshdb_collection_size_bytes`, `vunshdb_interactions_total`,
+     * `vunshdb_uptime_seconds` and `vunshdb_slow_queries`.
+     * @returns {Promise<string>} - The metrics.
+    */
+    async prometheus() {
+        return Metrics.toPrometheus(await this.stats());
+    }
+
+    /**
+     * Deletes the expired documents of every model whose schema has a `ttl` or `ttl: true` fields. Expired
+     * documents are no longer found as soon as they expire; this removes them from storage, through the normal
+     * delete path so `delete` hooks and change streams see the deletions. It runs in the background every
+     * `sweepInterval` while the database is connected.
+     *
+     * @returns {Promise<number>} - The number of deleted documents.
+     *
+     * Example usage:
+     * ```javascript
+     * const deleted = await VunshDB.sweep();
+     * ```
+    */
+    async sweep() {
+        let deleted = 0;
+        for (const model of this.models.values()) {
+            try {
+                deleted += await model._sweep();
+            } catch (e) {
+                throw new Error(`[VunshDB] Error deleting the expired documents of collection "${model.collectionName}"\n${e}`);
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Retrieves one of the database's system collections (`rt`, `vdbs`, `ci`, `ti` or `mg`).
+     * @param {string} name - The name (or shorthand) of the collection.
+     * @returns {Promise<Object>} The collection data.
+    */
+    async getCollection(name) {
+        return await this.fileManager.getCollection(name);
+    }
+
+    /**
+     * Recovers corrupt collection files. The last journaled version of a file is restored if there is one,
+     * otherwise every document that can still be parsed is salvaged. Corrupt files are kept as
+     * `.corrupt-<timestamp>` backups.
+     *
+     * @param {string} [collectionName] - The collection to repair, all collections are checked if omitted.
+     * @returns {Promise<Array<Object>>} One `{ collection, status, recovered, lost }` report per collection, where
+     * status is `"ok"`, `"restored"` or `"salvaged"`.
+     *
+     * Example usage:
+     * ```javascript
+     * const reports = await VunshDB.repair("Users");
+     * console.log(reports); // [{ collection: "Users", status: "salvaged", recovered: 41, lost: 1 }]
+     * ```
+    */
+    async repair(collectionName) {
+        try {
+            await this.fileManager.open();
+            const names = collectionName ? [collectionName] : await this.fileManager.listCollections();
+
+            const reports = [];
+            for (const name of names) reports.push(await this.fileManager.repairCollection(name));
+            return reports;
+        } catch (e) {
+            throw new Error(`[VunshDB] Error repairing VunshDB\n${e}`);
+        }
+    }
+
+    /**
+     * Runs several model calls as one transaction. Every `create`, `save`, update and delete call made with
+     * `{ session }` is staged, and all of them are written together once the callback resolves. If the callback
+     * throws, nothing is written.
+     *
+     * @param {Function} fn - An async function receiving the session, pass it to model calls as `{ session }`.
+     * @returns {Promise<*>} Resolves with the callback's result once the transaction is committed.
+     * @throws {TransactionError} If a collection written by the transaction was changed by another write meanwhile.
+     *
+     * Example usage:
+     * ```javascript
+     * await VunshDB.transaction(async (session) => {
+     *     await Order.create({ item: "apple", quantity: 2 }, { session });
+     *     await Stock.updateOne({ item: "apple" }, { $inc: { quantity: -2 } }, { session });
+     * });
+     * ```
+    */
+    async transaction(fn) {
+        const session = new Session(this.fileManager.storage);
+        try {
+            const result = await fn(session);
+            await session.commit();
+            return result;
+        } catch (e) {
+            session.abort();  // Discard everything staged
+            throw e;
+        }
+    }
+
+    /**
+     * Uses a cipher for the collection files and encrypted fields.
+     * @param {Cipher|null} cipher - The cipher, or null to stop encrypting.
+     * @throws {Error} - If the storage adapter doesn't support encryption.
+    */
+    _setCipher(cipher) {
+        const storage = this.fileManager.storage;
+        if (typeof storage.setCipher !== "function") throw new Error("[VunshDB] The storage adapter doesn't support encryption.");
+        storage.setCipher(cipher);
+        this.cipher = cipher;
+    }
+
+    /**
+     * Re-encrypts every collection file and encrypted field with a new key. All collections are rewritten as one
+     * journaled unit, so a crash leaves either the old or the new key in use. Also encrypts a database that wasn't
+     * encrypted yet. Use the new key for `connect()` from now on.
+     *
+     * @param {Buffer|string} newKey - The new 32-byte key (Buffer, hex or base64).
+     * @returns {Promise<number>} The number of collections that were re-encrypted.
+     * @throws {Error} If the key is invalid or a collection can't be decrypted with the current key.
+     *
+     * Example usage:
+     * ```javascript
+     * const newKey = VunshDB.generateKey();
+     * await VunshDB.rotateKey(newKey);
+     * ```
+    */
+    async rotateKey(newKey) {
+        const cipher = new Cipher(newKey);
+        const storage = this.fileManager.storage;
+        if (typeof storage.reencrypt !== "function") throw new Error("[VunshDB] The storage adapter doesn't support encryption.");
+
+        try {
+            await this.fileManager.open();
+            const names = await this.fileManager.listCollections();
+            const previous = this.cipher;
+
+            await this._lockAll(names, () => {
+                storage.reencrypt(names, cipher, (docs) => Cipher.reencryptValues(docs, previous, cipher));
+                this.cipher = cipher;
+            });
+            return names.length;
+        } catch (e) {
+            throw new Error(`[VunshDB] Error rotating the encryption key\n${e}`);
+        }
+    }
+
+    /**
+     * Serves the models of the database as a REST API over HTTP, so several processes or services can share it.
+     * Every model defined with `model()` is available at `/collections/<name>` (`GET` with `filter`, `sort`, `skip`,
+     * `limit` and `select` query parameters, `POST`, and `GET`, `PUT`, `PATCH` and `DELETE` on `/<_id>`), and the
+     * `ci`, `ti` and `rt` system collections at `/_stats`. Request bodies are validated against the model's schema.
+     * See `./http/Server.js` for the routes and error responses.
+     *
+     * @param {Object} [options={}] - The server options.
+     * @param {number} [options.port=0] - The port to listen on, 0 for a random free port.
+     * @param {string} [options.host="127.0.0.1"] - The interface to listen on, `"0.0.0.0"` for every interface.
+     * @param {string|string[]|Function} [options.auth] - The bearer token(s) clients must send, or a function
+     * `(token, req) => boolean`. Without it, every request is accepted.
+     * @returns {Promise<Server>} - The listening server, with its `url`, `port` and `close()`.
+     *
+     * Example usage:
+     * ```javascript
+     * const server = await VunshDB.serve({ port: 8080, auth: process.env.VUNSHDB_TOKEN });
+     * console.log(server.url); // http://127.0.0.1:8080
+     * ```
+    */
+    async serve(options = {}) {
+        const { port = 0, host = "127.0.0.1", auth, maxBodySize } = options;
+        try {
+            return await new Server(this, { auth, maxBodySize }).listen(port, host);
+        } catch (e) {
+            throw new Error(`[VunshDB] Error starting the VunshDB server\n${e}`);
+        }
+    }
+
+    /**
+     * Writes a point-in-time backup of the database: every collection and system collection in a single
+     * compressed archive. All collections are locked while they are read, so the archive never contains half of
+     * a write or transaction. The archive of an encrypted database is encrypted with its key.
+     *
+     * @param {string} destPath - The archive file to write, or an existing directory to create a
+     * `vunshdb-<timestamp>.vdbak` archive in.
+     * @returns {Promise<Object>} - `{ path, createdAt, collections, documents }` with the path of the archive and the
+     * number of collections and documents it holds.
+     * @throws {Error} If a collection can't be read or the archive can't be written.
+     *
+     * Example usage:
+     * ```javascript
+     * const { path } = await VunshDB.backup("./backups");
+     * ```
+    */
+    async backup(destPath) {
+        const storage = this.fileManager.storage;
+        try {
+            await this.fileManager.open();
+            const names = await this.fileManager.listCollections();
+            const createdAt = new Date().toISOString();
+
+            const collections = {};
+            await this._lockAll(names, () => {
+                for (const name of names) collections[name] = storage.read(name);
+            });
+
+            const system = {};
+            for (const name of VDBFileManager.systemCollections) {
+                if (storage.hasSystem(name)) system[name] = storage.readSystem(name);
+            }
+
+            const file = Backup.write(destPath, { createdAt, collections, system }, this.cipher);
+            const documents = Object.values(collections).reduce((total, docs) => total + docs.length, 0);
+            return { path: file, createdAt, collections: names.length, documents };
+        } catch (e) {
+            throw new Error(`[VunshDB] Error backing up VunshDB\n${e}`);
+        }
+    }
+
+    /**
+     * Restores a backup created with `backup()`. The database is replaced by the archive: its collections are
+     * written as one journaled unit (collections that aren't in the archive are dropped) and the system
+     * collections are restored, except the runtime and current interaction counters. Registered migrations are
+     * applied to the restored data if the database is connected.
+     *
+     * @param {string} srcPath - The archive.
+     * @returns {Promise<Object>} - `{ createdAt, collections, documents }` with the time the backup was taken and the
+     * number of restored collections and documents.
+     * @throws {Error} If the file isn't a backup archive, or it is encrypted and the database uses another key.
+     *
+     * Example usage:
+     * ```javascript
+     * await VunshDB.restore("./backups/vunshdb-2025-03-13T12-00-00-000Z.vdbak");
+     * ```
+    */
+    async restore(srcPath) {
+        const storage = this.fileManager.storage;
+        try {
+            await this.fileManager.open();
+            const { createdAt, collections, system } = Backup.read(srcPath, this.cipher);
+            const restored = Object.keys(collections);
+            const names = [...new Set([...await this.fileManager.listCollections(), ...restored])];
+
+            await this._lockAll(names, () => {
+                for (const name of restored) if (!storage.has(name)) storage.create(name);
+                storage.write(restored.map(name => ({ name, docs: collections[name] })));
+                for (const name of names) if (!restored.includes(name)) storage.drop(name);
+            });
+
+            for (const [name, data] of Object.entries(system)) {
+                if (!VDBFileManager.systemCollections.includes(name) || name === "runtime" || name === "cinteractions") continue;
+                await this.fileManager.updateCollection(name, data);
+            }
+
+            for (const model of this.models.values()) {
+                model._cache = null;
+                model.indexes = null;  // Reloaded (and rebuilt for the restored documents) on next use
+                model.textIndex = null;
+            }
+            if (this.status) await this._runMigrations();
+
+            const documents = restored.reduce((total, name) => total + collections[name].length, 0);
+            return { createdAt, collections: restored.length, documents };
+        } catch (e) {
+            throw new Error(`[VunshDB] Error restoring VunshDB\n${e}`);
+        }
+    }
+
+    /**
+     * Runs a function while holding the locks of several collections, taken in a fixed order like transactions
+     * so concurrent callers can't deadlock.
+     * @param {string[]} names - The names of the collections.
+     * @param {Function} fn - The (async) function to run.
+     * @returns {Promise<*>} - The result of `fn`.
+    */
+    async _lockAll(names, fn) {
+        const storage = this.fileManager.storage;
+        const sorted = [...names].sort();
+        const lock = async (i) => i < sorted.length ? await storage.lock(sorted[i], () => lock(i + 1)) : await fn();
+        return await lock(0);
+    }
+
+    /**
+     * Registers migrations that change the structure of a collection's documents, e.g. to add or rename fields.
+     * Every migration has a `version`, an `up(doc)` function upgrading a document from the previous version and
+     * optionally a `down(doc)` function reverting it; both may modify the document or return a new one.
+     * Pending migrations are applied when the database connects (or right away if it is already connected), up to
+     * the version of the model's schema (`new Schema({...}, { version })`) or the highest migration. The version
+     * each collection is at is recorded in the `migrations` (`mg`) system collection, and documents are stamped
+     * with their version (`_schemaVersion`).
+     *
+     * @param {Array<Object>} migrations - `{ collection, version, up, down }` objects.
+     * @param {Object} [options={}] - The migration options.
+     * @param {string} [options.mode="bulk"] - `"bulk"` rewrites the whole collection at once, `"lazy"` migrates each
+     * document when it is read (and stores it the next time the collection is written).
+     * @param {number} [options.to] - The version to migrate to. Lower than the current version rolls back with `down()`.
+     * @returns {Promise<Array<Object>>} One `{ collection, mode, from, to, migrated }` report per collection if the
+     * database is connected, otherwise an empty array.
+     * @throws {Error} If a migration is invalid or fails; nothing is written for the collection it failed on.
+     *
+     * Example usage:
+     * ```javascript
+     * await VunshDB.migrate([
+     *     { collection: "Users", version: 2, up: (doc) => { doc.fullName = doc.name; delete doc.name; }, down: (doc) => { doc.name = doc.fullName; delete doc.fullName; } }
+     * ]);
+     * ```
+    */
+    async migrate(migrations, options = {}) {
+        const { mode = "bulk", to } = options;
+        if (mode !== "bulk" && mode !== "lazy") throw new Error(`[VunshDB] Unknown migration mode "${mode}". Expected "bulk" or "lazy".`);
+        if (to !== undefined && (!Number.isInteger(to) || to < 0)) throw new Error("[VunshDB] The target version must be a non-negative integer.");
+
+        const byCollection = Migrations.normalize(migrations);
+        const previous = new Map([...byCollection.keys()].map(collection => [collection, this.migrations.get(collection)]));
+        for (const [collection, list] of byCollection) {
+            this.migrations.set(collection, { list, mode, to, target: undefined, base: undefined });
+        }
+
+        if (!this.status) return [];  // Applied on connect()
+        try {
+            return await this._runMigrations([...byCollection.keys()]);
+        } catch (e) {
+            // Keep the migrations that were registered before (collections migrated before the failure stay migrated)
+            for (const [collection, entry] of previous) {
+                if (this.migrations.get(collection).target !== undefined) continue;
+                if (entry) this.migrations.set(collection, entry);
+                else this.migrations.delete(collection);
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Applies the registered migrations of the given collections.
+     * @param {string[]} [collections] - The collections to migrate, all registered collections if omitted.
+     * @returns {Promise<Array<Object>>} One report per collection.
+    */
+    async _runMigrations(collections = [...this.migrations.keys()]) {
+        const reports = [];
+        for (const collection of collections) {
+            try {
+                reports.push(await this._migrateCollection(collection));
+            } catch (e) {
+                throw new Error(`[VunshDB] Error migrating collection "${collection}"\n${e}`);
+            }
+        }
+        return reports;
+    }
+
+    /**
+     * Migrates the documents of a collection to its target version (or prepares lazy migration) and records the
+     * version in the `migrations` system collection.
+     * @param {string} collection - The name of the collection.
+     * @returns {Promise<Object>} - `{ collection, mode, from, to, migrated }`
+    */
+    async _migrateCollection(collection) {
+        const entry = this.migrations.get(collection);
+        const model = this.models.get(collection);
+        const storage = this.fileManager.storage;
+        const name = VDBFileManager.resolveCollectionName(collection);
+        const target = entry.to ?? model?.schema.version ?? entry.list[entry.list.length - 1].version;
+
+        return await storage.lock(name, async () => {
+            const record = (await this.fileManager.getCollection("migrations"))[name];
+            const docs = storage.has(name) ? storage.read(name) : [];
+            const base = record ? record.version : (docs.length > 0 ? 0 : target);  // Documents stored before versioning are at version 0
+
+            let migrated = 0;
+            if (entry.mode === "bulk") {
+                const result = [];
+                for (const doc of docs) {
+                    const version = Migrations.versionOf(doc, base);
+                    if (version === target) {
+                        result.push(doc);
+                        continue;
+                    }
+
+                    const next = await Migrations.apply(doc, Migrations.steps(entry.list, version, target, collection), target);
+                    // Nothing is written if a document doesn't match the schema it was migrated to
+                    if (model && model.schema.version === target) await model.schema.validate(next);
+                    result.push(next);
+                    migrated++;
+                }
+                if (migrated > 0) storage.write([{ name, docs: result }]);
+            }
+
+            entry.target = target;
+            entry.base = entry.mode === "bulk" ? target : base;  // Lazily migrated documents keep their version until written
+            if (model) model._cache = null;  // Read the documents again, migrating them if lazy
+            await this.fileManager.modifyCollection("migrations", (records) => ({
+                ...records,
+                [name]: { version: entry.base, target, mode: entry.mode, updatedAt: new Date().toISOString() }
+            }));
+            return { collection, mode: entry.mode, from: base, to: target, migrated };
+        });
+    }
+
+    static sweepInterval = 60000;  // How often expired documents are deleted by default (ms)
+    static flushInterval = 5000;  // How often the interaction counts and the runtime are written by default (ms)
+
+    /**
+     * The Schema class used to define the structure, types and validation rules of a model's documents.
+     * See `./functions/Schema.js`.
+     */
+    static Schema = Schema;
+
+    /**
+     * The Schema class, also available on every database instance (`db.Schema`).
+    */
+    get Schema() {
+        return Schema;
+    }
+
+    /**
+     * Defines a model class for interacting with a specific collection in the database.
+     * Models are registered by collection name, so reference fields (`{ type: Schema.Types.ObjectId, ref: "Users" }`)
+     * can be populated with the documents of the model they point to.
+     * @param {string} collectionName - The name of the collection.
+     * @param {Object} [schema] - The schema that defines the structure of the documents. Without a schema, the model
+     * already defined for the collection is returned.
+     * @returns {Object} - The model class for interacting with the collection.
+     * @throws {Error} - If no schema is given and no model was defined for the collection.
+    */
+    model(collectionName, schema) {
+        if (schema === undefined) {
+            if (!this.models.has(collectionName)) throw new Error(`[VunshDB] No model has been defined for collection "${collectionName}".`);
+            return this.models.get(collectionName);
+        }
+
+        const fileManager = this.fileManager;
+        const storage = fileManager.storage;
+        const db = this;
+        const models = this.models;
+        const migrations = this.migrations;
+
+        const model = new class {
+            constructor() {
+                this.collectionName = collectionName;  // The collection's name
+                this.schema = schema;  // The schema used for validating and creating documents
+                this.indexes = null;  // The collection's indexes, loaded on first use
+                this.textIndex = null;  // The full-text index of the `text: true` fields, loaded on first use
+                this._cache = null;  // The parsed collection and the file signature it was read at
+                this._watchers = new Set();  // Open change streams
+                this._watchState = null;  // The documents change streams were last notified about
+                this._watchTimer = null;  // Checks for changes made by other processes while streams are open
+                this._polling = false;  // Whether a check for changes is running
+                this._sealed = new Map();  // Encrypted field values by document, path and value, reused while unchanged
+                this.Document = null;  // The class of the model's documents, see `Document.compile()`
+            }
+
+            /**
+             * Creates a new document in the collection with the given data.
+             * @param {Object} data - The data to create the document with (field setters run on it).
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {Document} - The created document with defaults and validation applied.
+            */
+            async create(data, options = {}) {
+                const { session } = options;
+                await this._ensureCollection();  // Ensure the collection exists before proceeding
+
+                const newData = this._stamp(this.schema.applyDefaults(this.schema.applySetters(data)));  // Apply schema defaults to the data
+                await this.schema.runHooks("pre", "create", newData);  // May modify the document or abort
+
+                await this._exclusive(session, async () => {
+                    const db = (await this._read(session)).slice();  // Read the existing database
+
+                    await this._validateNew(newData);  // Validate the data against the schema and set its _id
+
+                    db.push(newData);  // Add the new document to the database
+                    await this._write(db, session);  // Save the database
+                });
+
+                await this.schema.runHooks("post", "create", newData);
+                return this._hydrate(JSON.parse(JSON.stringify(newData)));  // Return the created document
+            }
+
+            /**
+             * Creates many documents in a single read-modify-write of the collection. Every document gets the schema
+             * defaults, runs the `create` hooks and is validated like with `create()`.
+             * @param {Array<Object>} docs - The documents to create.
+             * @param {Object} [options={}] - The insert options.
+             * @param {boolean} [options.ordered=true] - Whether to stop at the first document that fails (the ones
+             * before it are still inserted). Unordered inserts skip failing documents and insert all others.
+             * @param {Session} [options.session] - Runs the insert inside a transaction.
+             * @returns {Object} - `{ insertedCount, insertedIds, docs, writeErrors }` where `insertedIds` maps the
+             * position of every inserted document to its `_id`, and `writeErrors` lists `{ index, error }` for every
+             * document that failed (a `ValidationError`, a `DuplicateKeyError` or a hook's error).
+            */
+            async insertMany(docs, options = {}) {
+                if (!Array.isArray(docs)) throw new Error("[VunshDB] Invalid documents. Expected an array.");
+                const { result, inserted } = await this._bulk(docs.map(document => ({ insertOne: { document } })), options);
+                return { insertedCount: result.insertedCount, insertedIds: result.insertedIds, docs: inserted, writeErrors: result.writeErrors };
+            }
+
+            /**
+             * Runs a batch of inserts, updates and deletes in a single read-modify-write of the collection, in order.
+             * Operations are `{ insertOne: { document } }`, `{ updateOne: { filter, update, upsert } }`,
+             * `{ updateMany: { filter, update, upsert } }`, `{ deleteOne: { filter } }` and
+             * `{ deleteMany: { filter } }`; they validate documents and run hooks like the methods of the same name.
+             * @param {Array<Object>} operations - The operations.
+             * @param {Object} [options={}] - The bulk options.
+             * @param {boolean} [options.ordered=true] - Whether to stop at the first operation that fails (the ones
+             * before it are still applied). Unordered batches skip failing operations and apply all others.
+             * @param {Session} [options.session] - Runs the batch inside a transaction.
+             * @returns {Object} - `{ insertedCount, matchedCount, modifiedCount, deletedCount, upsertedCount,
+             * insertedIds, upsertedIds, results, writeErrors }` where `results` holds the result of every operation
+             * (null if it failed) and `writeErrors` lists `{ index, error }` for every failed operation.
+            */
+            async bulkWrite(operations, options = {}) {
+                if (!Array.isArray(operations)) throw new Error("[VunshDB] Invalid bulk operations. Expected an array.");
+                return (await this._bulk(operations, options)).result;
+            }
+
+            /**
+             * Applies the operations of `bulkWrite()` and `insertMany()`. The pre hooks run first, so they can use the
+             * model; the operations are then applied to a copy of the collection that is written once.
+             * @param {Array<Object>} operations - The operations.
+             * @param {Object} options - `{ ordered, session }`
+             * @returns {Object} - `{ result, inserted }` with the bulk result and the inserted documents.
+            */
+            async _bulk(operations, { ordered = true, session } = {}) {
+                const result = Bulk.result(operations.length);
+                const fail = (index, error) => {
+                    if (ordered) result.writeErrors = result.writeErrors.filter(e => e.index < index);  // Later operations didn't run
+                    result.writeErrors.push({ index, error });
+                };
+
+                const prepared = [];
+                for (const [index, operation] of operations.entries()) {
+                    try {
+                        const op = { index, ...Bulk.normalize(operation) };
+                        if (op.type === "insertOne") {
+                            op.doc = this._stamp(this.schema.applyDefaults(this.schema.applySetters(op.document)));
+                            await this.schema.runHooks("pre", "create", op.doc);  // May modify the document or abort
+                        } else {
+                            op.context = op.type.startsWith("update")
+                                ? { filter: op.filter, update: op.update, options: { multi: op.multi, upsert: op.upsert } }
+                                : { filter: op.filter, options: { multi: op.multi } };
+                            await this.schema.runHooks("pre", op.type.startsWith("update") ? "update" : "delete", op.context);
+                            if (op.context.update) Update.normalize(op.context.update);
+                        }
+                        prepared.push(op);
+                    } catch (e) {
+                        fail(index, e);
+                        if (ordered) break;
+                    }
+                }
+
+                const applied = [];
+                if (prepared.length > 0) {
+                    await this._ensureCollection();
+                    await this._exclusive(session, async () => {
+                        let db = (await this._read(session)).slice();
+                        const guard = (await this._getIndexes()).uniqueGuard(db);
+                        let changed = false;  // Once the copy changed, the indexes no longer describe it
+
+                        for (const op of prepared) {
+                            try {
+                                if (op.type === "insertOne") {
+                                    await this._validateNew(op.doc);
+                                    guard.swap([], [op.doc]);
+                                    db.push(op.doc);
+                                    changed = true;
+                                    result.insertedCount++;
+                                    result.insertedIds[op.index] = op.doc._id ?? null;
+                                    op.outcome = { insertedId: op.doc._id ?? null };
+                                } else if (op.context.update) {
+                                    const { filter, update, options: { multi, upsert } } = op.context;
+                                    const { matchedCount, modifiedCount, upsertedId, after, before } = await this._applyUpdate(db, filter, update, { multi, upsert, session, useIndexes: !changed, guard });
+                                    changed = changed || modifiedCount > 0 || after.length > before.length;
+                                    result.matchedCount += matchedCount;
+                                    result.modifiedCount += modifiedCount;
+                                    if (after.length > before.length) {
+                                        result.upsertedCount++;
+                                        result.upsertedIds[op.index] = upsertedId;
+                                    }
+                                    op.outcome = { matchedCount, modifiedCount, upsertedId };
+                                } else {
+                                    const { filter, options: { multi } } = op.context;
+                                    const removed = await this._applyDelete(db, filter, { multi, session, useIndexes: !changed });
+                                    if (!removed.marked) guard.swap(removed.docs, []);  // Marked documents keep their keys
+                                    db = removed.db;
+                                    changed = changed || removed.docs.length > 0;
+                                    result.deletedCount += removed.docs.length;
+                                    op.outcome = { deletedCount: removed.docs.length, docs: JSON.parse(JSON.stringify(removed.docs)) };
+                                }
+                                result.results[op.index] = op.outcome.docs ? { deletedCount: op.outcome.deletedCount } : op.outcome;
+                                applied.push(op);
+                            } catch (e) {
+                                fail(op.index, e);
+                                if (ordered) break;
+                            }
+                        }
+
+                        if (changed) await this._write(db, session);  // The whole batch at once
+                    });
+                }
+
+                const inserted = [];
+                for (const op of applied) {
+                    if (op.type === "insertOne") {
+                        inserted.push(this._hydrate(JSON.parse(JSON.stringify(op.doc))));
+                        await this.schema.runHooks("post", "create", op.doc);
+                    } else {
+                        await this.schema.runHooks("post", op.context.update ? "update" : "delete", op.context, op.outcome);
+                    }
+                }
+                result.writeErrors.sort((a, b) => a.index - b.index);  // Invalid operations are reported before the others run
+                return { result, inserted };
+            }
+
+            /**
+             * Validates a new document against the schema and gives it an `_id`.
+             * @param {Object} newData - The document, with the schema defaults applied.
+             * @returns {Promise<Object>} - The document.
+             * @throws {ValidationError} - If the document is invalid.
+            */
+            async _validateNew(newData) {
+                await this.schema.validate(newData);
+
+                // Ensure _id is correctly set or generated
+                if (!("_id" in this.schema.schemaDefinition)) {
+                    newData._id = createUUID();  // Generate a new UUID for the document
+                } else if (this.schema.schemaDefinition._id === false) {
+                    delete newData._id;  // If the schema prohibits _id, remove it
+                } else if (newData._id === undefined) {
+                    newData._id = createUUID();  // Ensure _id is set if it's undefined
+                }
+                return newData;
+            }
+
+            /**
+             * Wipe all the data
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {Boolean} - Returns true when the data was wiped.
+            */
+            async wipe(options = {}) {
+                const { session } = options;
+                return await this._exclusive(session, async () => {
+                    if (session) await this._read(session);  // Track the collection in the session
+                    await this._write([], session);
+                    return true;
+                });
+            }
+
+            /**
+             * Rewrites the collection without outdated records. Only useful with the `"log"` format, where updates
+             * and deletes are appended to the file; compaction also runs automatically once most of a log is outdated.
+             * @returns {Object} - `{ collection, before, after }` with the size before and after compacting (bytes).
+            */
+            async compact() {
+                return await fileManager.compactCollection(this.collectionName);
+            }
+
+            /**
+             * Deletes the collection together with its indexes and history. Unlike `wipe()`, nothing of the collection
+             * is kept; it is created again (empty) the next time the model is used.
+             * @returns {boolean} - Returns true if the collection existed.
+            */
+            async drop() {
+                const name = VDBFileManager.resolveCollectionName(this.collectionName);
+                return await storage.lock(name, async () => {
+                    this._cache = null;
+                    this.indexes = null;  // Indexes created with createIndex() are dropped too
+                    this.textIndex = null;
+                    return storage.drop(name);
+                });
+            }
+
+            /**
+             * Finds documents by the given criteria and returns a chainable cursor.
+             * @param {Object|Function} [criteria={}] - The query object or predicate function to match.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {Cursor} - A cursor supporting `.sort()`, `.skip()`, `.limit()`, `.select()`, `.count()`, `.toArray()` and `for await...of`.
+            */
+            find(criteria = {}, options = {}) {
+                return new Cursor(this, criteria, options);
+            }
+
+            /**
+             * Counts the documents that match the given criteria.
+             * @param {Object|Function} [criteria={}] - The query object or predicate function to match.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {number} - The number of matching documents.
+            */
+            async countDocuments(criteria = {}, options = {}) {
+                return (await this._query(criteria, { session: options.session })).length;
+            }
+
+            /**
+             * Counts the documents that match the given criteria. Alias of `countDocuments()`.
+             * @param {Object|Function} [criteria={}] - The query object or predicate function to match.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {number} - The number of matching documents.
+            */
+            async count(criteria = {}, options = {}) {
+                return await this.countDocuments(criteria, options);
+            }
+
+            /**
+             * Returns the distinct values of a field across the documents that match the given criteria.
+             * Array fields contribute each of their elements.
+             * @param {string} field - The field (dot-notation supported) to collect values from.
+             * @param {Object|Function} [criteria={}] - The query object or predicate function to match.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {Array} - The distinct values.
+            */
+            async distinct(field, criteria = {}, options = {}) {
+                const values = [];
+
+                for (const doc of await this._query(criteria, { session: options.session })) {
+                    for (const value of Query.resolvePath(doc, field).flat()) {
+                        if (value === undefined) continue;
+                        if (!values.some(existing => Query.isEqual(existing, value))) values.push(value);
+                    }
+                }
+                return values;
+            }
+
+            /**
+             * Finds a document by its criteria (e.g., by field matching).
+             * @param {Object|Function} [criteria={}] - The query object (e.g. `{ age: { $gt: 20 } }`) or predicate function to match.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction, `{ populate }` to
+             * populate reference fields (see `populate()`).
+             * @returns {Object|null} - The found document or null if not found.
+            */
+            async findOne(criteria = {}, options = {}) {
+                const [doc] = await this._query(criteria, { limit: 1, session: options.session });  // Match the query or predicate
+
+                if (!doc) return null;  // Return null if no document matches
 
-            // Validate Database path and Collections
-            await VDBFileManager.validateDbPath();
-            await VDBFileManager.validateCltns();
+                const found = this._hydrate(doc);
+                if (options.populate) await this.populate(found, options.populate, options);
+                return found;  // Return the found document
+            }
 
-            await VDBFileManager.updateCollection("vdbs", {
-                "$runtime": $runtime,
-                "$interactioncount": $interactioncount
-            });
+            /**
+             * Finds a document by its _id.
+             * @param {string} id - The ID of the document to find.
+             * @param {Object} [options={}] - `{ session, populate }`, see `findOne()`.
+             * @returns {Object|null} - The found document or null if not found.
+            */
+            async findById(id, options = {}) {
+                return await this.findOne({ _id: id }, options);  // Use findOne to search by _id
+            }
 
-            // Reset Runtime Collection to 0 regardless if it is enabled
-            await VDBFileManager.updateCollection("rt", { "collection": 0 });
-            await VDBFileManager.updateCollection("ci", { "interactions": 0 });
+            /**
+             * Finds multiple documents by the given criteria.
+             * @param {Object|Function} [criteria={}] - The query object or predicate function to match.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {Array} - An array of documents that match the criteria.
+            */
+            async findMany(criteria = {}, options = {}) {
+                return (await this._query(criteria, { session: options.session }))
+                    .map(doc => this._hydrate(doc));  // Apply defaults to all matching documents
+            }
 
-            // Start updating the Runtime collection every second if $runtime is enabled
-            if ($runtime) {
-                setInterval(async () => {
-                    try {
-                        const runtimeData = await VDBFileManager.getCollection("rt");
+            /**
+             * Replaces reference fields with the documents they point to, loaded from the referenced model.
+             * Arrays of references and references inside subdocuments are supported; references to documents that
+             * don't exist become `null` (or are removed from arrays).
+             * @param {Object|Array} docs - The document(s) to populate, modified in place.
+             * @param {string|Object|Array} paths - The path(s) to populate: `"author"`, `"author tags"`, or
+             * `{ path, select, populate, model }` where `select` is a projection, `populate` populates the referenced
+             * documents in turn and `model` overrides the schema's `ref`.
+             * @param {Object} [options={}] - `{ session }` to read the referenced documents inside a transaction.
+             * @returns {Object|Array} - The populated document(s).
+             * @throws {Error} - If a path isn't a reference field or its model hasn't been defined.
+            */
+            async populate(docs, paths, options = {}) {
+                const list = (Array.isArray(docs) ? docs : [docs]).filter(Boolean);
+
+                await Populate.populate(list, Populate.normalize(paths), {
+                    schema: this.schema,
+                    session: options.session,
+                    resolve: (ref) => this._resolveModel(ref)
+                });
+                return docs;
+            }
 
-                        // Increment the runtime by 1
-                        await VDBFileManager.updateCollection("rt", { "collection": runtimeData.collection + 1 });
-                    } catch (e) {
-                        console.error(`[VunshDB] Error updating Runtime Collection (Collection may have been deleted)\n${e}`);
-                    }
-                }, 1000); // Update every second
+            /**
+             * Runs an aggregation pipeline over the collection. Supported stages are `$match`, `$group` (with the
+             * `$sum`, `$avg`, `$min`, `$max`, `$push` and `$count` accumulators), `$project`, `$sort`, `$limit`,
+             * `$skip`, `$unwind` and `$lookup` (joining the collection of another model).
+             * @param {Array<Object>} pipeline - The stages, applied in order.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {Aggregation} - The results as plain objects; await it, call `.toArray()` or stream them with
+             * `for await...of`.
+             * @throws {Error} - If the pipeline or one of its stages is invalid.
+            */
+            aggregate(pipeline, options = {}) {
+                return new Aggregation(this, pipeline, options);
+            }
+
+            /**
+             * Searches the fields declared with `text: true` and ranks the matching documents with BM25: documents
+             * containing more of the query's terms, and rarer ones, come first. Terms are matched as whole words,
+             * case and accent insensitive (and by stem with the schema option `text: { stemming: true }`).
+             * @param {string} query - The search terms, e.g. `"deploy failed"`.
+             * @param {Object} [options={}] - The search options.
+             * @param {number} [options.limit=0] - The maximum number of results (0 for no limit).
+             * @param {string[]} [options.fields] - Only searches these text fields.
+             * @param {Session} [options.session] - Runs the search inside a transaction.
+             * @returns {Array<{ doc: Object, score: number }>} - The matching documents with their scores, best first.
+             * @throws {Error} - If the schema has no text fields or a field isn't one.
+            */
+            async search(query, options = {}) {
+                const { limit = 0, fields, session } = options;
+                if (typeof query !== "string") throw new Error("[VunshDB] Invalid search query. Expected a string.");
+                const index = await this._getTextIndex();
+                if (!index) throw new Error(`[VunshDB] Collection "${this.collectionName}" has no text fields. Declare them with { type: String, text: true }.`);
+
+                const db = await this._read(session);
+                let searched = index;
+                if (session && session.has(index.name)) {
+                    // A transaction's staged copy isn't indexed, search a temporary index of it
+                    searched = new TextIndex(null, null, index.fields, index.options);
+                    searched.update(db, null);
+                }
 
+                const positions = new Map(db.map((doc, i) => [doc._id, i]));
+                const ttlPaths = this.schema.expires() ? this.schema.ttlFields() : null;
+                const now = Date.now();
+                const results = [];
+
+                for (const { _id, score } of searched.search(query, { fields })) {
+                    const i = positions.get(_id);
+                    if (i === undefined || (ttlPaths && this.schema.isExpired(db[i], now, ttlPaths))) continue;
+                    if (this.schema.softDelete && Schema.isDeleted(db[i])) continue;
+                    results.push({ doc: this._hydrate(JSON.parse(JSON.stringify(db[i]))), score });
+                    if (limit && results.length >= limit) break;
+                }
+                return results;
             }
 
-            return {
-                status: true, // Return true status
-                duration: (Date.now() - startTime) / 1000 // Return time taken to initialize (in seconds)
-            };
-        } catch (e) {
-            throw new Error(`[VunshDB] Error initializing VunshDB\n${e}`);
-        }
-    }
+            /**
+             * Exports the documents of the collection (with their encrypted fields decrypted).
+             * @param {Object} [options={}] - The export options.
+             * @param {string} [options.format="json"] - `"json"` (an array), `"ndjson"` (one document per line) or
+             * `"csv"` (nested fields become dot-notation columns, arrays are written as JSON). Defaults to the
+             * extension of `path`.
+             * @param {string} [options.path] - A file to write the export to.
+             * @param {Object|Function} [options.filter={}] - Only exports the matching documents.
+             * @returns {string} - The exported content.
+            */
+            async export(options = {}) {
+                const { path, filter = {} } = options;
+                const format = Export.formatOf(path, options.format);
 
-    /**
-     * Constructor to create a new Schema
-     * @param {Object} schemaDefinition - The schema definition object that specifies the structure and types for the document.
-     *   Example: 
-     *   ```javascript
-     *      const schema = new Schema({
-     *          _id: false,
-     *          tag: {
-     *              trigger: String,
-     *              content: String
-     *          }
-     *      });
-     *   ```
-     */
-    static Schema = class {
-        constructor(schemaDefinition) {
-            this.schemaDefinition = schemaDefinition;  // Holds the schema definition for validation and defaulting
-        }
+                const content = Export.serialize(await this._query(filter), format);
+                if (path) Export.writeFile(path, content);
+                return content;
+            }
 
-        /**
-         * Applies default values to data based on the schema definition.
-         * @param {Object} data - The data to apply defaults to.
-         * @param {Object} schema - The schema to use for default application.
-         * @returns {Object} - The data with default values applied.
-         */
-        applyDefaults(data, schema = this.schemaDefinition) {
-            const defaultData = {};
-
-            for (let field in schema) {
-                const fieldDefinition = schema[field];
-
-                // Check if the field exists in `data` and use it if so
-                if (data[field] !== undefined) {
-                    defaultData[field] = data[field];
-                } else {
-                    // Handle primitive types like Boolean, String, etc.
-                    if (fieldDefinition.type) {
-                        if (fieldDefinition.default !== undefined) {
-                            defaultData[field] = fieldDefinition.default; // Apply default if exists
-                        } else if (fieldDefinition.type === Boolean) {
-                            defaultData[field] = false;  // Default for Boolean
-                        } else if (fieldDefinition.type === String) {
-                            defaultData[field] = '';     // Default for String
-                        } else {
-                            defaultData[field] = null;   // Default for other primitive types
+            /**
+             * Imports documents from an export file. Every record gets the schema defaults and is validated;
+             * records that fail (or would duplicate a key of a unique index) are reported and skipped, the others
+             * are written together. Hooks don't run.
+             * @param {string} file - The file, created with `export()` or by another program.
+             * @param {Object} [options={}] - The import options.
+             * @param {string} [options.mode="insert"] - `"insert"` adds the documents and fails records whose `_id`
+             * already exists, `"upsert"` replaces existing documents with the same `_id`, `"replace"` wipes the
+             * collection first.
+             * @param {string} [options.format] - `"json"`, `"ndjson"` or `"csv"`, defaults to the file extension.
+             * @returns {Object} - `{ inserted, updated, failed }` where `failed` lists `{ row, error, errors }` for
+             * every skipped record (`row` is its 1-based position in the file, `errors` the validation failures).
+            */
+            async import(file, options = {}) {
+                const { mode = "insert" } = options;
+                if (!["insert", "upsert", "replace"].includes(mode)) {
+                    throw new Error(`[VunshDB] Unknown import mode "${mode}". Expected "insert", "upsert" or "replace".`);
+                }
+                const format = Export.formatOf(file, options.format);
+                const records = Export.parse(Export.readFile(file), format, this.schema);
+
+                await this._ensureCollection();
+                return await this._exclusive(null, async () => {
+                    const db = mode === "replace" ? [] : (await this._read()).slice();
+                    const positions = new Map(db.map((doc, i) => [doc._id, i]));
+                    const guard = (await this._getIndexes()).uniqueGuard(db);  // Rows breaking a unique index fail on their own
+                    const result = { inserted: 0, updated: 0, failed: [] };
+
+                    for (const { row, doc, error } of records) {
+                        if (error) {
+                            result.failed.push({ row, error, errors: [] });
+                            continue;
+                        }
+                        try {
+                            const newData = this._stamp(this.schema.applyDefaults(doc));
+                            if (this.schema.schemaDefinition._id === false) delete newData._id;
+                            else if (newData._id === undefined) newData._id = createUUID();
+                            await this.schema.validate(newData);
+
+                            const index = newData._id === undefined ? undefined : positions.get(newData._id);
+                            if (index === undefined) {
+                                guard.swap([], [newData]);
+                                if (newData._id !== undefined) positions.set(newData._id, db.length);
+                                db.push(newData);
+                                result.inserted++;
+                            } else if (mode === "upsert") {
+                                guard.swap([db[index]], [newData]);
+                                db[index] = newData;
+                                result.updated++;
+                            } else {
+                                throw new Error(`[VunshDB] A document with _id "${newData._id}" already exists.`);
+                            }
+                        } catch (e) {
+                            result.failed.push({ row, error: e.message, errors: e.errors || [] });
                         }
                     }
-                    // Handle nested objects (avoid auto-creating them if not needed)
-                    else if (typeof fieldDefinition === "object" && !Array.isArray(fieldDefinition) && !(fieldDefinition instanceof Function)) {
-                        defaultData[field] = this.applyDefaults(data[field] || {}, fieldDefinition); // Recurse into nested objects, only if needed
-                    }
-                    // Handle arrays (default to empty array if missing)
-                    else if (Array.isArray(fieldDefinition)) {
-                        defaultData[field] = data[field] || [];  // Only default to empty array if not provided
+
+                    if (mode === "replace" || result.inserted + result.updated > 0) await this._write(db);
+                    return result;
+                });
+            }
+
+            /**
+             * Deletes a single document that matches the given criteria. With the schema option `softDelete`, the
+             * document is only marked deleted (see `restore()` and `purge()`).
+             * @param {Object|Function} criteria - The query object or predicate function to match for deletion.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {boolean} - Returns true if a document was deleted, false otherwise.
+             * @throws {QueryError} - If the criteria are missing (`{}` matches every document).
+            */
+            async deleteOne(criteria, options = {}) {
+                const { deletedCount } = await this._delete(criteria, { ...options, multi: false });
+                return deletedCount > 0;  // False if no document was found to delete
+            }
+
+            /**
+             * Deletes multiple documents that match the given criteria (or marks them deleted, see `deleteOne()`).
+             * @param {Object|Function} criteria - The query object or predicate function to match for deletion.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {number} - The number of documents deleted.
+             * @throws {QueryError} - If the criteria are missing (`{}` matches every document).
+            */
+            async deleteMany(criteria, options = {}) {
+                const { deletedCount } = await this._delete(criteria, { ...options, multi: true });
+                return deletedCount;
+            }
+
+            /**
+             * Deletes the first (or every) document matching the criteria, running the delete hooks.
+             * @param {Object|Function} criteria - The query object or predicate function to match.
+             * @param {Object} options - `{ multi, session, expired, purge }` where `expired` also matches expired
+             * documents (set by the TTL sweeper) and `purge` removes documents marked deleted; both are passed to the
+             * hooks.
+             * @returns {Object} - `{ deletedCount, docs }`
+             * @throws {QueryError} - If the criteria are missing, so a forgotten filter doesn't delete everything.
+            */
+            async _delete(criteria, { multi = false, session, expired = false, purge = false } = {}) {
+                if (criteria === undefined || criteria === null) throw new QueryError("Missing the filter of the delete, pass {} to match every document.");
+                const context = { filter: criteria, options: { multi, ...(expired ? { expired } : {}), ...(purge ? { purge } : {}) } };
+                await this.schema.runHooks("pre", "delete", context);  // May modify the filter or abort
+
+                const result = await this._exclusive(session, async () => {
+                    const { db, docs } = await this._applyDelete(await this._read(session), context.filter, { multi, session, expired, purge });
+
+                    if (docs.length > 0) await this._write(db, session);  // Remove the documents
+                    return { deletedCount: docs.length, docs: JSON.parse(JSON.stringify(docs)) };
+                });
+
+                await this.schema.runHooks("post", "delete", context, result);
+                return result;
+            }
+
+            /**
+             * Removes the first (or every) document matching the criteria from a copy of the collection. With the
+             * schema option `softDelete` the documents are marked deleted instead, unless they are purged or expired.
+             * @param {Array} db - The documents of the collection.
+             * @param {Object|Function} criteria - The query object or predicate function to match.
+             * @param {Object} options - `{ multi, session, expired, useIndexes, purge }`, see `_matchPositions()`;
+             * `purge` removes documents marked deleted (and only those).
+             * @returns {Object} - `{ db, docs, marked }` with the remaining and the removed documents, and whether the
+             * documents were only marked deleted (they are then still part of `db`).
+            */
+            async _applyDelete(db, criteria, { multi = false, session, expired = false, useIndexes = true, purge = false } = {}) {
+                const deleted = purge ? "only" : expired ? "include" : "exclude";
+                const positions = await this._matchPositions(db, criteria, { limit: multi ? 0 : 1, session, expired, useIndexes, deleted });
+                if (positions.length === 0) return { db, docs: [], marked: false };
+
+                if (this.schema.softDelete && !purge && !expired) {
+                    const copy = db.slice();
+                    const deletedAt = new Date().toISOString();
+                    for (const i of positions) copy[i] = this._touch({ ...JSON.parse(JSON.stringify(db[i])), [Schema.deletedField]: deletedAt });
+                    return { db: copy, docs: positions.map(i => db[i]), marked: true };
+                }
+
+                const matched = new Set(positions);
+                return { db: db.filter((doc, i) => !matched.has(i)), docs: db.filter((doc, i) => matched.has(i)), marked: false };
+            }
+
+            /**
+             * Brings back documents marked deleted under the schema option `softDelete`.
+             * @param {Object|Function} [criteria={}] - The query object or predicate function the deleted documents
+             * must match.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {number} - The number of restored documents.
+             * @throws {Error} - If the schema doesn't use `softDelete`.
+            */
+            async restore(criteria = {}, options = {}) {
+                const { session } = options;
+                if (!this.schema.softDelete) throw new Error(`[VunshDB] Collection "${this.collectionName}" doesn't use soft deletes, enable them with the schema option { softDelete: true }.`);
+
+                await this._ensureCollection();
+                return await this._exclusive(session, async () => {
+                    const db = (await this._read(session)).slice();
+                    const positions = await this._matchPositions(db, criteria, { session, deleted: "only" });
+
+                    for (const i of positions) {
+                        const doc = JSON.parse(JSON.stringify(db[i]));
+                        delete doc[Schema.deletedField];
+                        db[i] = this._touch(doc);
                     }
-                    // Handle other cases (for unexpected data types)
-                    else {
-                        defaultData[field] = data[field] !== undefined ? data[field] : fieldDefinition;
+                    if (positions.length > 0) await this._write(db, session);
+                    return positions.length;
+                });
+            }
+
+            /**
+             * Permanently removes documents marked deleted under the schema option `softDelete`. Runs the delete
+             * hooks with `options.purge` set.
+             * @param {Object|Function} criteria - The query object or predicate function the deleted documents must
+             * match, `{}` for every one.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {number} - The number of removed documents.
+             * @throws {Error} - If the schema doesn't use `softDelete`, or the criteria are missing.
+            */
+            async purge(criteria, options = {}) {
+                if (!this.schema.softDelete) throw new Error(`[VunshDB] Collection "${this.collectionName}" doesn't use soft deletes, enable them with the schema option { softDelete: true }.`);
+                const { deletedCount } = await this._delete(criteria, { ...options, multi: true, purge: true });
+                return deletedCount;
+            }
+
+            /**
+             * Lists the previous revisions of a document, kept under the schema option `history`. Revision `n` is
+             * the document as it was before its `n`th change; changes made inside a transaction are recorded when
+             * it commits.
+             * @param {string} id - The `_id` of the document.
+             * @returns {Array<{ rev: number, op: string, at: string, doc: Object }>} - The revisions, oldest first,
+             * with the operation that replaced them (`"update"`, `"delete"` or `"restore"`) and when it happened.
+             * @throws {Error} - If the schema doesn't keep a history.
+            */
+            async history(id) {
+                if (!this.schema.history) throw new Error(`[VunshDB] Collection "${this.collectionName}" doesn't keep a history, enable it with the schema option { history: true }.`);
+                const name = await fileManager.ensureCollection(this.collectionName);
+
+                const revisions = History.revisions(storage.readHistory(name), id);
+                this._decryptFields(revisions.map(revision => revision.doc), { remember: false });
+                return revisions;
+            }
+
+            /**
+             * Brings a document back to a previous revision (see `history()`), recreating it if it was removed.
+             * The document's `createdAt` time is kept from the revision, its `updatedAt` and `versionKey` are
+             * updated, and the state it had before is recorded as a new revision.
+             * @param {string} id - The `_id` of the document.
+             * @param {number} rev - The revision.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {Object} - The reverted document.
+             * @throws {Error} - If the schema doesn't keep a history or the revision doesn't exist.
+             * @throws {ValidationError} - If the revision doesn't match the schema anymore.
+            */
+            async revert(id, rev, options = {}) {
+                const { session } = options;
+                const revision = (await this.history(id)).find(entry => entry.rev === rev);
+                if (!revision) throw new Error(`[VunshDB] Revision ${rev} of document "${id}" not found in collection "${this.collectionName}".`);
+
+                return await this._exclusive(session, async () => {
+                    const db = (await this._read(session)).slice();
+                    const [index] = await this._matchPositions(db, { _id: id }, { limit: 1, session, expired: true, deleted: "include" });
+
+                    const doc = this._touch(revision.doc, index === undefined ? revision.doc : db[index]);
+                    await this.schema.validate(doc);
+                    if (index === undefined) db.push(doc);
+                    else db[index] = doc;
+
+                    await this._write(db, session);
+                    return this._hydrate(JSON.parse(JSON.stringify(doc)));
+                });
+            }
+
+            /**
+             * Updates the first document that matches the filter using update operators.
+             * @param {Object|Function} filter - The query object or predicate function to match.
+             * @param {Object} update - The update document (`$set`, `$unset`, `$inc`, `$push`, `$pull`, `$addToSet`, `$rename`).
+             * @param {Object} [options={}] - The update options.
+             * @param {boolean} [options.upsert=false] - Whether to insert a new document if nothing matches.
+             * @param {Session} [options.session] - Runs the update inside a transaction.
+             * @returns {Object} - `{ matchedCount, modifiedCount, upsertedId }`
+            */
+            async updateOne(filter, update, options = {}) {
+                const { matchedCount, modifiedCount, upsertedId } = await this._update(filter, update, { ...options, multi: false });
+                return { matchedCount, modifiedCount, upsertedId };
+            }
+
+            /**
+             * Updates every document that matches the filter using update operators.
+             * @param {Object|Function} filter - The query object or predicate function to match.
+             * @param {Object} update - The update document.
+             * @param {Object} [options={}] - The update options.
+             * @param {boolean} [options.upsert=false] - Whether to insert a new document if nothing matches.
+             * @param {Session} [options.session] - Runs the update inside a transaction.
+             * @returns {Object} - `{ matchedCount, modifiedCount, upsertedId }`
+            */
+            async updateMany(filter, update, options = {}) {
+                const { matchedCount, modifiedCount, upsertedId } = await this._update(filter, update, { ...options, multi: true });
+                return { matchedCount, modifiedCount, upsertedId };
+            }
+
+            /**
+             * Updates the first document that matches the filter and returns it.
+             * @param {Object|Function} filter - The query object or predicate function to match.
+             * @param {Object} update - The update document.
+             * @param {Object} [options={}] - The update options.
+             * @param {boolean} [options.upsert=false] - Whether to insert a new document if nothing matches.
+             * @param {boolean} [options.returnNew=false] - Whether to return the updated document instead of the original.
+             * @param {Session} [options.session] - Runs the update inside a transaction.
+             * @returns {Object|null} - The original (or updated) document, or null if nothing matched.
+            */
+            async findOneAndUpdate(filter, update, options = {}) {
+                const { returnNew = false } = options;
+                const { before, after } = await this._update(filter, update, { ...options, multi: false });
+
+                const doc = returnNew ? after[0] : before[0];
+                return doc ? this._hydrate(doc) : null;
+            }
+
+            /**
+             * Creates an index on one or more fields. Indexes speed up equality lookups and can enforce uniqueness.
+             * @param {string|string[]|Object} fields - The field(s) to index, e.g. `"email"` or `{ lastName: 1, firstName: 1 }`.
+             * @param {Object} [options={}] - The index options.
+             * @param {boolean} [options.unique=false] - Whether to reject documents with a duplicate key.
+             * @param {string} [options.name] - A custom name for the index.
+             * @returns {string} - The name of the index.
+             * @throws {DuplicateKeyError} - If a unique index is requested but existing documents share a key.
+            */
+            async createIndex(fields, options = {}) {
+                const indexes = await this._getIndexes();
+                return await this._exclusive(null, async () => {
+                    const db = await this._read();
+
+                    const name = options.name || IndexManager.nameFor(IndexManager.normalizeFields(fields));
+                    const isNew = !indexes.indexes.has(name);
+                    indexes.define(fields, options);
+
+                    try {
+                        indexes.apply(indexes.build(db), this._cache.signature);
+                    } catch (e) {
+                        if (isNew) indexes.indexes.delete(name);  // Don't keep an index the data violates
+                        throw e;
                     }
-                }
+                    return name;
+                });
             }
 
-            // Ensure _id handling (if not provided, generate it)
-            if (!("_id" in data)) {
-                defaultData._id = createUUID();
+            /**
+             * Removes an index.
+             * @param {string} name - The name of the index.
+             * @returns {boolean} - Returns true if the index existed.
+            */
+            async dropIndex(name) {
+                if (name === "_id_") throw new Error("[VunshDB] The _id index can't be dropped.");
+                return (await this._getIndexes()).drop(name);
             }
 
-            return defaultData;
-        }
+            /**
+             * Lists the indexes of the collection.
+             * @returns {Array<{ name: string, fields: Object, unique: boolean }>} - The index definitions.
+            */
+            async getIndexes() {
+                return (await this._getIndexes()).list();
+            }
 
+            /**
+             * Saves a document to the database, either creating or updating it (by `_id`). New documents get an
+             * `_id`, and with the schema options `timestamps` and `versionKey` the document's stamps are updated
+             * once it is saved.
+             * @param {Document|Object} data - The document (or plain data) to save.
+             * @param {Object} [options={}] - `{ session }` to run the call inside a transaction.
+             * @returns {Document|Object} - The saved document.
+             * @throws {VersionError} - If the schema has a `versionKey` and the document was changed by another write
+             * since it was read.
+            */
+            async save(data, options = {}) {
+                const { session } = options;
+                await this.schema.runHooks("pre", "save", data);  // May modify the document or abort
 
+                await this._exclusive(session, async () => {
+                    const db = (await this._read(session)).slice();  // Read the database
+                    const raw = data instanceof Document ? data.toObject() : data;  // The fields as they are stored
+                    const [index] = raw._id === undefined ? [] : await this._matchPositions(db, { _id: raw._id }, { limit: 1, session, expired: true, deleted: "include" });  // Find the document by _id
 
+                    const stamps = this._saveStamps(raw, index === undefined ? undefined : db[index]);  // Throws if the document is outdated
+                    const stored = { ...this.schema.depopulate(raw), ...stamps };  // Populated references are stored as their _id
 
+                    // Validate the document against the schema (methods like `save` are ignored)
+                    await this.schema.validate(stored);
 
-        /**
-         * Validates that the data matches the schema definition.
-         * @param {Object} data - The data to validate.
-         * @param {Object} schema - The schema definition to validate against.
-         * @param {string} path - The current path being validated (used for nested objects).
-         * @throws {Error} - If validation fails, throws an error with a detailed message.
-         */
-        validate(data, schema = this.schemaDefinition, path = "") {
-            for (let field in data) {
-                if (field === "_id") continue;  // Skip validation for the "_id" field
+                    if (index === undefined) {
+                        db.push(stored);  // If not found, add as a new document
+                    } else {
+                        db[index] = stored;  // If found, update the existing document
+                    }
 
-                // Skip iteration if the field name is a number (i.e., '0', '1', '2', etc.)
-                if (!isNaN(Number(field))) continue;
+                    await this._write(db, session);  // Save the updated database
+                    Object.assign(data, stamps);
+                });
+                if (data instanceof Document) Document.markSaved(data);
 
-                // Now check if the field exists in the schema
-                if (!schema.hasOwnProperty(field)) {
-                    throw new Error(`[VunshDB] Field "${path}${field}" is not defined in the schema.`);
-                }
+                await this.schema.runHooks("post", "save", data);
+                return data;  // Return the saved document
+            }
 
-                const fieldDefinition = schema[field];
-                const fieldType = fieldDefinition?.type || fieldDefinition;
-                const dataType = typeof data[field];
+            /**
+             * Applies an update to the matching documents in a single read-modify-write of the collection file.
+             * The updated documents are validated against the schema before anything is written.
+             * @param {Object|Function} filter - The query object or predicate function to match.
+             * @param {Object} update - The update document.
+             * @param {Object} options - `{ multi, upsert, session }`
+             * @returns {Object} - `{ matchedCount, modifiedCount, upsertedId, before, after }`
+            */
+            async _update(filter, update, { multi = false, upsert = false, session } = {}) {
+                const context = { filter, update, options: { multi, upsert } };
+                await this.schema.runHooks("pre", "update", context);  // May modify the filter and update or abort
+                ({ filter, update } = context);
+
+                Update.normalize(update);  // Reject invalid updates before touching the file
+                await this._ensureCollection();
+                const result = await this._exclusive(session, async () => {
+                    const db = (await this._read(session)).slice();
+                    const result = await this._applyUpdate(db, filter, update, { multi, upsert, session });
+
+                    if (result.modifiedCount > 0 || result.after.length > result.before.length) {
+                        await this._write(db, session);  // Save the updated database
+                    }
+                    return result;
+                });
 
-                if (data[field] === undefined) continue;  // Skip if the field is not defined
+                const { matchedCount, modifiedCount, upsertedId } = result;
+                await this.schema.runHooks("post", "update", context, { matchedCount, modifiedCount, upsertedId });
+                return result;
+            }
 
-                // Validate nested objects recursively
-                if (typeof fieldDefinition === "object" && !Array.isArray(fieldDefinition) && !(fieldDefinition instanceof Function)) {
-                    this.validate(data[field], fieldDefinition, `${path}${field}.`);
+            /**
+             * Applies an update to the matching documents of a copy of the collection. Every updated document is
+             * validated before the copy is changed, so a failed update leaves it as it was.
+             * @param {Array} db - The documents of the collection, modified in place.
+             * @param {Object|Function} filter - The query object or predicate function to match.
+             * @param {Object} update - The normalized update document.
+             * @param {Object} options - `{ multi, upsert, session, useIndexes, guard }` where `guard` checks unique
+             * indexes (see `IndexManager.prototype.uniqueGuard()`).
+             * @returns {Object} - `{ matchedCount, modifiedCount, upsertedId, before, after }`
+            */
+            async _applyUpdate(db, filter, update, { multi = false, upsert = false, session, useIndexes = true, guard } = {}) {
+                const result = { matchedCount: 0, modifiedCount: 0, upsertedId: null, before: [], after: [] };
+                const changes = [];
+
+                for (const i of await this._matchPositions(db, filter, { limit: multi ? 0 : 1, session, useIndexes })) {
+                    const updated = JSON.parse(JSON.stringify(db[i]));  // Work on a copy so a failed validation leaves the original intact
+                    const modified = Update.apply(updated, update);
+                    if (modified) this._touch(updated);
+                    await this.schema.validate(updated);
+
+                    result.matchedCount++;
+                    result.before.push(db[i]);
+                    result.after.push(updated);
+                    if (modified) changes.push([i, updated]);
                 }
-                // Validate data types
-                else if (
-                    // Ignore types like Boolean, String, Array, Object
-                    (fieldType !== Boolean && typeof data[field] !== "boolean") &&
-                    (fieldType !== String && typeof data[field] !== "string") &&
-                    (fieldType !== Array && !Array.isArray(data[field])) &&
-                    (fieldType !== Object && typeof data[field] !== "object") &&
-                    (fieldType !== Number && typeof data[field] !== "number") &&
-                    (typeof fieldType === 'function' && typeof data[field] === 'function') // Check for functions
-                ) {
-                    throw new Error(`Invalid type for ${path}${field}: Expected ${fieldType.name}, got ${dataType}`);
+
+                let upserted = null;
+                if (result.matchedCount === 0 && upsert) {
+                    const seed = Update.seedFromFilter(filter);
+                    Update.apply(seed, update);
+
+                    upserted = this._stamp(this.schema.applyDefaults(seed));
+                    await this.schema.validate(upserted);
+                    if (this.schema.schemaDefinition._id === false) {
+                        delete upserted._id;  // If the schema prohibits _id, remove it
+                    } else if (upserted._id === undefined) {
+                        upserted._id = createUUID();
+                    }
                 }
 
+                if (guard) guard.swap(changes.map(([i]) => db[i]), [...changes.map(([, updated]) => updated), ...(upserted ? [upserted] : [])]);
+                for (const [i, updated] of changes) db[i] = updated;
+                result.modifiedCount = changes.length;
+                if (upserted) {
+                    db.push(upserted);
+                    result.upsertedId = upserted._id ?? null;
+                    result.after.push(upserted);
+                }
+                return result;
+            }
 
+            /**
+             * Watches the collection for changes, including changes written by other processes or other models on
+             * the same collection. Changes made inside a transaction are reported once it commits.
+             * @param {Object|Function} [filter={}] - Only changes to documents matching the filter (before or after the
+             * change) are reported.
+             * @returns {ChangeStream} - An EventEmitter emitting `"change"` events of `{ op, _id, before, after }`, that
+             * can also be consumed with `for await...of`. Call `.close()` to stop watching.
+            */
+            watch(filter = {}) {
+                const stream = new ChangeStream(filter, () => this._unwatch(stream));
+                this._watchers.add(stream);
+
+                if (!this._watchTimer) {
+                    this._watchTimer = setInterval(() => this._pollChanges(), ChangeStream.pollInterval);
+                    this._read().then(docs => {
+                        if (!this._watchState) this._watchState = docs;  // Changes are reported from now on
+                    }).catch(e => stream.fail(e));
+                }
+                return stream;
             }
-        }
-    };
 
-    /**
-     * Defines a model class for interacting with a specific collection in the database.
-     * @param {string} collectionName - The name of the collection.
-     * @param {Object} schema - The schema that defines the structure of the documents.
-     * @returns {Object} - The model class for interacting with the collection.
-    */
-    static model(collectionName, schema) {
-        return new class {
-            constructor() {
-                this.collectionName = collectionName;  // The collection's name
-                this.schema = schema;  // The schema used for validating and creating documents
+            _unwatch(stream) {
+                this._watchers.delete(stream);
+                if (this._watchers.size > 0) return;
+
+                clearInterval(this._watchTimer);
+                this._watchTimer = null;
+                this._watchState = null;
             }
 
             /**
-             * Creates a new document in the collection with the given data.
-             * @param {Object} data - The data to create the document with.
-             * @returns {Object} - The created document with defaults and validation applied.
+             * Re-reads the collection if it changed (e.g. written by another process) and reports the changes.
             */
-            async create(data) {
-                updateInteractions()
-                await this._ensureCollection();  // Ensure the collection exists before proceeding
-                const filePath = await getDbFile(this.collectionName);  // Get the file path for the database
-                const db = JSON.parse(fs.readFileSync(filePath));  // Read the existing database
+            async _pollChanges() {
+                if (this._polling) return;  // The previous check is still running
+                this._polling = true;
+                try {
+                    this._publish(await this._read());
+                } catch (e) {
+                    for (const stream of this._watchers) stream.fail(e);
+                } finally {
+                    this._polling = false;
+                }
+            }
 
-                const newData = this.schema.applyDefaults(data);  // Apply schema defaults to the data
-                this.schema.validate(newData);  // Validate the data against the schema
+            /**
+             * Reports the changes between the documents the change streams last saw and the current ones.
+             * @param {Array} docs - The current documents.
+             * @param {Array} [previous] - The documents before a write, used if the streams haven't seen any yet.
+            */
+            _publish(docs, previous) {
+                if (this._watchers.size === 0) return;
 
-                newData.save = async () => {
-                    return await this.save(newData);  // Attach a save method to the document
-                };
+                const before = this._watchState || previous;
+                this._watchState = docs;
+                if (!before || before === docs) return;
 
-                // Ensure _id is correctly set or generated
-                if (!("_id" in this.schema.schemaDefinition)) {
-                    newData._id = createUUID();  // Generate a new UUID for the document
-                } else if (this.schema.schemaDefinition._id === false) {
-                    delete newData._id;  // If the schema prohibits _id, remove it
-                } else if (newData._id === undefined) {
-                    newData._id = createUUID();  // Ensure _id is set if it's undefined
+                for (const change of ChangeStream.diff(before, docs)) {
+                    for (const stream of this._watchers) stream.push(change);
                 }
+            }
 
-                db.push(newData);  // Add the new document to the database
-                fs.writeFileSync(filePath, JSON.stringify(db, null, 2));  // Save the database
+            /**
+             * Reads the collection and returns the stored documents that match the criteria.
+             * @param {Object|Function} [criteria={}] - The query object or predicate function to match.
+             * @returns {Array} - The matching stored documents.
+            */
+            async _query(criteria = {}, { limit = 0, session } = {}) {
+                const db = await this._read(session);  // Read the database
 
-                return newData;  // Return the created document
+                // Return copies so callers can't modify the cached collection
+                return (await this._matchPositions(db, criteria, { limit, session })).map(i => JSON.parse(JSON.stringify(db[i])));
             }
 
             /**
-             * Wipe all the data
-             * @returns {Boolean} - Returns true when the data was wiped.
+             * Finds the positions of the documents that match the criteria, using an index when one applies.
+             * Expired documents and documents marked deleted are skipped.
+             * @param {Array} db - The documents of the collection.
+             * @param {Object|Function} criteria - The query object or predicate function to match.
+             * @param {Object} [options={}] - `{ limit, session, expired, useIndexes, deleted }` (0 for no limit),
+             * `expired` to include expired documents, `useIndexes: false` for documents the indexes don't describe
+             * (e.g. a batch that is being applied), `deleted` to match documents marked deleted too (`"include"`) or
+             * only them (`"only"`) instead of skipping them (`"exclude"`).
+             * @returns {number[]} - The positions of the matching documents in collection order.
             */
-            async wipe() {
-                updateInteractions()
-                const filePath = await getDbFile(this.collectionName);
-                fs.writeFileSync(filePath, "[]");
-                return true;
+            async _matchPositions(db, criteria, { limit = 0, session, expired = false, useIndexes = true, deleted = "exclude" } = {}) {
+                // Indexes describe the stored collection, not a transaction's staged copy
+                const staged = session && session.has(await fileManager.ensureCollection(this.collectionName));
+                const candidates = (useIndexes && !staged && (await this._getIndexes()).lookup(criteria)) || db.keys();
+                const ttlPaths = !expired && this.schema.expires() ? this.schema.ttlFields() : null;
+                const checkDeleted = this.schema.softDelete && deleted !== "include";
+                const now = Date.now();
+                const positions = [];
+                let scanned = 0;
+
+                for (const i of candidates) {
+                    scanned++;
+                    if (ttlPaths && this.schema.isExpired(db[i], now, ttlPaths)) continue;  // Expired, waiting for the sweeper
+                    if (checkDeleted && Schema.isDeleted(db[i]) !== (deleted === "only")) continue;  // Marked deleted (or not)
+                    if (!Query.match(db[i], criteria)) continue;  // Match the query or predicate
+                    positions.push(i);
+                    if (limit && positions.length >= limit) break;
+                }
+                Metrics.scan(scanned);  // Reported for slow queries
+                return positions;
             }
 
             /**
-             * Finds a document by its criteria (e.g., by field matching).
-             * @param {Object} criteria - The criteria to match for finding the document.
-             * @returns {Object|null} - The found document or null if not found.
+             * Runs a read-modify-write of the collection exclusively: calls are queued within the process and a
+             * lock file keeps other processes from writing the same collection at the same time.
+             * Inside a transaction nothing is written until commit, so no lock is taken.
+             * @param {Session|null} session - The transaction session, if any.
+             * @param {Function} fn - The (async) function to run while holding the lock.
+             * @returns {*} - The result of `fn`.
             */
-            async findOne(criteria) {
-                updateInteractions()
-                const filePath = await getDbFile(this.collectionName);  // Get the file path for the collection
-                const db = JSON.parse(fs.readFileSync(filePath));  // Read the database
-
-                let doc = db.find((doc) =>
-                    Object.keys(criteria).every((key) => doc[key] === criteria[key])  // Match all criteria fields
-                );
+            async _exclusive(session, fn) {
+                if (session) return await fn();
+                const name = await fileManager.ensureCollection(this.collectionName);
+                return await storage.lock(name, fn);
+            }
 
-                if (!doc) return null;  // Return null if no document matches
+            /**
+             * Reads the collection, reusing the parsed documents as long as the file hasn't changed.
+             * The returned array is shared with the cache (or the session) and must not be modified.
+             * @param {Session} [session] - Reads the transaction's copy of the collection instead.
+             * @returns {Array} - The documents of the collection.
+            */
+            async _read(session) {
+                const name = await fileManager.ensureCollection(this.collectionName);
+                if (session && session.has(name)) return session.get(name);
 
-                doc = this.schema.applyDefaults(doc);  // Apply default values to the found document
-                doc.save = async () => {
-                    return await this.save(doc);  // Attach the save method to the found document
-                };
+                const signature = storage.signature(name);
+                if (!this._cache || this._cache.signature !== signature) {
+                    this._cache = { signature, docs: await this._migrate(this._decryptFields(storage.read(name))) };
+                }
+                (await this._getIndexes()).refresh(this._cache.docs, signature);  // Rebuild the indexes if the data changed
+                (await this._getTextIndex())?.refresh(this._cache.docs, signature);
 
-                return doc;  // Return the found document
+                if (session) return session.track(name, this, signature, this._cache.docs);
+                return this._cache.docs;
             }
 
             /**
-             * Finds a document by its _id.
-             * @param {string} id - The ID of the document to find.
-             * @returns {Object|null} - The found document or null if not found.
+             * Writes the collection and updates its indexes. Unique indexes are checked before anything is written.
+             * @param {Array} db - The documents to write.
+             * @param {Session} [session] - Stages the documents in the transaction instead of writing them.
+             * @returns {Promise<void>}
+             * @throws {DuplicateKeyError} - If a unique index would be violated.
             */
-            async findById(id) {
-                updateInteractions()
-                return await this.findOne({ _id: id });  // Use findOne to search by _id
+            async _write(db, session) {
+                const { docs, stored, built, revisions } = await this._prepareWrite(db, { history: !session });  // Throws if a unique index would be violated
+                const name = await fileManager.ensureCollection(this.collectionName);
+
+                if (session) return session.stage(name, db);  // The history is recorded on commit
+
+                storage.write([{ name, docs: stored }]);  // Journaled, atomic write for file storage
+                this._afterWrite(name, docs, built, revisions);
             }
 
             /**
-             * Finds multiple documents by the given criteria.
-             * @param {Object} criteria - The criteria to match for finding documents.
-             * @returns {Array} - An array of documents that match the criteria.
+             * Copies the documents as they will be stored and builds their index entries, checking unique indexes.
+             * With the schema option `history`, also collects the previous state of the documents that change.
+             * @param {Array} db - The documents to write.
+             * @param {Object} [options={}] - `{ history: false }` to skip the history, e.g. for a staged write.
+             * @returns {Object} - `{ docs, stored, built, revisions }` where `stored` are the documents with their
+             * encrypted fields encrypted and `revisions` the history entries to record (see `History.diff()`).
             */
-            async findMany(criteria) {
-                updateInteractions()
-                const filePath = await getDbFile(this.collectionName);  // Get the collection's file path
-                const db = JSON.parse(fs.readFileSync(filePath));  // Read the database
+            async _prepareWrite(db, { history = true } = {}) {
+                const built = (await this._getIndexes()).build(db);
+                const docs = JSON.parse(JSON.stringify(db));
+
+                const revisions = history && this.schema.history ? History.diff(await this._read(), db) : [];
+                const sealed = this._encryptFields(revisions.map(entry => entry.doc), { remember: false });
+                revisions.forEach((entry, i) => (entry.doc = sealed[i]));
 
-                return db
-                    .filter((doc) =>
-                        Object.keys(criteria).every((key) => doc[key] === criteria[key])  // Match all criteria fields
-                    )
-                    .map(doc => this.schema.applyDefaults(doc));  // Apply defaults to all matching documents
+                return { docs, stored: this._encryptFields(docs), built, revisions };
             }
 
             /**
-             * Deletes a single document that matches the given criteria.
-             * @param {Object} criteria - The criteria to match for deletion.
-             * @returns {boolean} - Returns true if a document was deleted, false otherwise.
+             * Encrypts the fields declared with `encrypt: true`. Values that didn't change keep their ciphertext, so
+             * unchanged documents are stored unchanged (which keeps appends to a log small).
+             * @param {Array} docs - The documents.
+             * @param {Object} [options={}] - `{ remember: false }` for documents that aren't written to the
+             * collection (e.g. history entries), whose ciphertexts aren't kept for reuse.
+             * @returns {Array} - Encrypted copies of the documents (the same array if no field is encrypted).
+             * @throws {Error} - If fields must be encrypted but no encryption key is configured.
             */
-            async deleteOne(criteria) {
-                updateInteractions();
-                const filePath = await getDbFile(this.collectionName);
-                let db = JSON.parse(fs.readFileSync(filePath));
+            _encryptFields(docs, { remember = true } = {}) {
+                const paths = this.schema.encryptedFields();
+                if (paths.length === 0) return docs;
+                const cipher = this._requireCipher();
+
+                const sealed = new Map();
+                const stored = JSON.parse(JSON.stringify(docs));
+                for (const doc of stored) {
+                    for (const path of paths) {
+                        Populate.mapPath(doc, path, (value) => {
+                            const key = doc._id === undefined ? null : `${cipher.keyId}\0${doc._id}\0${path}\0${JSON.stringify(value)}`;
+                            const envelope = (key && this._sealed.get(key)) || cipher.encryptValue(value);
+                            if (key) sealed.set(key, envelope);
+                            return envelope;
+                        });
+                    }
+                }
+                if (remember) this._sealed = sealed;
+                return stored;
+            }
 
-                const index = db.findIndex(doc => Object.keys(criteria).every(key => doc[key] === criteria[key]));
+            /**
+             * Decrypts the fields declared with `encrypt: true` (values stored before the field was encrypted are
+             * kept as they are).
+             * @param {Array} docs - The stored documents, modified in place.
+             * @param {Object} [options={}] - `{ remember: false }` for documents that aren't read from the collection,
+             * see `_encryptFields()`.
+             * @returns {Array} - The documents.
+             * @throws {Error} - If a field is encrypted but no (or another) encryption key is configured.
+            */
+            _decryptFields(docs, { remember = true } = {}) {
+                const paths = this.schema.encryptedFields();
+                if (paths.length === 0) return docs;
+
+                if (remember) this._sealed = new Map();  // Only the ciphertexts currently stored are worth reusing
+                for (const doc of docs) {
+                    for (const path of paths) {
+                        Populate.mapPath(doc, path, (value) => {
+                            if (!Cipher.isEncrypted(value)) return value;
+                            const cipher = this._requireCipher();
+                            const plain = cipher.decryptValue(value);
+                            if (remember && doc._id !== undefined) this._sealed.set(`${cipher.keyId}\0${doc._id}\0${path}\0${JSON.stringify(plain)}`, value);
+                            return plain;
+                        });
+                    }
+                }
+                return docs;
+            }
 
-                if (index === -1) return false; // No document found to delete
+            _requireCipher() {
+                if (!db.cipher) throw new Error(`[VunshDB] Collection "${this.collectionName}" has encrypted fields, connect with an encryptionKey.`);
+                return db.cipher;
+            }
 
-                db.splice(index, 1); // Remove the document
-                fs.writeFileSync(filePath, JSON.stringify(db, null, 2));
+            /**
+             * Updates the cache and indexes once the collection was written, and records the history.
+             * @param {string} name - The name the collection is stored under.
+             * @param {Array} docs - The documents that were written.
+             * @param {Map} built - The index entries built for the documents.
+             * @param {Array} [revisions=[]] - The history entries, see `_prepareWrite()`.
+            */
+            _afterWrite(name, docs, built, revisions = []) {
+                const previous = this._cache && this._cache.docs;
+                const signature = storage.signature(name);
+                this._cache = { signature, docs };
+                this.indexes.apply(built, signature);
+                if (this.textIndex) this.textIndex.update(docs, signature);  // Only the changed documents are indexed again
+                this._publish(docs, previous);  // Notify change streams
+                if (revisions.length > 0) storage.appendHistory(name, revisions);
+            }
 
-                return true;
+            /**
+             * Loads the collection's indexes: the `_id` index, the indexes declared on the schema and the ones
+             * created with `createIndex()` (persisted by the storage, e.g. in the `.vunsh.idx` file).
+             * @returns {IndexManager} - The collection's indexes.
+            */
+            async _getIndexes() {
+                if (!this.indexes) {
+                    this.indexes = new IndexManager(storage, await fileManager.ensureCollection(this.collectionName));
+                    if (this.schema.schemaDefinition._id !== false) this.indexes.define({ _id: 1 }, { unique: true, name: "_id_" });
+                    for (const { fields, unique } of this.schema.indexes()) this.indexes.define(fields, { unique });
+                    this.indexes.load();
+                }
+                return this.indexes;
             }
 
             /**
-             * Deletes multiple documents that match the given criteria.
-             * @param {Object} criteria - The criteria to match for deletion.
-             * @returns {number} - The number of documents deleted.
+             * Loads the collection's full-text index (persisted by the storage, e.g. in the `.vunsh.fts` file).
+             * @returns {TextIndex|null} - The index, or null if the schema has no `text: true` fields.
             */
-            async deleteMany(criteria) {
-                updateInteractions();
-                const filePath = await getDbFile(this.collectionName);
-                let db = JSON.parse(fs.readFileSync(filePath));
+            async _getTextIndex() {
+                if (!this.textIndex) {
+                    const fields = this.schema.textFields();
+                    if (fields.length === 0) return null;
+                    this.textIndex = new TextIndex(storage, await fileManager.ensureCollection(this.collectionName), fields, this.schema.options.text);
+                    this.textIndex.load();
+                }
+                return this.textIndex;
+            }
 
-                const initialLength = db.length;
-                db = db.filter(doc => !Object.keys(criteria).every(key => doc[key] === criteria[key]));
+            /**
+             * Applies schema defaults to a stored document and wraps it in the model's document class.
+             * @param {Object} doc - A copy of the stored document.
+             * @returns {Document} - The document ready to be returned to the caller.
+            */
+            _hydrate(doc) {
+                return new this.Document(this.schema.applyDefaults(doc), { isNew: false });  // Apply default values to the document
+            }
 
-                const deletedCount = initialLength - db.length;
+            /**
+             * Stamps a new document with the version of the collection's documents, if the collection is versioned,
+             * with the time it expires, if the schema has a `ttl`, and with its `timestamps` and `versionKey`. Stamps
+             * the document already has (e.g. an imported one) are kept.
+             * @param {Object} doc - The new document.
+             * @returns {Object} - The document.
+            */
+            _stamp(doc) {
+                const version = migrations.get(this.collectionName)?.target ?? this.schema.version;
+                if (version !== null && version !== undefined && doc[Migrations.versionField] === undefined) doc[Migrations.versionField] = version;
+                if (this.schema.ttl !== null && doc[Schema.expiryField] === undefined) {
+                    doc[Schema.expiryField] = new Date(Date.now() + this.schema.ttl * 1000).toISOString();
+                }
+                return this._stampRevision(doc);
+            }
 
-                fs.writeFileSync(filePath, JSON.stringify(db, null, 2));
+            /**
+             * Stamps a new document with its `timestamps` and `versionKey`, if the schema has these options. Stamps
+             * the document already has are kept.
+             * @param {Object} doc - The new document.
+             * @returns {Object} - The document.
+            */
+            _stampRevision(doc) {
+                const { timestamps, versionKey } = this.schema;
+                if (timestamps) {
+                    if (doc[timestamps.createdAt] === undefined) doc[timestamps.createdAt] = new Date().toISOString();
+                    if (doc[timestamps.updatedAt] === undefined) doc[timestamps.updatedAt] = doc[timestamps.createdAt];
+                }
+                if (versionKey && doc[versionKey] === undefined) doc[versionKey] = 0;
+                return doc;
+            }
 
-                return deletedCount;
+            /**
+             * Stamps a changed document: sets its `updatedAt` time and increments its `versionKey`, if the schema
+             * has these options.
+             * @param {Object} doc - The changed document.
+             * @param {Object} [current=doc] - The stored document, whose version is incremented.
+             * @returns {Object} - The document.
+            */
+            _touch(doc, current = doc) {
+                const { timestamps, versionKey } = this.schema;
+                if (timestamps) doc[timestamps.updatedAt] = new Date().toISOString();
+                if (versionKey) doc[versionKey] = (current[versionKey] ?? 0) + 1;
+                return doc;
             }
 
             /**
-             * Saves a document to the database, either creating or updating it.
-             * @param {Object} data - The document data to save.
-             * @returns {Object} - The saved document.
+             * Returns the stamps `save()` sets on a document. A new document gets its `_id`, an existing one keeps its `createdAt` time and
+             * its mark of the schema option `softDelete`, and must be saved at the version that is stored.
+             * @param {Object} data - The document to save.
+             * @param {Object} [current] - The stored document, undefined if the document is new.
+             * @returns {Object} - The stamps.
+             * @throws {VersionError} - If the document's version isn't the stored one.
             */
-            async save(data) {
-                updateInteractions()
-                const filePath = await getDbFile(this.collectionName);  // Get the file path for the collection
-                let db = JSON.parse(fs.readFileSync(filePath));  // Read the database
+            _saveStamps(data, current) {
+                const { timestamps, versionKey } = this.schema;
+                if (current === undefined) {
+                    const stamped = this._stampRevision({ ...data });
+                    if (stamped._id === undefined && this.schema.schemaDefinition._id !== false) stamped._id = createUUID();
+                    return Object.fromEntries(Object.keys(stamped).filter(field => data[field] === undefined).map(field => [field, stamped[field]]));
+                }
 
-                const schemaFields = Object.keys(this.schema.schemaDefinition);  // Get the schema fields
+                if (versionKey && data[versionKey] !== undefined && data[versionKey] !== current[versionKey]) {
+                    throw new VersionError(current._id, data[versionKey], current[versionKey]);
+                }
+                const stamps = this._touch({}, current);
+                if (timestamps && current[timestamps.createdAt] !== undefined) stamps[timestamps.createdAt] = current[timestamps.createdAt];
+                if (this.schema.softDelete && Schema.isDeleted(current) && data[Schema.deletedField] === undefined) {
+                    stamps[Schema.deletedField] = current[Schema.deletedField];  // A copy read before the delete doesn't bring it back
+                }
+                return stamps;
+            }
 
-                // Validate that all fields in the document are defined in the schema
-                for (let key in data) {
-                    if (
-                        key !== "_id" &&
-                        key !== "__originalId" &&
-                        typeof data[key] !== "function" &&
-                        !schemaFields.includes(key)
-                    ) {
-                        throw new Error(`[VunshDB] Field "${key}" is not defined in the schema.`);
+            /**
+             * Applies pending lazy migrations to the documents that were read. The migrated documents are stored
+             * the next time the collection is written.
+             * @param {Array} docs - The stored documents.
+             * @returns {Promise<Array>} - The migrated documents (the same array if nothing was migrated).
+            */
+            async _migrate(docs) {
+                const entry = migrations.get(this.collectionName);
+                if (!entry || entry.mode !== "lazy" || entry.base === undefined) return docs;
+
+                let migrated = false;
+                const result = [];
+                for (const doc of docs) {
+                    const version = Migrations.versionOf(doc, entry.base);
+                    if (version === entry.target) {
+                        result.push(doc);
+                        continue;
                     }
+                    result.push(await Migrations.apply(doc, Migrations.steps(entry.list, version, entry.target, this.collectionName), entry.target));
+                    migrated = true;
                 }
+                return migrated ? result : docs;
+            }
 
-                const index = db.findIndex((doc) => doc._id === data._id);  // Find the document by _id
-                if (index === -1) {
-                    db.push(data);  // If not found, add as a new document
-                } else {
-                    db[index] = data;  // If found, update the existing document
-                }
+            /**
+             * Returns the model defined for a collection name (used by `ref`s and `$lookup`).
+             * @param {string|Object} ref - The collection name, or a model.
+             * @returns {Object} - The model.
+             * @throws {Error} - If no model has been defined for the collection.
+            */
+            _resolveModel(ref) {
+                if (typeof ref !== "string") return ref;  // A model object
+                if (!models.has(ref)) throw new Error(`[VunshDB] No model has been defined for collection "${ref}".`);
+                return models.get(ref);
+            }
 
-                fs.writeFileSync(filePath, JSON.stringify(db, null, 2));  // Save the updated database
-                return data;  // Return the saved document
+            /**
+             * Deletes the expired documents of the collection, see `VunshDB.prototype.sweep()`.
+             * @returns {Promise<number>} - The number of deleted documents.
+            */
+            async _sweep() {
+                if (!this.schema.expires() || !storage.has(VDBFileManager.resolveCollectionName(this.collectionName))) return 0;
+
+                const paths = this.schema.ttlFields();
+                const now = Date.now();
+                const isExpired = (doc) => this.schema.isExpired(doc, now, paths);
+                if (!(await this._read()).some(isExpired)) return 0;  // Nothing to lock and write
+
+                return await this._measure("sweep", null, async () => {
+                    const { deletedCount } = await this._delete(isExpired, { multi: true, expired: true });
+                    return deletedCount;
+                });
+            }
+
+            /**
+             * Records an operation in the database's metrics, see `VunshDB.prototype.stats()`.
+             * @param {string} op - The name of the operation.
+             * @param {Object|Function|null} filter - The filter of the operation, shown in the slow query log.
+             * @param {Function} fn - The (async) operation.
+             * @returns {Promise<*>} - The result of `fn`.
+            */
+            async _measure(op, filter, fn) {
+                return await db.metrics.measure(this.collectionName, op, filter, fn);
+            }
+
+            /**
+             * Records an operation that streams its results, see `_measure()`.
+             * @param {string} op - The name of the operation.
+             * @param {Object|Function|null} filter - The filter of the operation.
+             * @param {AsyncIterable} iterable - The results.
+             * @returns {AsyncGenerator} - The results.
+            */
+            _measureStream(op, filter, iterable) {
+                return db.metrics.measureStream(this.collectionName, op, filter, iterable);
             }
 
             /**
-             * Ensures the collection exists by creating the necessary files and directories if they don't exist.
+             * Ensures the collection exists by creating it in the storage if it doesn't exist.
              * @returns {Promise<void>} - A promise that resolves when the collection is ensured.
             */
             async _ensureCollection() {
-                const collectionPath = await getDbFile(this.collectionName);  // Get the collection's file path
-
-                // Check if the collection file exists, and create it if not
-                if (!fs.existsSync(collectionPath)) {
-                    fs.mkdirSync(collectionPath, { recursive: true });  // Create the directory recursively
-                    fs.writeFileSync(collectionPath, JSON.stringify([], null, 2));  // Create an empty database file
-                }
+                await fileManager.ensureCollection(this.collectionName);  // Creates the collection if it doesn't exist
             }
         };
-    }
-
-}
 
-module.exports = VunshDB;
+        // Measure the public operations; the ones they call on the same model count as part of them
+        for (const [op, filterOf] of Object.entries(Metrics.operations)) {
+            const method = model[op];
+            model[op] = (...args) => model._measure(op, filterOf ? filterOf(...args) : null, () => method.apply(model, args));
+        }
 
-async function updateInteractions() {
-    const vdbs = await getCollection("vdbs")
-    if (vdbs.$interactioncount) {
-        try {
-            const ti = await getCollection("ti");
-            const ci = await getCollection("ci");
-            await updateCollection("ti", { "interactions": ti.interactions + 1 });
-            await updateCollection("ci", { "interactions": ci.interactions + 1 });
-        } catch (e) {
-            throw new Error(`[VunshDB] Error updating interacount counts\n${e.stack}`)
+        model.Document = Document.compile(model, schema);  // Documents get the schema's methods and virtuals
+        for (const [name, fn] of Object.entries(schema.statics)) {
+            if (name in model) throw new Error(`[VunshDB] The static "${name}" of collection "${collectionName}" has the name of a model method.`);
+            model[name] = fn;  // Called as Model.name(), with the model as `this`
         }
+
+        models.set(collectionName, model);  // Register the model so other schemas can reference it
+        return model;
     }
+
 }
 
-/* Developed by hatebeingsobercereal on Discord :: last updated 3/13/25 */
\ No newline at end of file
+module.exports = VunshDB;
+
@@ -0,0 +1,363 @@
+const Query = require("./Query");
+const Update = require("./Update");
+const Cursor = require("./Cursor");
+
+module.exports = class Aggregation {
+    /**
+     * Runs an aggregation pipeline over the documents of a model. The documents flow through the stages one at a
+     * time, so only `$group` and `$sort` (which need every document) hold more than one document in memory.
+     * Nothing is read until the aggregation is consumed with `.toArray()`, `await` or a `for await...of` loop.
+     * Results are plain objects.
+     *
+     * @param {Object} model The model whose collection is aggregated.
+     * @param {Array<Object>} pipeline The stages, e.g. `[{ $match: { paid: true } }, { $group: { _id: "$user" } }]`.
+     * @param {Object} [options={}] `{ session }` to read inside a transaction.
+     * @throws {Error} Throws an error if the pipeline or one of its stages is invalid.
+     */
+    constructor(model, pipeline, { session } = {}) {
+        if (!Array.isArray(pipeline)) throw new Error("[VunshDB] Invalid pipeline. Expected an array of stages.");
+        this.model = model;  // The model whose collection is aggregated
+        this.pipeline = pipeline.map(stage => Aggregation.validateStage(stage));  // [{ name, spec }]
+        this.session = session;  // The transaction session, if any
+    }
+
+    /**
+     * Runs the pipeline and returns every result.
+     * @returns {Promise<Array<Object>>} The results.
+     */
+    async toArray() {
+        const results = [];
+        for await (const doc of this) results.push(doc);
+        return results;
+    }
+
+    /**
+     * Streams the results with `for await...of`.
+     */
+    async *[Symbol.asyncIterator]() {
+        let stages = this.pipeline;
+        let filter = {};
+
+        // A leading $match can use the collection's indexes
+        if (stages.length > 0 && stages[0].name === "$match") {
+            filter = stages[0].spec;
+            stages = stages.slice(1);
+        }
+        let stream = this.source(filter);
+
+        for (const { name, spec } of stages) stream = Aggregation.stages[name].call(this, stream, spec);
+        yield* this.model._measureStream("aggregate", filter, stream);  // Recorded once the results are consumed
+    }
+
+    /**
+     * Allows awaiting the aggregation directly (`await Model.aggregate([...])`).
+     */
+    then(resolve, reject) {
+        return this.toArray().then(resolve, reject);
+    }
+
+    /**
+     * Yields copies of the collection's documents that match a filter.
+     * @param {Object|Function} filter The query object or predicate function.
+     */
+    async *source(filter) {
+        const docs = await this.model._read(this.session);  // Writes replace the array, so it can be read while they happen
+        for (const i of await this.model._matchPositions(docs, filter, { session: this.session })) {
+            yield JSON.parse(JSON.stringify(docs[i]));
+        }
+    }
+
+    /**
+     * The stages, called with the aggregation as `this`, the incoming documents and the stage's specification.
+     * Every stage returns the outgoing documents.
+     */
+    static stages = {
+        async *$match(input, filter) {
+            for await (const doc of input) {
+                if (Query.match(doc, filter)) yield doc;
+            }
+        },
+
+        async *$project(input, spec) {
+            for await (const doc of input) yield Aggregation.project(doc, spec);
+        },
+
+        async *$skip(input, n) {
+            let skipped = 0;
+            for await (const doc of input) {
+                if (skipped < n) skipped++;
+                else yield doc;
+            }
+        },
+
+        async *$limit(input, n) {
+            if (n === 0) return;
+            let count = 0;
+            for await (const doc of input) {
+                yield doc;
+                if (++count >= n) return;
+            }
+        },
+
+        async *$sort(input, spec) {
+            const docs = [];
+            for await (const doc of input) docs.push(doc);
+            yield* docs.sort((a, b) => Cursor.compareDocs(a, b, spec));
+        },
+
+        async *$unwind(input, spec) {
+            const { path, preserveNullAndEmptyArrays = false, includeArrayIndex } = typeof spec === "string" ? { path: spec } : spec;
+            const field = path.slice(1);  // Without the leading $
+
+            for await (const doc of input) {
+                const value = Query.getValue(doc, field);
+                if (!Array.isArray(value)) {
+                    if ((value === undefined || value === null) && !preserveNullAndEmptyArrays) continue;
+                    if (includeArrayIndex) Update.setPath(doc, includeArrayIndex, null);  // A single value is unwound as is
+                    yield doc;
+                    continue;
+                }
+
+                if (value.length === 0 && preserveNullAndEmptyArrays) {
+                    Update.unsetPath(doc, field);
+                    if (includeArrayIndex) Update.setPath(doc, includeArrayIndex, null);
+                    yield doc;
+                }
+                for (let i = 0; i < value.length; i++) {
+                    const copy = i === value.length - 1 ? doc : JSON.parse(JSON.stringify(doc));  // Reuse the document for the last element
+                    Update.setPath(copy, field, value[i]);
+                    if (includeArrayIndex) Update.setPath(copy, includeArrayIndex, i);
+                    yield copy;
+                }
+            }
+        },
+
+        async *$group(input, spec) {
+            const groups = new Map();  // Serialized key -> { _id, states }
+            const fields = Object.keys(spec).filter(field => field !== "_id");
+
+            for await (const doc of input) {
+                const key = Aggregation.evaluate(doc, spec._id);
+                const serialized = JSON.stringify(key ?? null);
+
+                let group = groups.get(serialized);
+                if (!group) {
+                    group = { _id: key ?? null, states: fields.map(() => ({ count: 0, sum: 0, value: undefined, values: [] })) };
+                    groups.set(serialized, group);
+                }
+                fields.forEach((field, i) => Aggregation.accumulate(group.states[i], spec[field], doc));
+            }
+
+            for (const { _id, states } of groups.values()) {
+                const result = { _id };
+                fields.forEach((field, i) => (result[field] = Aggregation.finalize(states[i], spec[field])));
+                yield result;
+            }
+        },
+
+        async *$lookup(input, { from, localField, foreignField, as }) {
+            const foreign = this.model._resolveModel(from);
+            const byKey = new Map();  // Serialized foreign value -> foreign documents
+
+            for (const doc of await foreign._query({}, { session: this.session })) {
+                const keys = new Set(Aggregation.lookupValues(doc, foreignField).map(value => JSON.stringify(value)));
+                for (const key of keys) {
+                    if (!byKey.has(key)) byKey.set(key, []);
+                    byKey.get(key).push(doc);
+                }
+            }
+
+            for await (const doc of input) {
+                const matches = new Set();
+                for (const value of Aggregation.lookupValues(doc, localField)) {
+                    for (const match of byKey.get(JSON.stringify(value)) || []) matches.add(match);
+                }
+                Update.setPath(doc, as, JSON.parse(JSON.stringify([...matches])));
+                yield doc;
+            }
+        }
+    };
+
+    /**
+     * Checks that a stage is known and its specification is valid, before anything is read.
+     * @param {Object} stage The stage, e.g. `{ $limit: 10 }`.
+     * @returns {{ name: string, spec: * }} The stage's name and specification.
+     * @throws {Error} Throws an error if the stage is invalid.
+     */
+    static validateStage(stage) {
+        const keys = stage !== null && typeof stage === "object" && !Array.isArray(stage) ? Object.keys(stage) : [];
+        if (keys.length !== 1) throw new Error("[VunshDB] Invalid pipeline stage. Expected an object with one stage, like { $match: {...} }.");
+
+        const [name] = keys;
+        const spec = stage[name];
+        if (!Object.prototype.hasOwnProperty.call(Aggregation.stages, name)) {
+            throw new Error(`[VunshDB] Unknown aggregation stage "${name}". Expected one of ${Object.keys(Aggregation.stages).join(", ")}.`);
+        }
+
+        const isObject = spec !== null && typeof spec === "object" && !Array.isArray(spec);
+        switch (name) {
+            case "$match":
+                if (!isObject && typeof spec !== "function") throw new Error("[VunshDB] $match expects a query object or a function.");
+                break;
+            case "$skip":
+            case "$limit":
+                if (!Number.isInteger(spec) || spec < 0) throw new Error(`[VunshDB] ${name} expects a non-negative integer.`);
+                break;
+            case "$sort":
+                Cursor.validateSort(spec);
+                break;
+            case "$project":
+                if (!isObject) throw new Error("[VunshDB] $project expects an object like { field: 1 }.");
+                Aggregation.projectionMode(spec);
+                break;
+            case "$unwind": {
+                const path = typeof spec === "string" ? spec : spec?.path;
+                if (typeof path !== "string" || !path.startsWith("$")) throw new Error("[VunshDB] $unwind expects a field path like \"$tags\".");
+                break;
+            }
+            case "$group":
+                if (!isObject || !("_id" in spec)) throw new Error("[VunshDB] $group expects an object with an _id, like { _id: \"$field\" }.");
+                for (const field in spec) {
+                    if (field !== "_id") Aggregation.accumulatorOf(spec[field], field);
+                }
+                break;
+            case "$lookup":
+                if (!isObject || !spec.from || ["localField", "foreignField", "as"].some(option => typeof spec[option] !== "string")) {
+                    throw new Error("[VunshDB] $lookup expects { from, localField, foreignField, as }.");
+                }
+                break;
+        }
+        return { name, spec };
+    }
+
+    /**
+     * Evaluates an expression against a document: `"$field"` reads a (dot-notation) field, objects and arrays are
+     * evaluated recursively, `{ $literal: value }` and every other value are used as is.
+     * @param {Object} doc The document.
+     * @param {*} expression The expression.
+     * @returns {*} The value.
+     */
+    static evaluate(doc, expression) {
+        if (typeof expression === "string" && expression.startsWith("$")) return Query.getValue(doc, expression.slice(1));
+        if (Array.isArray(expression)) return expression.map(item => Aggregation.evaluate(doc, item));
+        if (expression !== null && typeof expression === "object" && !(expression instanceof Date) && !(expression instanceof RegExp)) {
+            if ("$literal" in expression) return expression.$literal;
+
+            const result = {};
+            for (const key in expression) result[key] = Aggregation.evaluate(doc, expression[key]);
+            return result;
+        }
+        return expression;
+    }
+
+    /**
+     * Returns the operator and argument of a `$group` accumulator like `{ $sum: "$amount" }`.
+     * @param {Object} accumulator The accumulator.
+     * @param {string} field The output field (used in errors).
+     * @returns {[string, *]} The operator and its argument.
+     * @throws {Error} Throws an error if the accumulator is invalid.
+     */
+    static accumulatorOf(accumulator, field) {
+        const entries = accumulator !== null && typeof accumulator === "object" ? Object.entries(accumulator) : [];
+        if (entries.length !== 1 || !Aggregation.accumulators.includes(entries[0][0])) {
+            throw new Error(`[VunshDB] Invalid accumulator for "${field}". Expected one of ${Aggregation.accumulators.join(", ")}, like { $sum: "$amount" }.`);
+        }
+        return entries[0];
+    }
+
+    static accumulate(state, accumulator, doc) {
+        const [op, argument] = Aggregation.accumulatorOf(accumulator);
+        const value = op === "$count" ? undefined : Aggregation.evaluate(doc, argument);
+
+        switch (op) {
+            case "$count":
+                state.count++;
+                break;
+            case "$sum":
+            case "$avg":
+                if (typeof value === "number" && !isNaN(value)) {
+                    state.sum += value;
+                    state.count++;
+                }
+                break;
+            case "$min":
+            case "$max": {
+                if (value === undefined || value === null) break;
+                const comparison = state.value === undefined ? 0 : Cursor.compareValues(value, state.value);
+                if (state.value === undefined || (op === "$min" ? comparison < 0 : comparison > 0)) state.value = value;
+                break;
+            }
+            case "$push":
+                if (value !== undefined) state.values.push(value);
+                break;
+        }
+    }
+
+    static finalize(state, accumulator) {
+        const [op] = Aggregation.accumulatorOf(accumulator);
+        switch (op) {
+            case "$count": return state.count;
+            case "$sum": return state.sum;
+            case "$avg": return state.count > 0 ? state.sum / state.count : null;
+            case "$min":
+            case "$max": return state.value ?? null;
+            case "$push": return state.values;
+        }
+    }
+
+    /**
+     * Tells whether a `$project` specification includes or excludes fields. Computed fields (any value other than
+     * 0/1/true/false) count as included.
+     * @param {Object} spec The specification.
+     * @returns {boolean} `true` for inclusion, `false` for exclusion.
+     * @throws {Error} Throws an error if the specification mixes both.
+     */
+    static projectionMode(spec) {
+        const modes = new Set(Object.keys(spec)
+            .filter(key => key !== "_id")
+            .map(key => !(spec[key] === 0 || spec[key] === false)));
+        if (modes.size > 1) throw new Error("[VunshDB] A projection can't mix included and excluded fields.");
+        return modes.size === 0 ? false : [...modes][0];
+    }
+
+    /**
+     * Applies a `$project` stage to a document.
+     * @param {Object} doc The document.
+     * @param {Object} spec The specification, e.g. `{ name: 1, total: "$order.total" }`.
+     * @returns {Object} The projected document.
+     */
+    static project(doc, spec) {
+        if (!Aggregation.projectionMode(spec)) return Cursor.project(doc, spec);
+
+        const result = {};
+        if (spec._id === undefined || spec._id === 1 || spec._id === true) {
+            if (doc._id !== undefined) result._id = doc._id;
+        } else if (spec._id !== 0 && spec._id !== false) {
+            result._id = Aggregation.evaluate(doc, spec._id);
+        }
+
+        for (const field in spec) {
+            if (field === "_id") continue;
+            const value = spec[field] === 1 || spec[field] === true
+                ? Query.getValue(doc, field)
+                : Aggregation.evaluate(doc, spec[field]);
+            if (value !== undefined) Update.setPath(result, field, value);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the values of a field used to join documents in `$lookup`. Arrays contribute each of their elements,
+     * missing fields match `null`.
+     * @param {Object} doc The document.
+     * @param {string} field The (dot-notation) field.
+     * @returns {Array} The values.
+     */
+    static lookupValues(doc, field) {
+        const value = Query.getValue(doc, field);
+        if (Array.isArray(value)) return value.length > 0 ? value : [null];
+        return [value ?? null];
+    }
+
+    static accumulators = ["$sum", "$avg", "$min", "$max", "$push", "$count"];
+};
@@ -0,0 +1,55 @@
+const Update = require("./Update");
+
+module.exports = class Bulk {
+    /**
+     * Validates an operation of `Model.bulkWrite()`.
+     * @param {Object} operation The operation, e.g. `{ updateOne: { filter, update, upsert } }`.
+     * @returns {Object} `{ type, multi, document }` for inserts, `{ type, multi, filter, update, upsert }` for
+     * updates and `{ type, multi, filter }` for deletes.
+     * @throws {Error} Throws an error if the operation is invalid.
+     */
+    static normalize(operation) {
+        const types = operation !== null && typeof operation === "object" ? Object.keys(operation) : [];
+        if (types.length !== 1 || !Bulk.types.includes(types[0])) {
+            throw new Error(`[VunshDB] Invalid bulk operation. Expected one of ${Bulk.types.join(", ")}.`);
+        }
+        const [type] = types;
+        const spec = operation[type];
+        if (spec === null || typeof spec !== "object" || Array.isArray(spec)) throw new Error(`[VunshDB] Invalid ${type} operation. Expected an object.`);
+
+        if (type === "insertOne") {
+            if (spec.document === null || typeof spec.document !== "object" || Array.isArray(spec.document)) {
+                throw new Error("[VunshDB] Invalid insertOne operation. Expected { document }.");
+            }
+            return { type, multi: false, document: spec.document };
+        }
+
+        if (spec.filter === undefined) throw new Error(`[VunshDB] Invalid ${type} operation. Expected a filter ({} matches every document).`);
+        const multi = type.endsWith("Many");
+        if (type.startsWith("delete")) return { type, multi, filter: spec.filter };
+
+        Update.normalize(spec.update);  // Rejects invalid updates
+        return { type, multi, filter: spec.filter, update: spec.update, upsert: Boolean(spec.upsert) };
+    }
+
+    /**
+     * Creates the result of a bulk write.
+     * @param {number} count The number of operations.
+     * @returns {Object} The empty result.
+     */
+    static result(count) {
+        return {
+            insertedCount: 0,
+            matchedCount: 0,
+            modifiedCount: 0,
+            deletedCount: 0,
+            upsertedCount: 0,
+            insertedIds: {},  // Operation index -> _id of the inserted document
+            upsertedIds: {},  // Operation index -> _id of the upserted document
+            results: new Array(count).fill(null),  // The result of every operation, null if it failed or didn't run
+            writeErrors: []  // { index, error } for every failed operation
+        };
+    }
+
+    static types = ["insertOne", "updateOne", "updateMany", "deleteOne", "deleteMany"];
+};
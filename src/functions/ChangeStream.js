@@ -0,0 +1,113 @@
+const EventEmitter = require("events");
+const Query = require("./Query");
+
+module.exports = class ChangeStream extends EventEmitter {
+    /**
+     * A stream of the changes made to a collection, created by `Model.watch()`. Every change is emitted as a
+     * `"change"` event and can also be consumed with `for await...of`:
+     * `{ op: "insert" | "update" | "delete", _id, before, after }`, where `before`/`after` are the document before and
+     * after the change (`null` for inserts and deletes respectively).
+     *
+     * @param {Object|Function} filter Only changes whose document (before or after the change) matches are emitted.
+     * @param {Function} onClose Called once when the stream is closed.
+     */
+    constructor(filter, onClose) {
+        super();
+        this.filter = filter;  // The query object or predicate function changes are matched against
+        this.closed = false;
+        this._onClose = onClose;
+        this._buffer = [];  // Changes not yet consumed by an iterator
+        this._iterators = 0;  // Number of active `for await...of` loops
+        this._wake = null;  // Resolves the promise a waiting iterator is blocked on
+    }
+
+    static pollInterval = 250;  // How often collections are checked for changes made by other processes (ms)
+
+    /**
+     * Emits a change if it matches the stream's filter.
+     * @param {Object} change The change event.
+     */
+    push(change) {
+        if (this.closed) return;
+        const matches = [change.before, change.after].some(doc => doc && Query.match(doc, this.filter));
+        if (!matches) return;
+
+        this.emit("change", change);
+        if (this._iterators > 0) {
+            this._buffer.push(change);
+            if (this._wake) this._wake();
+        }
+    }
+
+    /**
+     * Reports an error that happened while checking for changes. Without an `"error"` listener it is logged instead
+     * of crashing the process.
+     * @param {Error} error The error.
+     */
+    fail(error) {
+        if (this.listenerCount("error") > 0) this.emit("error", error);
+        else console.error(`[VunshDB] Error watching for changes\n${error}`);
+    }
+
+    /**
+     * Stops the stream. Pending iterators finish after the buffered changes.
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this._onClose();
+        if (this._wake) this._wake();
+        this.emit("close");
+    }
+
+    async *[Symbol.asyncIterator]() {
+        this._iterators++;
+        try {
+            while (true) {
+                if (this._buffer.length > 0) {
+                    yield this._buffer.shift();
+                    continue;
+                }
+                if (this.closed) return;
+                await new Promise(resolve => (this._wake = resolve));
+                this._wake = null;
+            }
+        } finally {
+            this._iterators--;
+        }
+    }
+
+    /**
+     * Computes the changes between two versions of a collection. Documents are matched by `_id`; documents without
+     * one can't be tracked and are ignored.
+     * @param {Array} before The previous documents.
+     * @param {Array} after The current documents.
+     * @returns {Array<Object>} The change events, deletes first.
+     */
+    static diff(before, after) {
+        const previous = new Map();
+        for (const doc of before) {
+            if (doc && doc._id !== undefined) previous.set(doc._id, doc);
+        }
+
+        const changes = [];
+        const current = new Set();
+        for (const doc of after) {
+            if (!doc || doc._id === undefined) continue;
+            current.add(doc._id);
+
+            const old = previous.get(doc._id);
+            if (!old) changes.push({ op: "insert", _id: doc._id, before: null, after: ChangeStream.copy(doc) });
+            else if (JSON.stringify(old) !== JSON.stringify(doc)) changes.push({ op: "update", _id: doc._id, before: ChangeStream.copy(old), after: ChangeStream.copy(doc) });
+        }
+
+        const deletes = [...previous.values()]
+            .filter(doc => !current.has(doc._id))
+            .map(doc => ({ op: "delete", _id: doc._id, before: ChangeStream.copy(doc), after: null }));
+        return [...deletes, ...changes];
+    }
+
+    static copy(doc) {
+        return JSON.parse(JSON.stringify(doc));
+    }
+};
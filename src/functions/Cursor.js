@@ -0,0 +1,220 @@
+const Query = require("./Query");
+const Update = require("./Update");
+const Populate = require("./Populate");
+
+module.exports = class Cursor {
+    /**
+     * Creates a chainable cursor over the documents of a model that match a filter.
+     * Nothing is read from the collection until the cursor is consumed with `.toArray()`, `.count()`,
+     * `await` or a `for await...of` loop.
+     *
+     * @param {Object} model The model the cursor reads from.
+     * @param {Object|Function} [filter={}] The query object or predicate function to match.
+     * @param {Object} [options={}] `{ session }` to read inside a transaction.
+     */
+    constructor(model, filter = {}, { session } = {}) {
+        this.model = model;  // The model whose collection is being queried
+        this.filter = filter;  // The query object or predicate function
+        this.session = session;  // The transaction session, if any
+        this._sort = null;
+        this._skip = 0;
+        this._limit = null;
+        this._projection = null;
+        this._populate = [];
+    }
+
+    /**
+     * Sorts the results by one or more fields.
+     * @param {Object} spec The sort specification, e.g. `{ age: -1, username: 1 }` (1 = ascending, -1 = descending).
+     * @returns {Cursor} The cursor, for chaining.
+     */
+    sort(spec) {
+        Cursor.validateSort(spec);
+        this._sort = spec;
+        return this;
+    }
+
+    /**
+     * Skips the first `n` results.
+     * @param {number} n The number of results to skip.
+     * @returns {Cursor} The cursor, for chaining.
+     */
+    skip(n) {
+        if (!Number.isInteger(n) || n < 0) throw new Error("[VunshDB] skip() expects a non-negative integer.");
+        this._skip = n;
+        return this;
+    }
+
+    /**
+     * Limits the number of results.
+     * @param {number} n The maximum number of results (0 for no limit).
+     * @returns {Cursor} The cursor, for chaining.
+     */
+    limit(n) {
+        if (!Number.isInteger(n) || n < 0) throw new Error("[VunshDB] limit() expects a non-negative integer.");
+        this._limit = n === 0 ? null : n;
+        return this;
+    }
+
+    /**
+     * Selects which fields are returned.
+     * Either include fields with `{ field: 1 }` or exclude them with `{ field: 0 }`. `_id` is included unless
+     * explicitly excluded. Projected documents are plain objects and don't have a `save` method.
+     *
+     * @param {Object} projection The projection, e.g. `{ username: 1, email: 1 }`.
+     * @returns {Cursor} The cursor, for chaining.
+     */
+    select(projection) {
+        if (projection === null || typeof projection !== "object" || Array.isArray(projection)) {
+            throw new Error("[VunshDB] Invalid projection. Expected an object like { field: 1 }.");
+        }
+        const modes = new Set(Object.keys(projection).filter(key => key !== "_id").map(key => Boolean(projection[key])));
+        if (modes.size > 1) throw new Error("[VunshDB] A projection can't mix included and excluded fields.");
+
+        this._projection = projection;
+        return this;
+    }
+
+    /**
+     * Replaces reference fields of the results with the documents they point to. Can be called several times.
+     * @param {string|Object|Array} paths The path(s) to populate, e.g. `"author"` or
+     * `{ path: "comments", select: { text: 1 }, populate: "author" }`. See `Model.populate()`.
+     * @returns {Cursor} The cursor, for chaining.
+     */
+    populate(paths) {
+        this._populate.push(...Populate.normalize(paths));
+        return this;
+    }
+
+    /**
+     * Counts the documents matching the filter. Like MongoDB, `skip()` and `limit()` are ignored so the
+     * result can be used as the total for pagination.
+     * @returns {Promise<number>} The number of matching documents.
+     */
+    async count() {
+        return await this.model._measure("count", this.filter, async () => {
+            return (await this.model._query(this.filter, { session: this.session })).length;
+        });
+    }
+
+    /**
+     * Runs the query and returns every result.
+     * @returns {Promise<Array>} The matching documents after sorting, skipping, limiting, projecting and populating.
+     */
+    async toArray() {
+        return await this.model._measure("find", this.filter, async () => {
+            let docs = await this.model._query(this.filter, { session: this.session });
+
+            if (this._sort) docs.sort((a, b) => Cursor.compareDocs(a, b, this._sort));
+            docs = docs.slice(this._skip, this._limit === null ? undefined : this._skip + this._limit);
+
+            docs = this._projection
+                ? docs.map(doc => Cursor.project(doc, this._projection))
+                : docs.map(doc => this.model._hydrate(doc));
+
+            if (this._populate.length > 0) await this.model.populate(docs, this._populate, { session: this.session });
+            return docs;
+        });
+    }
+
+    /**
+     * Allows iterating over the results with `for await...of`.
+     */
+    async *[Symbol.asyncIterator]() {
+        for (const doc of await this.toArray()) yield doc;
+    }
+
+    /**
+     * Allows awaiting the cursor directly (`await Model.find({})`).
+     */
+    then(resolve, reject) {
+        return this.toArray().then(resolve, reject);
+    }
+
+    /**
+     * Checks that a sort specification is an object of 1 (ascending) or -1 (descending) directions.
+     * @param {Object} spec The sort specification.
+     * @throws {Error} Throws an error if the specification is invalid.
+     */
+    static validateSort(spec) {
+        if (spec === null || typeof spec !== "object" || Array.isArray(spec)) {
+            throw new Error("[VunshDB] Invalid sort. Expected an object like { field: 1 }.");
+        }
+        for (const field in spec) {
+            if (spec[field] !== 1 && spec[field] !== -1) {
+                throw new Error(`[VunshDB] Invalid sort direction for "${field}". Expected 1 or -1.`);
+            }
+        }
+    }
+
+    /**
+     * Compares two documents using a sort specification.
+     * @param {Object} a The first document.
+     * @param {Object} b The second document.
+     * @param {Object} spec The sort specification.
+     * @returns {number} A negative, zero or positive number.
+     */
+    static compareDocs(a, b, spec) {
+        for (const field in spec) {
+            const result = Cursor.compareValues(Query.getValue(a, field), Query.getValue(b, field));
+            if (result !== 0) return result * spec[field];
+        }
+        return 0;
+    }
+
+    /**
+     * Compares two values for sorting. Missing values sort first, then numbers, strings, booleans and
+     * everything else (compared by their JSON representation).
+     * @param {*} a The first value.
+     * @param {*} b The second value.
+     * @returns {number} A negative, zero or positive number.
+     */
+    static compareValues(a, b) {
+        const rank = (value) => {
+            if (value === undefined || value === null) return 0;
+            if (typeof value === "number") return 1;
+            if (typeof value === "string") return 2;
+            if (typeof value === "boolean") return 3;
+            return 4;
+        };
+
+        const rankA = rank(a);
+        const rankB = rank(b);
+        if (rankA !== rankB) return rankA - rankB;
+        if (rankA === 0) return 0;
+        if (rankA === 4) {
+            a = JSON.stringify(a);
+            b = JSON.stringify(b);
+        }
+        if (a === b) return 0;
+        return a < b ? -1 : 1;
+    }
+
+    /**
+     * Applies a projection to a document.
+     * @param {Object} doc The document to project.
+     * @param {Object} projection The projection specification.
+     * @returns {Object} A new object containing only the selected fields.
+     */
+    static project(doc, projection) {
+        const fields = Object.keys(projection).filter(key => key !== "_id");
+        const inclusive = fields.length > 0 ? Boolean(projection[fields[0]]) : false;
+        const keepId = projection._id === undefined || Boolean(projection._id);
+
+        let result;
+        if (inclusive) {
+            result = {};
+            for (const field of fields) {
+                const value = Query.getValue(doc, field);
+                if (value !== undefined) Update.setPath(result, field, value);
+            }
+        } else {
+            result = JSON.parse(JSON.stringify(doc));
+            for (const field of fields) Update.unsetPath(result, field);
+        }
+
+        if (keepId && doc._id !== undefined) result._id = doc._id;
+        else delete result._id;
+        return result;
+    }
+};
@@ -0,0 +1,164 @@
+const Query = require("./Query");
+
+/**
+ * A document of a model, returned by `create()`, `findOne()`, `findMany()`, cursors and the other methods that
+ * return documents. Its fields are plain properties (fields with `get`/`set` transforms are accessors), and the
+ * schema's methods and virtuals are defined on the model's document class, see `Document.compile()`.
+ *
+ * Example usage:
+ * ```javascript
+ * const user = await User.findOne({ username: "johndoe" });
+ * user.age = 31;
+ * console.log(user.isModified("age")); // true
+ * await user.save();
+ * ```
+ */
+class Document {
+    #values = {};  // The stored values of the fields with transforms
+    #original;  // The document (JSON) as it was loaded or last saved, for isModified()
+    #isNew;  // Whether the document hasn't been written yet
+
+    /**
+     * @param {Object} [data={}] The fields of the document. Field setters run on new documents only, the fields
+     * of stored documents are loaded as they are.
+     * @param {Object} [options={}] `{ isNew: false }` for documents read from the collection.
+     */
+    constructor(data = {}, { isNew = true } = {}) {
+        for (const [field, { get, set }] of Object.entries(this.constructor.transforms)) {
+            Object.defineProperty(this, field, {
+                enumerable: true,
+                configurable: true,
+                get: () => get ? get.call(this, this.#values[field]) : this.#values[field],
+                set: (value) => { this.#values[field] = set ? set.call(this, value) : value; }
+            });
+        }
+        for (const [field, value] of Object.entries(data)) {
+            if (Object.prototype.hasOwnProperty.call(this.constructor.transforms, field)) {
+                if (isNew) this[field] = value;
+                else this.#values[field] = value;
+            }
+            else Object.defineProperty(this, field, { value, writable: true, enumerable: true, configurable: true });  // Bypasses virtuals of the same name
+        }
+        this.#original = JSON.stringify(this.#fields());
+        this.#isNew = isNew;
+    }
+
+    /**
+     * Saves the document, see `Model.save()`.
+     * @param {Object} [options={}] `{ session }` to run the call inside a transaction.
+     * @returns {Promise<Document>} The document.
+     * @throws {Error} If the document was read from a collection without `_id`s (it can't be found again).
+     */
+    async save(options = {}) {
+        if (!this.#isNew && this._id === undefined) {
+            throw new Error(`[VunshDB] Documents of collection "${this.constructor.model.collectionName}" have no _id, so they can't be saved again. Use updateOne() instead.`);
+        }
+        return await this.constructor.model.save(this, options);
+    }
+
+    /**
+     * Deletes the document (or marks it deleted under the schema option `softDelete`).
+     * @param {Object} [options={}] `{ session }` to run the call inside a transaction.
+     * @returns {Promise<boolean>} `true` if the document was deleted.
+     * @throws {Error} If the document has no `_id`.
+     */
+    async remove(options = {}) {
+        if (this._id === undefined) throw new Error("[VunshDB] Documents without an _id can't be removed. Use deleteOne() instead.");
+        return await this.constructor.model.deleteOne({ _id: this._id }, options);
+    }
+
+    /**
+     * Converts the document to a plain object, as it is stored.
+     * @param {Object} [options={}] The conversion options.
+     * @param {boolean} [options.getters=false] Whether fields are converted with their `get` transforms.
+     * @param {boolean} [options.virtuals=false] Whether the virtuals are included.
+     * @returns {Object} A deep copy of the document's fields (populated documents become plain objects too).
+     */
+    toObject({ getters = false, virtuals = false } = {}) {
+        const object = this.#fields(getters);
+        if (virtuals) {
+            for (const name in this.constructor.schema.virtuals) object[name] = this[name];
+        }
+        return JSON.parse(JSON.stringify(object));
+    }
+
+    #fields(getters = false) {
+        const object = {};
+        for (const field of Object.keys(this)) {
+            const transformed = Object.prototype.hasOwnProperty.call(this.constructor.transforms, field);
+            object[field] = transformed && !getters ? this.#values[field] : this[field];
+        }
+        return object;
+    }
+
+    /**
+     * Converts the document for `JSON.stringify()` (e.g. in HTTP responses), with the schema option `toJSON`
+     * (`{ getters, virtuals }`, see `toObject()`) unless options are given.
+     * @param {Object} [options] The conversion options.
+     * @returns {Object} The plain object.
+     */
+    toJSON(options) {
+        const isOptions = options !== null && typeof options === "object";  // JSON.stringify() passes the property name
+        return this.toObject(isOptions ? options : this.constructor.schema.options.toJSON);
+    }
+
+    /**
+     * Checks whether the document was changed since it was loaded or last saved.
+     * @param {string} [path] A field (dot-notation supported); without it, any change counts.
+     * @returns {boolean} `true` if the field (or the document) was changed.
+     */
+    isModified(path) {
+        const current = JSON.stringify(this.#fields());
+        if (path === undefined || current === this.#original) return current !== this.#original;
+        return JSON.stringify(Query.resolvePath(JSON.parse(current), path)) !== JSON.stringify(Query.resolvePath(JSON.parse(this.#original), path));
+    }
+
+    /**
+     * Records that a document was written, so it is no longer new or modified.
+     * @param {Document} doc The document.
+     */
+    static markSaved(doc) {
+        doc.#original = JSON.stringify(doc.#fields());
+        doc.#isNew = false;
+    }
+
+    /**
+     * Creates the document class of a model: the schema's methods become methods of its documents and its virtuals
+     * properties with the virtual's getter and setter.
+     * @param {Object} model The model.
+     * @param {Schema} schema The model's schema.
+     * @returns {Function} The document class, a subclass of `Document`.
+     * @throws {Error} If a method or virtual has the name of a field or of a `Document` method.
+     */
+    static compile(model, schema) {
+        const ModelDocument = class extends Document {
+            static model = model;  // The model the documents belong to
+            static schema = schema;  // The model's schema
+            static transforms = schema.transforms();  // The fields with get/set transforms
+        };
+
+        const taken = (name) => Object.prototype.hasOwnProperty.call(schema.schemaDefinition, name) || name in Document.prototype;
+        for (const [name, fn] of Object.entries(schema.methods)) {
+            if (taken(name)) throw new Error(`[VunshDB] The method "${name}" of collection "${model.collectionName}" has the name of a field or document method.`);
+            Object.defineProperty(ModelDocument.prototype, name, { value: fn, writable: true, configurable: true });
+        }
+        for (const [name, { get, set }] of Object.entries(schema.virtuals)) {
+            if (taken(name) || name in schema.methods) {
+                throw new Error(`[VunshDB] The virtual "${name}" of collection "${model.collectionName}" has the name of a field or method.`);
+            }
+            Object.defineProperty(ModelDocument.prototype, name, {
+                configurable: true,
+                get() {
+                    return get ? get.call(this) : undefined;
+                },
+                set(value) {
+                    if (!set) throw new Error(`[VunshDB] The virtual "${name}" has no setter.`);
+                    set.call(this, value);
+                }
+            });
+        }
+        return ModelDocument;
+    }
+}
+
+module.exports = Document;
@@ -0,0 +1,81 @@
+/**
+ * Thrown when a document doesn't match its schema.
+ * Every failing path is listed in `errors` so all problems can be fixed at once.
+ *
+ * Example usage:
+ * ```javascript
+ * try {
+ *     await User.create({ age: -1 });
+ * } catch (e) {
+ *     if (e instanceof ValidationError) console.log(e.errors); // [{ path: "username", kind: "required", ... }, ...]
+ * }
+ * ```
+ */
+class ValidationError extends Error {
+    /**
+     * @param {Array<{ path: string, kind: string, message: string, value: * }>} errors The validation failures.
+     */
+    constructor(errors) {
+        super(`[VunshDB] Validation failed: ${errors.map(e => e.message).join("; ")}`);
+        this.name = "ValidationError";
+        this.errors = errors;  // Every failing path with its reason
+    }
+}
+
+/**
+ * Thrown when a write would store two documents with the same key in a unique index.
+ */
+class DuplicateKeyError extends Error {
+    /**
+     * @param {string} index The name of the violated index.
+     * @param {Object} keyValue The duplicated key, e.g. `{ email: "johndoe@example.com" }`.
+     */
+    constructor(index, keyValue) {
+        super(`[VunshDB] Duplicate key error on index "${index}": ${JSON.stringify(keyValue)}`);
+        this.name = "DuplicateKeyError";
+        this.index = index;  // The name of the violated index
+        this.keyValue = keyValue;  // The duplicated key
+    }
+}
+
+/**
+ * Thrown when a transaction can't be committed, for example because a collection it wrote to was modified by
+ * another write after the transaction read it. Nothing of the transaction is written.
+ */
+class TransactionError extends Error {
+    constructor(message) {
+        super(`[VunshDB] ${message}`);
+        this.name = "TransactionError";
+    }
+}
+
+/**
+ * Thrown when `save()` is called with a document that is no longer current: another write changed it after it
+ * was read (see the schema option `versionKey`). Read the document again and reapply the change.
+ */
+class VersionError extends Error {
+    /**
+     * @param {string} id The `_id` of the document.
+     * @param {number} version The version of the document that was saved.
+     * @param {number} current The version that is stored.
+     */
+    constructor(id, version, current) {
+        super(`[VunshDB] Document "${id}" is out of date: it was saved at version ${version}, but version ${current} is stored.`);
+        this.name = "VersionError";
+        this.id = id;  // The _id of the document
+        this.version = version;  // The version of the saved document
+        this.current = current;  // The stored version
+    }
+}
+
+/**
+ * Thrown when a filter or an update is invalid, for example an unknown operator or `$inc` on a text field.
+ */
+class QueryError extends Error {
+    constructor(message) {
+        super(`[VunshDB] ${message}`);
+        this.name = "QueryError";
+    }
+}
+
+module.exports = { ValidationError, DuplicateKeyError, TransactionError, VersionError, QueryError };
@@ -0,0 +1,235 @@
+const fs = require("fs");
+const path = require("path");
+const Schema = require("./Schema");
+
+module.exports = class Export {
+    /**
+     * Returns the format of an export file: the given one, or the one its extension suggests.
+     * @param {string} [file] The path of the file.
+     * @param {string} [format] The format requested by the caller.
+     * @returns {string} `"json"`, `"ndjson"` or `"csv"`.
+     * @throws {Error} Throws an error if the format is unknown.
+     */
+    static formatOf(file, format) {
+        if (format === undefined && file) {
+            const extension = path.extname(file).slice(1).toLowerCase();
+            format = extension === "jsonl" ? "ndjson" : extension;
+        }
+        format = format ?? "json";
+        if (!Export.formats.includes(format)) {
+            throw new Error(`[VunshDB] Unknown export format "${format}". Expected ${Export.formats.map(f => `"${f}"`).join(", ")}.`);
+        }
+        return format;
+    }
+
+    /**
+     * Serializes documents in an export format.
+     * @param {Array<Object>} docs The documents.
+     * @param {string} format `"json"` (an array), `"ndjson"` (one document per line) or `"csv"`.
+     * @returns {string} The file content.
+     */
+    static serialize(docs, format) {
+        if (format === "ndjson") return docs.map(doc => JSON.stringify(doc) + "\n").join("");
+        if (format === "csv") return Export.toCSV(docs);
+        return JSON.stringify(docs, null, 2);
+    }
+
+    /**
+     * Parses the records of an export file. A record that can't be parsed is returned with its error instead of
+     * failing the whole file.
+     * @param {string} content The file content.
+     * @param {string} format The format of the file.
+     * @param {Schema} schema The schema used to convert CSV values (which are all text) to the field types.
+     * @returns {Array<{ row: number, doc?: Object, error?: string }>} The records, `row` is their 1-based position
+     * in the file (not counting the CSV header).
+     * @throws {Error} Throws an error if the file as a whole is invalid, e.g. a JSON file that isn't an array.
+     */
+    static parse(content, format, schema) {
+        if (format === "json") {
+            let docs;
+            try {
+                docs = JSON.parse(content);
+            } catch (e) {
+                throw new Error(`[VunshDB] Invalid JSON export file\n${e}`);
+            }
+            if (!Array.isArray(docs)) throw new Error("[VunshDB] Invalid JSON export file. Expected an array of documents.");
+            return docs.map((doc, i) => Export.record(i + 1, doc));
+        }
+
+        if (format === "ndjson") {
+            return content.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+                try {
+                    return Export.record(i + 1, JSON.parse(line));
+                } catch (e) {
+                    return { row: i + 1, error: `Invalid JSON: ${e.message}` };
+                }
+            });
+        }
+
+        const [header, ...rows] = Export.parseCSV(content);
+        if (!header) return [];
+        return rows.map((values, i) => {
+            if (values.length !== header.length) {
+                return { row: i + 1, error: `Expected ${header.length} values, found ${values.length}` };
+            }
+            const doc = {};
+            header.forEach((field, j) => {
+                const value = Export.fromCSV(values[j], field, schema);
+                if (value !== undefined) Export.setPath(doc, field, value);
+            });
+            return { row: i + 1, doc };
+        });
+    }
+
+    static record(row, doc) {
+        return Schema.isPlainObject(doc) ? { row, doc } : { row, error: `Expected a document, found ${Schema.describe(doc)}` };
+    }
+
+    /**
+     * Serializes documents as CSV (RFC 4180). Nested objects are flattened into dot-notation columns
+     * (`address.city`), arrays are written as JSON.
+     * @param {Array<Object>} docs The documents.
+     * @returns {string} The CSV, with a header row of every column found in the documents.
+     */
+    static toCSV(docs) {
+        const rows = docs.map(doc => Export.flatten(doc));
+        const columns = [];
+        for (const row of rows) {
+            for (const column of Object.keys(row)) if (!columns.includes(column)) columns.push(column);
+        }
+        if (columns.length === 0) return "";
+
+        const lines = [columns, ...rows.map(row => columns.map(column => Export.toCSVValue(row[column])))];
+        return lines.map(values => values.map(Export.quoteCSV).join(",")).join("\r\n") + "\r\n";
+    }
+
+    /**
+     * Flattens nested objects into dot-notation keys.
+     * @param {Object} doc The document.
+     * @param {string} [prefix=""] The path of the object.
+     * @param {Object} [flat={}] Collects the values.
+     * @returns {Object} Path -> value.
+     */
+    static flatten(doc, prefix = "", flat = {}) {
+        for (const [key, value] of Object.entries(doc)) {
+            const field = prefix ? `${prefix}.${key}` : key;
+            if (Schema.isPlainObject(value) && Object.keys(value).length > 0) Export.flatten(value, field, flat);
+            else flat[field] = value;
+        }
+        return flat;
+    }
+
+    static toCSVValue(value) {
+        if (value === null || value === undefined) return "";
+        if (typeof value === "object") return JSON.stringify(value);  // Arrays and empty objects
+        return String(value);
+    }
+
+    static quoteCSV(value) {
+        return /[",\r\n]/.test(value) || value !== value.trim() ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    /**
+     * Parses CSV (RFC 4180): quoted values may contain commas, quotes (`""`) and line breaks.
+     * @param {string} content The CSV.
+     * @returns {Array<string[]>} The rows and their values, blank lines are skipped.
+     */
+    static parseCSV(content) {
+        const rows = [];
+        let row = [];
+        let value = "";
+        let quoted = false;
+
+        const endRow = () => {
+            row.push(value);
+            if (row.length > 1 || row[0] !== "") rows.push(row);
+            row = [];
+            value = "";
+        };
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ",") {
+                row.push(value);
+                value = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && content[i + 1] === "\n") i++;
+                endRow();
+            } else {
+                value += char;
+            }
+        }
+        if (value !== "" || row.length > 0) endRow();
+        return rows;
+    }
+
+    /**
+     * Converts a CSV value to the type of its schema field. Values that can't be converted are kept as text, so
+     * validation reports them.
+     * @param {string} value The CSV value.
+     * @param {string} field The column (dot-notation path).
+     * @param {Schema} schema The schema.
+     * @returns {*} The value, or `undefined` for an empty value.
+     */
+    static fromCSV(value, field, schema) {
+        if (value === "") return undefined;  // Missing, schema defaults apply
+        if (field === "_schemaVersion") return Number(value);
+
+        const definition = schema.path(field);
+        const type = definition && definition.type;
+        if (definition && definition.kind === "array") return Export.parseJSON(value);
+        switch (type) {
+            case Number: return isNaN(Number(value)) ? value : Number(value);
+            case Boolean: return value === "true" ? true : value === "false" ? false : value;
+            case String:
+            case Date:
+            case Schema.Types.ObjectId: return value;
+            default: return definition ? Export.parseJSON(value) : value;  // Mixed and Object values are written as JSON
+        }
+    }
+
+    static parseJSON(value) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    static setPath(doc, field, value) {
+        const keys = field.split(".");
+        let target = doc;
+        for (const key of keys.slice(0, -1)) {
+            if (!Schema.isPlainObject(target[key])) target[key] = {};
+            target = target[key];
+        }
+        target[keys[keys.length - 1]] = value;
+    }
+
+    /**
+     * Writes an export file (created with its directory if necessary).
+     * @param {string} file The path of the file.
+     * @param {string} content The content.
+     */
+    static writeFile(file, content) {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(file, content);
+    }
+
+    static readFile(file) {
+        return fs.readFileSync(file, "utf-8").replace(/^\uFEFF/, "");  // Spreadsheet programs often add a BOM
+    }
+
+    static formats = ["json", "ndjson", "csv"];
+};
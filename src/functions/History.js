@@ -0,0 +1,59 @@
+const Schema = require("./Schema");
+
+module.exports = class History {
+    /**
+     * Finds the documents a write changes or removes, for schemas with `history: true`. Every entry holds the
+     * document as it was before the write.
+     * @param {Array} previous The stored documents.
+     * @param {Array} docs The documents about to be written.
+     * @returns {Array<Object>} `{ _id, op, at, doc }` for every changed document, where `op` is `"update"`, `"delete"`
+     * (removed or marked deleted) or `"restore"` (no longer marked deleted).
+     */
+    static diff(previous, docs) {
+        const next = new Map();
+        for (const doc of docs) {
+            if (doc._id !== undefined) next.set(doc._id, doc);
+        }
+
+        const at = new Date().toISOString();
+        const entries = [];
+        for (const doc of previous) {
+            if (doc._id === undefined) continue;  // Documents without _id can't be looked up again
+            const current = next.get(doc._id);
+            if (current === doc) continue;  // Untouched documents are the same object
+
+            const op = History.opOf(doc, current);
+            if (op) entries.push({ _id: doc._id, op, at, doc: JSON.parse(JSON.stringify(doc)) });
+        }
+        return entries;
+    }
+
+    /**
+     * Describes how a document changed.
+     * @param {Object} before The stored document.
+     * @param {Object} [after] The document about to be written, undefined if it is removed.
+     * @returns {string|null} The operation, or null if the document didn't change.
+     */
+    static opOf(before, after) {
+        if (after === undefined) return "delete";
+        if (JSON.stringify(before) === JSON.stringify(after)) return null;
+
+        const wasDeleted = Schema.isDeleted(before);
+        if (!wasDeleted && Schema.isDeleted(after)) return "delete";
+        if (wasDeleted && !Schema.isDeleted(after)) return "restore";
+        return "update";
+    }
+
+    /**
+     * Lists the revisions of a document, oldest first. Revision `n` is the document as it was before its `n`th
+     * recorded change.
+     * @param {Array<Object>} entries Every history entry of the collection, in the order they were recorded.
+     * @param {string} id The `_id` of the document.
+     * @returns {Array<{ rev: number, op: string, at: string, doc: Object }>} The revisions.
+     */
+    static revisions(entries, id) {
+        return entries
+            .filter(entry => entry._id === id)
+            .map(({ op, at, doc }, i) => ({ rev: i + 1, op, at, doc }));
+    }
+};
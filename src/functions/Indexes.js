@@ -0,0 +1,279 @@
+const Query = require("./Query");
+const { DuplicateKeyError } = require("./Errors");
+
+module.exports = class IndexManager {
+    /**
+     * Keeps the secondary indexes of a collection in memory and persists them through the storage adapter
+     * (next to the `.vunsh.db` file for file storage).
+     * Index entries map a key (the JSON of the indexed values) to the positions of the documents in the collection,
+     * and are rebuilt whenever the collection data changes.
+     *
+     * @param {Object} storage The storage adapter the indexes are persisted with.
+     * @param {string} name The name the collection is stored under.
+     */
+    constructor(storage, name) {
+        this.storage = storage;  // Where the indexes are persisted
+        this.name = name;  // The collection the indexes belong to
+        this.indexes = new Map();  // Index name -> { name, fields, unique, multikey, entries }
+        this.signature = null;  // Signature of the collection data the entries were built from
+    }
+
+    /**
+     * Declares an index. The entries are built the next time the collection is read or written.
+     * @param {string|string[]|Object} fields The indexed field(s), e.g. `"email"` or `{ lastName: 1, firstName: 1 }`.
+     * @param {Object} [options={}] The index options.
+     * @param {boolean} [options.unique=false] Whether two documents may share the same key.
+     * @param {string} [options.name] A custom index name (defaults to e.g. `email_1`).
+     * @returns {string} The name of the index.
+     * @throws {Error} Throws an error if an index with the same name but different options exists.
+     */
+    define(fields, { unique = false, name } = {}) {
+        fields = IndexManager.normalizeFields(fields);
+        name = name || IndexManager.nameFor(fields);
+
+        const existing = this.indexes.get(name);
+        if (existing) {
+            if (existing.unique !== Boolean(unique) || JSON.stringify(existing.fields) !== JSON.stringify(fields)) {
+                throw new Error(`[VunshDB] Index "${name}" already exists with different options.`);
+            }
+            return name;
+        }
+
+        this.indexes.set(name, { name, fields, unique: Boolean(unique), multikey: false, entries: new Map() });
+        this.signature = null;  // Entries of the new index still have to be built
+        return name;
+    }
+
+    /**
+     * Removes an index.
+     * @param {string} name The name of the index.
+     * @returns {boolean} `true` if the index existed.
+     */
+    drop(name) {
+        const existed = this.indexes.delete(name);
+        if (existed) this.persist();
+        return existed;
+    }
+
+    /**
+     * Loads the persisted indexes. Entries are only reused if every declared index matches its persisted definition.
+     */
+    load() {
+        const stored = this.storage.readIndexes(this.name);
+        if (!stored) return;  // Nothing persisted, the indexes are built from the collection
+
+        let reusable = true;
+        for (const index of stored.indexes || []) {
+            const current = this.indexes.get(index.name);
+            if (current && (current.unique !== index.unique || JSON.stringify(current.fields) !== JSON.stringify(index.fields))) {
+                reusable = false;
+                continue;
+            }
+            this.indexes.set(index.name, { ...index, entries: new Map(index.entries) });
+        }
+
+        const loadedNames = new Set((stored.indexes || []).map(index => index.name));
+        if (reusable && [...this.indexes.keys()].every(name => loadedNames.has(name))) {
+            this.signature = stored.signature;
+        }
+    }
+
+    /**
+     * Rebuilds the entries if the collection changed since they were last built.
+     * Unique violations in data written outside of VunshDB are tolerated here.
+     * @param {Array} db The documents of the collection.
+     * @param {string} signature The signature of the collection data.
+     */
+    refresh(db, signature) {
+        if (this.signature === signature) return;
+        this.apply(this.build(db, { strict: false }), signature);
+    }
+
+    /**
+     * Builds the entries of every index for the given documents without changing the current state.
+     * @param {Array} db The documents of the collection.
+     * @param {Object} [options={}] The build options.
+     * @param {boolean} [options.strict=true] Whether to throw on unique violations.
+     * @returns {Map} Index name -> `{ entries, multikey }`
+     * @throws {DuplicateKeyError} Throws an error if a unique index would be violated.
+     */
+    build(db, { strict = true } = {}) {
+        const built = new Map();
+
+        for (const index of this.indexes.values()) {
+            const entries = new Map();
+            let multikey = false;
+
+            db.forEach((doc, position) => {
+                const { keys, isArray } = IndexManager.keysFor(doc, index.fields);
+                multikey = multikey || isArray;
+
+                for (const key of keys) {
+                    const positions = entries.get(key);
+                    if (!positions) {
+                        entries.set(key, [position]);
+                        continue;
+                    }
+                    if (index.unique && strict) throw new DuplicateKeyError(index.name, IndexManager.keyValueOf(index, key));
+                    positions.push(position);
+                }
+            });
+
+            built.set(index.name, { entries, multikey });
+        }
+        return built;
+    }
+
+    /**
+     * Tracks the keys of the unique indexes while a batch changes the documents one operation at a time, so only
+     * the operations that would violate a unique index are rejected.
+     * @param {Array} db The documents of the collection before the batch.
+     * @returns {{ swap: Function }} `swap(removed, added)` replaces documents: it throws a `DuplicateKeyError` (and
+     * changes nothing) if an added document would share a unique key with another document.
+     */
+    uniqueGuard(db) {
+        const unique = [...this.indexes.values()].filter(index => index.unique);
+        const counts = new Map(unique.map(index => [index.name, new Map()]));  // Index name -> key -> documents
+        const change = (docs, delta) => {
+            for (const doc of docs) {
+                for (const index of unique) {
+                    const keys = counts.get(index.name);
+                    for (const key of IndexManager.keysFor(doc, index.fields).keys) keys.set(key, (keys.get(key) || 0) + delta);
+                }
+            }
+        };
+        change(db, 1);
+
+        return {
+            swap(removed, added) {
+                change(removed, -1);
+                const claimed = new Set();  // Keys of the documents added so far, "<index>\0<key>"
+                for (const doc of added) {
+                    for (const index of unique) {
+                        for (const key of IndexManager.keysFor(doc, index.fields).keys) {
+                            if (counts.get(index.name).get(key) > 0 || claimed.has(`${index.name}\0${key}`)) {
+                                change(removed, 1);  // Undo, nothing is swapped
+                                throw new DuplicateKeyError(index.name, IndexManager.keyValueOf(index, key));
+                            }
+                            claimed.add(`${index.name}\0${key}`);
+                        }
+                    }
+                }
+                change(added, 1);
+            }
+        };
+    }
+
+    /**
+     * Replaces the entries with freshly built ones and persists them.
+     * @param {Map} built The result of `build()`.
+     * @param {string} signature The signature of the collection data the entries were built from.
+     */
+    apply(built, signature) {
+        for (const [name, { entries, multikey }] of built) {
+            const index = this.indexes.get(name);
+            if (!index) continue;
+            index.entries = entries;
+            index.multikey = multikey;
+        }
+        this.signature = signature;
+        this.persist();
+    }
+
+    /**
+     * Uses the indexes to find the candidate positions for a filter.
+     * Only equality conditions on strings, numbers and booleans can be served; the candidates still have to be
+     * matched against the full filter.
+     * @param {Object|Function} filter The query object or predicate function.
+     * @returns {number[]|null} The candidate positions in collection order, or `null` if no index applies.
+     */
+    lookup(filter) {
+        if (filter === null || typeof filter !== "object" || Array.isArray(filter)) return null;
+
+        let best = null;
+        for (const index of this.indexes.values()) {
+            const fields = Object.keys(index.fields);
+            if (fields.length > 1 && index.multikey) continue;  // Compound keys of array values can't be looked up
+
+            const values = fields.map(field => IndexManager.equalityValue(filter[field]));
+            if (values.some(value => value === undefined)) continue;
+
+            const positions = index.entries.get(JSON.stringify(values)) || [];
+            if (!best || positions.length < best.length) best = positions;
+        }
+        return best ? [...best].sort((a, b) => a - b) : null;
+    }
+
+    /**
+     * Lists the declared indexes.
+     * @returns {Array<{ name: string, fields: Object, unique: boolean }>} The index definitions.
+     */
+    list() {
+        return [...this.indexes.values()].map(({ name, fields, unique }) => ({ name, fields, unique }));
+    }
+
+    /**
+     * Persists the index definitions and entries.
+     */
+    persist() {
+        const indexes = [...this.indexes.values()].map(index => ({ ...index, entries: [...index.entries] }));
+        this.storage.writeIndexes(this.name, { signature: this.signature, indexes });
+    }
+
+    /**
+     * Computes the keys a document contributes to an index. Documents without a value for any of the indexed
+     * fields are left out, and every element of an array value gets its own key on single-field indexes.
+     * @param {Object} doc The document.
+     * @param {Object} fields The indexed fields.
+     * @returns {{ keys: string[], isArray: boolean }} The keys and whether any indexed value is an array.
+     */
+    static keysFor(doc, fields) {
+        const names = Object.keys(fields);
+        const resolved = names.map(field => Query.resolvePath(doc, field));
+        const isArray = resolved.some(values => values.length > 1 || Array.isArray(values[0]));
+
+        if (names.length === 1) {
+            const values = resolved[0].flatMap(value => Array.isArray(value) ? value : [value]).filter(IndexManager.isIndexable);
+            return { keys: [...new Set(values.map(value => JSON.stringify([value])))], isArray };
+        }
+
+        const values = resolved.map(found => found.length > 1 ? found : found[0]);
+        if (!values.some(IndexManager.isIndexable)) return { keys: [], isArray };
+        return { keys: [JSON.stringify(values.map(value => value === undefined ? null : value))], isArray };
+    }
+
+    /**
+     * Extracts the value of an equality condition that can be looked up in an index.
+     * @param {*} condition The condition of a filter field.
+     * @returns {string|number|boolean|undefined} The value, or `undefined` if the condition can't use an index.
+     */
+    static equalityValue(condition) {
+        if (Query.isOperatorObject(condition)) {
+            const keys = Object.keys(condition);
+            if (keys.length !== 1 || keys[0] !== "$eq") return undefined;
+            condition = condition.$eq;
+        }
+        if (["string", "number", "boolean"].includes(typeof condition) && IndexManager.isIndexable(condition)) return condition;
+        return undefined;
+    }
+
+    static keyValueOf(index, key) {
+        const values = JSON.parse(key);
+        return Object.fromEntries(Object.keys(index.fields).map((field, i) => [field, values[i]]));
+    }
+
+    static isIndexable(value) {
+        return value !== undefined && value !== null && value !== "";
+    }
+
+    static normalizeFields(fields) {
+        if (typeof fields === "string") return { [fields]: 1 };
+        if (Array.isArray(fields) && fields.length > 0) return Object.fromEntries(fields.map(field => [field, 1]));
+        if (fields !== null && typeof fields === "object" && !Array.isArray(fields) && Object.keys(fields).length > 0) return { ...fields };
+        throw new Error("[VunshDB] Invalid index fields. Expected a field name, an array of names or an object like { field: 1 }.");
+    }
+
+    static nameFor(fields) {
+        return Object.keys(fields).map(field => `${field}_${fields[field]}`).join("_");
+    }
+};
@@ -0,0 +1,274 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const byFilter = (criteria = {}) => criteria;  // Operations whose first argument is a filter
+
+module.exports = class Metrics {
+    /**
+     * Collects operation metrics of a database in memory: per model and operation the number of calls, errors and
+     * a latency histogram, the number of interactions, and a log of slow queries with their filter, duration and
+     * the number of documents scanned.
+     *
+     * @param {Object} [options={}] The metrics options.
+     * @param {number|null} [options.slowQueryThreshold=100] Operations taking at least this long (ms) are logged as
+     * slow queries, `null` disables the log.
+     */
+    constructor({ slowQueryThreshold = Metrics.slowQueryThreshold } = {}) {
+        this.slowQueryThreshold = slowQueryThreshold;  // Minimum duration of a slow query (ms)
+        this.countInteractions = true;  // Whether operations count as interactions (the `$interactioncount` setting)
+        this.trackRuntime = true;  // Whether the runtime is written to the `rt` system collection (the `$runtime` setting)
+        this.operations = new Map();  // "<collection>\0<operation>" -> { collection, op, count, errors, totalMs, maxMs, buckets }
+        this.slowQueries = [];  // The latest slow queries, oldest first
+        this.interactions = 0;  // Interactions since the database was connected
+        this.unflushed = 0;  // Interactions not yet added to the `ti` system collection
+        this.startedAt = Date.now();  // When the database was connected
+    }
+
+    /**
+     * Measures an operation. Operations started while another operation of the same collection runs (e.g.
+     * `findById()` calling `findOne()`) are counted as part of it.
+     * @param {string} collection The name of the collection.
+     * @param {string} op The name of the operation.
+     * @param {*} filter The filter of the operation (logged for slow queries), or null.
+     * @param {Function} fn The (async) operation.
+     * @returns {Promise<*>} The result of `fn`.
+     */
+    async measure(collection, op, filter, fn) {
+        if (Metrics.background.getStore()) return await fn();  // Not a user operation
+        const operation = this.begin(collection, op, filter);
+        try {
+            const result = await Metrics.context.run(operation.outer || operation, fn);
+            this.end(operation, Metrics.countResult(result));
+            return result;
+        } catch (e) {
+            this.end(operation, undefined, e);
+            throw e;
+        }
+    }
+
+    /**
+     * Measures an operation that streams its results, e.g. an aggregation. It ends once the stream is consumed.
+     * @param {string} collection The name of the collection.
+     * @param {string} op The name of the operation.
+     * @param {*} filter The filter of the operation, or null.
+     * @param {AsyncIterable} iterable The results.
+     */
+    async *measureStream(collection, op, filter, iterable) {
+        if (Metrics.background.getStore()) return yield* iterable;
+        const operation = this.begin(collection, op, filter);
+        const iterator = iterable[Symbol.asyncIterator]();
+        let returned = 0;
+        let done = false;
+        let error;
+        try {
+            while (true) {
+                // Every step runs in the operation's context, so the documents it scans are counted
+                const step = await Metrics.context.run(operation.outer || operation, () => iterator.next());
+                if ((done = step.done)) break;
+                returned++;
+                yield step.value;
+            }
+        } catch (e) {
+            error = e;
+            throw e;
+        } finally {
+            if (!done && !error) await iterator.return?.();  // The consumer stopped early, e.g. with break
+            this.end(operation, returned, error);
+        }
+    }
+
+    begin(collection, op, filter) {
+        const outer = Metrics.context.getStore();
+        if (outer && outer.collection === collection) return { outer };  // Part of the outer operation
+        return { collection, op, filter, started: performance.now(), scanned: 0 };
+    }
+
+    /**
+     * Records a finished operation.
+     * @param {Object} operation The operation from `begin()`.
+     * @param {number} [returned] The number of documents it returned.
+     * @param {Error} [error] The error it failed with.
+     */
+    end(operation, returned, error) {
+        if (operation.outer) return;
+        const duration = performance.now() - operation.started;
+        const { collection, op } = operation;
+
+        const key = `${collection}\0${op}`;
+        if (!this.operations.has(key)) {
+            this.operations.set(key, { collection, op, count: 0, errors: 0, totalMs: 0, maxMs: 0, buckets: new Array(Metrics.buckets.length + 1).fill(0) });
+        }
+        const stats = this.operations.get(key);
+        stats.count++;
+        if (error) stats.errors++;
+        stats.totalMs += duration;
+        stats.maxMs = Math.max(stats.maxMs, duration);
+        const bucket = Metrics.buckets.findIndex(le => duration <= le);
+        stats.buckets[bucket === -1 ? Metrics.buckets.length : bucket]++;
+
+        if (this.countInteractions) {
+            this.interactions++;
+            this.unflushed++;
+        }
+
+        if (this.slowQueryThreshold !== null && duration >= this.slowQueryThreshold) {
+            this.slowQueries.push({
+                collection,
+                op,
+                filter: Metrics.describeFilter(operation.filter),
+                duration: Math.round(duration * 100) / 100,
+                scanned: operation.scanned,
+                returned: returned ?? null,
+                at: new Date().toISOString()
+            });
+            if (this.slowQueries.length > Metrics.slowQueryLimit) this.slowQueries.shift();
+        }
+    }
+
+    /**
+     * Returns the metrics of a collection's operations.
+     * @param {string} collection The name of the collection.
+     * @returns {Object} Operation name -> `{ count, errors, totalMs, avgMs, maxMs, histogram }`, where `histogram` maps the
+     * upper bound of every bucket (ms, cumulative like Prometheus) to the number of operations.
+     */
+    operationsOf(collection) {
+        const operations = {};
+        for (const stats of this.operations.values()) {
+            if (stats.collection !== collection) continue;
+
+            const histogram = {};
+            let total = 0;
+            Metrics.buckets.forEach((le, i) => (histogram[le] = total += stats.buckets[i]));
+            histogram["+Inf"] = stats.count;
+
+            operations[stats.op] = {
+                count: stats.count,
+                errors: stats.errors,
+                totalMs: Math.round(stats.totalMs * 100) / 100,
+                avgMs: Math.round(stats.totalMs / stats.count * 100) / 100,
+                maxMs: Math.round(stats.maxMs * 100) / 100,
+                histogram
+            };
+        }
+        return operations;
+    }
+
+    /**
+     * Formats metrics in the Prometheus text exposition format.
+     * @param {Object} stats The result of `VunshDB.prototype.stats()`.
+     * @returns {string} The metrics.
+     */
+    static toPrometheus(stats) {
+        const lines = [];
+        const metric = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        const labels = (values) => `{${Object.entries(values).map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, c => c === "\n" ? "\\n" : `\\${c}`)}"`).join(",")}}`;
+        const models = Object.entries(stats.models);
+
+        metric("vunshdb_uptime_seconds", "gauge", "Seconds since the database was connected.");
+        lines.push(`vunshdb_uptime_seconds ${stats.uptime}`);
+        metric("vunshdb_interactions_total", "counter", "Operations run on the database since it was created.");
+        lines.push(`vunshdb_interactions_total ${stats.interactions.total}`);
+        metric("vunshdb_slow_queries", "gauge", "Slow queries in the slow query log.");
+        lines.push(`vunshdb_slow_queries ${stats.slowQueries.length}`);
+
+        metric("vunshdb_documents", "gauge", "Documents stored in a collection.");
+        for (const [collection, { documents }] of models) lines.push(`vunshdb_documents${labels({ collection })} ${documents}`);
+        metric("vunshdb_collection_size_bytes", "gauge", "Size of a collection in storage.");
+        for (const [collection, { size }] of models) {
+            if (size !== null) lines.push(`vunshdb_collection_size_bytes${labels({ collection })} ${size}`);
+        }
+
+        metric("vunshdb_operations_total", "counter", "Operations run on a collection.");
+        for (const [collection, { operations }] of models) {
+            for (const [op, { count }] of Object.entries(operations)) lines.push(`vunshdb_operations_total${labels({ collection, op })} ${count}`);
+        }
+        metric("vunshdb_operation_errors_total", "counter", "Operations on a collection that failed.");
+        for (const [collection, { operations }] of models) {
+            for (const [op, { errors }] of Object.entries(operations)) lines.push(`vunshdb_operation_errors_total${labels({ collection, op })} ${errors}`);
+        }
+        metric("vunshdb_operation_duration_seconds", "histogram", "Duration of operations on a collection.");
+        for (const [collection, { operations }] of models) {
+            for (const [op, { count, totalMs, histogram }] of Object.entries(operations)) {
+                for (const [le, value] of Object.entries(histogram)) {
+                    lines.push(`vunshdb_operation_duration_seconds_bucket${labels({ collection, op, le: le === "+Inf" ? le : Number(le) / 1000 })} ${value}`);
+                }
+                lines.push(`vunshdb_operation_duration_seconds_sum${labels({ collection, op })} ${totalMs / 1000}`);
+                lines.push(`vunshdb_operation_duration_seconds_count${labels({ collection, op })} ${count}`);
+            }
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Runs a background task of the database (e.g. the TTL sweeper). The operations it runs aren't measured and
+     * don't count as interactions, so the metrics only describe the operations of the application.
+     * @param {Function} fn The (async) task.
+     * @returns {Promise<*>} The result of `fn`.
+     */
+    static async internal(fn) {
+        return await Metrics.background.run(true, fn);
+    }
+
+    /**
+     * Counts the documents scanned by the running operation (called by the query engine).
+     * @param {number} count The number of documents.
+     */
+    static scan(count) {
+        const operation = Metrics.context.getStore();
+        if (operation) operation.scanned += count;
+    }
+
+    static countResult(result) {
+        if (Array.isArray(result)) return result.length;
+        if (result === null) return 0;
+        if (typeof result === "object" && result._id !== undefined) return 1;  // A document
+        return undefined;
+    }
+
+    static describeFilter(filter) {
+        if (filter === undefined || filter === null) return null;
+        if (typeof filter === "function") return "[Function]";
+        // A JSON copy, with regular expressions kept readable
+        return JSON.parse(JSON.stringify(filter, (key, value) => value instanceof RegExp ? String(value) : value));
+    }
+
+    static context = new AsyncLocalStorage();  // The operation running in the current async context
+    static background = new AsyncLocalStorage();  // Set while a background task runs, see internal()
+    static buckets = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];  // Upper bounds of the latency histogram (ms)
+    static slowQueryThreshold = 100;  // Default minimum duration of a slow query (ms)
+    static slowQueryLimit = 100;  // How many slow queries are kept
+
+    /**
+     * The model operations that are measured, with a function returning the filter shown in the slow query log
+     * from their arguments.
+     */
+    static operations = {
+        create: null,
+        insertMany: null,
+        bulkWrite: null,
+        save: null,
+        findOne: byFilter,
+        findById: (id) => ({ _id: id }),
+        findMany: byFilter,
+        countDocuments: byFilter,
+        count: byFilter,
+        distinct: (field, criteria = {}) => criteria,
+        search: (query) => ({ $search: query }),
+        deleteOne: byFilter,
+        deleteMany: byFilter,
+        restore: byFilter,
+        purge: byFilter,
+        history: (id) => ({ _id: id }),
+        revert: (id) => ({ _id: id }),
+        updateOne: byFilter,
+        updateMany: byFilter,
+        findOneAndUpdate: byFilter,
+        wipe: null,
+        drop: null,
+        compact: null,
+        createIndex: null,
+        dropIndex: null,
+        populate: null,
+        export: null,
+        import: null
+    };
+};
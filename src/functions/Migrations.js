@@ -0,0 +1,81 @@
+module.exports = class Migrations {
+    /**
+     * Checks and sorts the migrations of a collection.
+     * @param {Array<Object>} migrations The migrations, `{ collection, version, up, down }`.
+     * @returns {Map<string, Array<Object>>} Collection name -> its migrations sorted by version.
+     * @throws {Error} Throws an error if a migration is invalid or a version is defined twice.
+     */
+    static normalize(migrations) {
+        if (!Array.isArray(migrations)) throw new Error("[VunshDB] Invalid migrations. Expected an array of { collection, version, up, down }.");
+
+        const byCollection = new Map();
+        for (const migration of migrations) {
+            const { collection, version, up, down } = migration || {};
+            if (typeof collection !== "string" || !collection) throw new Error("[VunshDB] Every migration needs the name of its collection.");
+            if (!Number.isInteger(version) || version < 1) throw new Error(`[VunshDB] Invalid migration version for collection "${collection}". Expected a positive integer.`);
+            if (typeof up !== "function") throw new Error(`[VunshDB] Migration ${version} of collection "${collection}" needs an up() function.`);
+            if (down !== undefined && typeof down !== "function") throw new Error(`[VunshDB] The down() of migration ${version} of collection "${collection}" must be a function.`);
+
+            if (!byCollection.has(collection)) byCollection.set(collection, []);
+            const list = byCollection.get(collection);
+            if (list.some(existing => existing.version === version)) {
+                throw new Error(`[VunshDB] Migration ${version} of collection "${collection}" is defined twice.`);
+            }
+            list.push({ version, up, down });
+        }
+
+        for (const list of byCollection.values()) list.sort((a, b) => a.version - b.version);
+        return byCollection;
+    }
+
+    /**
+     * Lists the functions that take a document from one version to another: the `up()` of every migration above
+     * `from` up to `to`, or the `down()` of every migration from `from` down to above `to`.
+     * @param {Array<Object>} list The sorted migrations of the collection.
+     * @param {number} from The version of the document.
+     * @param {number} to The target version.
+     * @param {string} collection The name of the collection (used in errors).
+     * @returns {Function[]} The functions to apply in order.
+     * @throws {Error} Throws an error if a migration to roll back has no `down()`.
+     */
+    static steps(list, from, to, collection) {
+        if (from < to) {
+            return list.filter(({ version }) => version > from && version <= to).map(({ up }) => up);
+        }
+        return list
+            .filter(({ version }) => version <= from && version > to)
+            .reverse()
+            .map(({ version, down }) => {
+                if (!down) throw new Error(`[VunshDB] Can't roll back collection "${collection}" below version ${version}, its migration has no down().`);
+                return down;
+            });
+    }
+
+    /**
+     * Migrates a document. Migration functions may modify the document or return a new one, and may be async.
+     * @param {Object} doc The document.
+     * @param {Function[]} steps The functions from `steps()`.
+     * @param {number} version The version the document is at afterwards.
+     * @returns {Promise<Object>} The migrated document, stamped with its version.
+     */
+    static async apply(doc, steps, version) {
+        let migrated = JSON.parse(JSON.stringify(doc));
+        for (const step of steps) migrated = (await step(migrated)) ?? migrated;
+        migrated = JSON.parse(JSON.stringify(migrated));  // As it will be stored (e.g. without undefined fields)
+        migrated[Migrations.versionField] = version;
+        return migrated;
+    }
+
+    /**
+     * Returns the version of a stored document: its stamp, or the version every unstamped document is at.
+     * @param {Object} doc The document.
+     * @param {number} base The version of unstamped documents.
+     * @returns {number} The version.
+     */
+    static versionOf(doc, base) {
+        const version = doc ? doc[Migrations.versionField] : undefined;
+        return Number.isInteger(version) ? version : base;
+    }
+
+    static versionField = "_schemaVersion";  // Stamped on documents written at a known schema version
+};
@@ -0,0 +1,90 @@
+module.exports = class Populate {
+    /**
+     * Normalizes the ways populate paths can be given: `"author"`, `"author comments.author"`,
+     * `{ path, select, populate, model }` or an array of these.
+     * @param {string|Object|Array} spec The populate specification.
+     * @returns {Array<Object>} One `{ path, select, populate, model }` object per path.
+     */
+    static normalize(spec) {
+        if (Array.isArray(spec)) return spec.flatMap(item => Populate.normalize(item));
+        if (typeof spec === "string") return spec.split(/\s+/).filter(Boolean).map(path => ({ path }));
+        if (spec && typeof spec === "object" && typeof spec.path === "string") {
+            return Populate.normalize(spec.path).map(({ path }) => ({ ...spec, path, select: Populate.normalizeSelect(spec.select) }));
+        }
+        throw new Error("[VunshDB] Invalid populate. Expected a path like \"author\" or an object like { path: \"author\" }.");
+    }
+
+    /**
+     * Accepts a projection object or a space separated list of fields (`"username email"`).
+     * @param {string|Object} [select] The fields to select.
+     * @returns {Object|undefined} The projection.
+     */
+    static normalizeSelect(select) {
+        if (typeof select !== "string") return select;
+        return Object.fromEntries(select.split(/\s+/).filter(Boolean).map(field => field.startsWith("-") ? [field.slice(1), 0] : [field, 1]));
+    }
+
+    /**
+     * Replaces the references of the documents with the documents they point to. Every path is resolved with one
+     * query on the referenced model.
+     * @param {Array<Object>} docs The documents to populate (modified in place).
+     * @param {Array<Object>} specs The normalized populate specifications.
+     * @param {Object} options The populate options.
+     * @param {Schema} options.schema The schema of the documents, used to find the referenced model of a path.
+     * @param {Function} options.resolve Returns the model registered for a `ref`.
+     * @param {Session} [options.session] The transaction session to read the referenced documents in.
+     * @returns {Promise<Array<Object>>} The populated documents.
+     */
+    static async populate(docs, specs, { schema, resolve, session }) {
+        for (const spec of specs) {
+            const field = schema.path(spec.path);
+            const ref = spec.model || field?.ref || field?.items?.ref;
+            if (!ref) throw new Error(`[VunshDB] Can't populate "${spec.path}", it isn't a reference field.`);
+            const model = resolve(ref);
+
+            const ids = new Set();
+            for (const doc of docs) {
+                Populate.mapPath(doc, spec.path, (value) => {
+                    if (typeof value === "string") ids.add(value);
+                    return value;
+                });
+            }
+            if (ids.size === 0) continue;
+
+            const cursor = model.find({ _id: { $in: [...ids] } }, { session });
+            if (spec.select) cursor.select(spec.select);
+            if (spec.populate) cursor.populate(spec.populate);
+            const found = new Map((await cursor).map(doc => [doc._id, doc]));
+
+            for (const doc of docs) {
+                Populate.mapPath(doc, spec.path, (value, inArray) => {
+                    if (typeof value !== "string") return value;  // Already populated
+                    if (found.has(value)) return found.get(value);
+                    return inArray ? undefined : null;  // Missing documents are removed from arrays, like MongoDB
+                });
+            }
+        }
+        return docs;
+    }
+
+    /**
+     * Replaces the values at a (dot-notation) path. Arrays along the path are traversed, so `"comments.author"`
+     * reaches the author of every comment; arrays at the end of the path are mapped element by element.
+     * @param {Object} doc The document (modified in place).
+     * @param {string|string[]} path The path.
+     * @param {Function} fn Called with `(value, inArray)`, returns the new value (`undefined` removes array elements).
+     */
+    static mapPath(doc, path, fn) {
+        const [head, ...rest] = typeof path === "string" ? path.split(".") : path;
+        if (doc === null || typeof doc !== "object") return;
+        if (Array.isArray(doc)) return doc.forEach(item => Populate.mapPath(item, [head, ...rest], fn));
+        if (!(head in doc)) return;
+
+        if (rest.length > 0) return Populate.mapPath(doc[head], rest, fn);
+        if (Array.isArray(doc[head])) {
+            doc[head] = doc[head].map(value => fn(value, true)).filter(value => value !== undefined);
+        } else if (doc[head] !== undefined && doc[head] !== null) {
+            doc[head] = fn(doc[head], false);
+        }
+    }
+};
@@ -0,0 +1,183 @@
+const { QueryError } = require("./Errors");
+
+module.exports = class Query {
+    /**
+     * Checks whether a document matches a filter.
+     * A filter can either be a predicate function (`doc => doc.age > 20`) or a MongoDB-style query object
+     * supporting dot-notation paths (`"profile.city"`), array element matching and the operators
+     * `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`, `$regex`, `$exists`, `$not`, `$size`,
+     * `$all`, `$elemMatch`, `$and`, `$or` and `$nor`.
+     *
+     * @param {Object} doc The document to test.
+     * @param {Object|Function} [filter={}] The query object or predicate function.
+     * @returns {boolean} `true` if the document matches the filter, otherwise `false`.
+     * @throws {QueryError} Throws an error if the filter or one of its operators is invalid.
+     */
+    static match(doc, filter = {}) {
+        if (typeof filter === "function") return Boolean(filter(doc));
+        if (filter === null || typeof filter !== "object" || Array.isArray(filter)) {
+            throw new QueryError("Invalid filter. Expected an object or a function.");
+        }
+
+        return Object.keys(filter).every((key) => {
+            const condition = filter[key];
+            switch (key) {
+                case "$and": return Query.toFilterList(key, condition).every(sub => Query.match(doc, sub));
+                case "$or": return Query.toFilterList(key, condition).some(sub => Query.match(doc, sub));
+                case "$nor": return !Query.toFilterList(key, condition).some(sub => Query.match(doc, sub));
+                case "$not": return !Query.match(doc, condition);
+                default:
+                    if (key.startsWith("$")) throw new QueryError(`Unknown query operator "${key}".`);
+                    return Query.matchCondition(Query.resolvePath(doc, key), condition);
+            }
+        });
+    }
+
+    /**
+     * Resolves a dot-notation path against a value, walking into arrays along the way.
+     * Numeric path segments index into arrays, any other segment is applied to every array element.
+     *
+     * @param {*} value The value to resolve the path against.
+     * @param {string|string[]} path The dot-notation path (e.g. `"profile.city"`).
+     * @returns {Array} Every value found at the path (`undefined` where the path is missing).
+     */
+    static resolvePath(value, path) {
+        const parts = Array.isArray(path) ? path : String(path).split(".");
+        if (parts.length === 0) return [value];
+
+        const [head, ...rest] = parts;
+        if (Array.isArray(value)) {
+            if (/^\d+$/.test(head)) return Query.resolvePath(value[Number(head)], rest);
+            return value.length ? value.flatMap(item => Query.resolvePath(item, parts)) : [undefined];
+        }
+        if (value === null || typeof value !== "object") return [undefined];
+        return Query.resolvePath(value[head], rest);
+    }
+
+    /**
+     * Returns the first value found at a dot-notation path.
+     * @param {Object} doc The document to read from.
+     * @param {string} path The dot-notation path.
+     * @returns {*} The value at the path, or `undefined` if it doesn't exist.
+     */
+    static getValue(doc, path) {
+        return String(path).split(".").reduce((value, part) => (value === null || value === undefined) ? undefined : value[part], doc);
+    }
+
+    /**
+     * Tests the values resolved from a path against a single field condition.
+     * @param {Array} values The values resolved from the document.
+     * @param {*} condition A literal value, RegExp or an operator object (e.g. `{ $gt: 5 }`).
+     * @returns {boolean} `true` if the condition is satisfied.
+     */
+    static matchCondition(values, condition) {
+        if (!Query.isOperatorObject(condition)) return Query.anyCandidate(values, v => Query.isEqual(v, condition));
+
+        return Object.keys(condition).every((op) => {
+            const operand = condition[op];
+            switch (op) {
+                case "$eq": return Query.anyCandidate(values, v => Query.isEqual(v, operand));
+                case "$ne": return !Query.anyCandidate(values, v => Query.isEqual(v, operand));
+                case "$gt": return Query.anyCandidate(values, v => Query.compare(v, operand) > 0);
+                case "$gte": return Query.anyCandidate(values, v => Query.compare(v, operand) >= 0);
+                case "$lt": return Query.anyCandidate(values, v => Query.compare(v, operand) < 0);
+                case "$lte": return Query.anyCandidate(values, v => Query.compare(v, operand) <= 0);
+                case "$in": return Query.anyCandidate(values, v => Query.toOperandList(op, operand).some(o => Query.isEqual(v, o)));
+                case "$nin": return !Query.anyCandidate(values, v => Query.toOperandList(op, operand).some(o => Query.isEqual(v, o)));
+                case "$exists": return values.some(v => v !== undefined) === Boolean(operand);
+                case "$regex": {
+                    const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || "");
+                    return Query.anyCandidate(values, v => typeof v === "string" && regex.test(v));
+                }
+                case "$options": return true; // Consumed by $regex
+                case "$not": return !Query.matchCondition(values, operand);
+                case "$size": return values.some(v => Array.isArray(v) && v.length === operand);
+                case "$all": return values.some(v => Array.isArray(v) && Query.toOperandList(op, operand).every(o => v.some(item => Query.isEqual(item, o))));
+                case "$elemMatch": return values.some(v => Array.isArray(v) && v.some(item =>
+                    Query.isOperatorObject(operand) ? Query.matchCondition([item], operand) : Query.match(item, operand)
+                ));
+                default:
+                    throw new QueryError(`Unknown query operator "${op}".`);
+            }
+        });
+    }
+
+    /**
+     * Runs a test against every candidate value, including the elements of array values.
+     * @param {Array} values The resolved values.
+     * @param {Function} test The test to run on each candidate.
+     * @returns {boolean} `true` if any candidate passes the test.
+     */
+    static anyCandidate(values, test) {
+        return values.some(value => test(value) || (Array.isArray(value) && value.some(item => test(item))));
+    }
+
+    /**
+     * Compares two values of the same kind (numbers, strings or dates).
+     * @param {*} a The document value.
+     * @param {*} b The query value.
+     * @returns {number} A negative, zero or positive number, or `NaN` if the values can't be compared.
+     */
+    static compare(a, b) {
+        if (b instanceof Date || a instanceof Date) {
+            const left = Query.toTime(a);
+            const right = Query.toTime(b);
+            return (isNaN(left) || isNaN(right)) ? NaN : left - right;
+        }
+        if (typeof a !== typeof b || (typeof a !== "number" && typeof a !== "string")) return NaN;
+        if (a === b) return 0;
+        return a < b ? -1 : 1;
+    }
+
+    /**
+     * Deeply compares two values for equality. A RegExp on the query side is tested against strings.
+     * @param {*} a The document value.
+     * @param {*} b The query value.
+     * @returns {boolean} `true` if both values are equal.
+     */
+    static isEqual(a, b) {
+        if (b instanceof RegExp) return typeof a === "string" && b.test(a);
+        if (a instanceof Date || b instanceof Date) return Query.toTime(a) === Query.toTime(b);
+        if (a === b) return true;
+        if (a === null || b === null || typeof a !== "object" || typeof b !== "object") return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => Query.isEqual(a[key], b[key]));
+    }
+
+    /**
+     * Checks whether a condition is an operator object (every key starts with `$`).
+     * @param {*} condition The condition to check.
+     * @returns {boolean} `true` if the condition is an operator object.
+     */
+    static isOperatorObject(condition) {
+        if (condition === null || typeof condition !== "object" || Array.isArray(condition)) return false;
+        if (condition instanceof RegExp || condition instanceof Date) return false;
+
+        const keys = Object.keys(condition);
+        return keys.length > 0 && keys.every(key => key.startsWith("$"));
+    }
+
+    /**
+     * Converts a date-like value (Date, ISO string or timestamp) to milliseconds.
+     * @param {*} value The value to convert.
+     * @returns {number} The time in milliseconds, or `NaN` if the value isn't a date.
+     */
+    static toTime(value) {
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === "string" || typeof value === "number") return new Date(value).getTime();
+        return NaN;
+    }
+
+    static toFilterList(op, list) {
+        if (!Array.isArray(list)) throw new QueryError(`${op} expects an array of filters.`);
+        return list;
+    }
+
+    static toOperandList(op, list) {
+        if (!Array.isArray(list)) throw new QueryError(`${op} expects an array.`);
+        return list;
+    }
+};
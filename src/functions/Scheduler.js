@@ -0,0 +1,60 @@
+module.exports = class Scheduler {
+    /**
+     * Runs the background tasks of a database, such as the runtime counter and the TTL sweeper. Each task is run
+     * again once its interval has passed after the previous run finished, so runs of a task never overlap.
+     */
+    constructor() {
+        this.tasks = new Map();  // Task name -> { interval, fn, keepAlive, timer }
+    }
+
+    /**
+     * Schedules a task, replacing any task with the same name.
+     * @param {string} name The name of the task.
+     * @param {number} interval How long to wait between runs (ms).
+     * @param {Function} fn The (async) task. Errors are logged and don't stop the task.
+     * @param {Object} [options={}] The task options.
+     * @param {boolean} [options.keepAlive=true] Whether the task keeps the process running. Housekeeping tasks
+     * shouldn't, so scripts can exit without closing the database.
+     */
+    schedule(name, interval, fn, { keepAlive = true } = {}) {
+        if (!Number.isFinite(interval) || interval <= 0) throw new Error(`[VunshDB] Invalid interval for task "${name}". Expected a positive number of milliseconds.`);
+        this.cancel(name);
+
+        const task = { interval, fn, keepAlive, timer: null };
+        this.tasks.set(name, task);
+        this.arm(name, task);
+    }
+
+    arm(name, task) {
+        task.timer = setTimeout(async () => {
+            try {
+                await task.fn();
+            } catch (e) {
+                console.error(`[VunshDB] Error running background task "${name}"\n${e}`);
+            }
+            if (this.tasks.get(name) === task) this.arm(name, task);  // Unless it was cancelled meanwhile
+        }, task.interval);
+        if (!task.keepAlive) task.timer.unref();
+    }
+
+    /**
+     * Stops a task. A run that is in progress finishes, but the task isn't run again.
+     * @param {string} name The name of the task.
+     * @returns {boolean} `true` if the task was scheduled.
+     */
+    cancel(name) {
+        const task = this.tasks.get(name);
+        if (!task) return false;
+        clearTimeout(task.timer);
+        this.tasks.delete(name);
+        return true;
+    }
+
+    cancelAll() {
+        for (const name of [...this.tasks.keys()]) this.cancel(name);
+    }
+
+    has(name) {
+        return this.tasks.has(name);
+    }
+};
@@ -0,0 +1,694 @@
+const { isUUID } = require("./Utils");
+const { ValidationError } = require("./Errors");
+const Populate = require("./Populate");
+const Query = require("./Query");
+const { versionField } = require("./Migrations");
+
+class Mixed {}  // Marker type that accepts any value
+class ObjectId {}  // Marker type for the _id of a document, usually with a `ref` to its model
+
+/**
+ * Constructor to create a new Schema
+ * @param {Object} schemaDefinition - The schema definition object that specifies the structure and types for the document.
+ * @param {Object} [options={}] - The schema options.
+ * @param {number} [options.version] - The version of the document structure. Documents are stamped with it, and
+ *   older documents are upgraded by the migrations registered with `VunshDB.migrate()`.
+ * @param {number} [options.ttl] - Documents expire this many seconds after they were created. Single fields can
+ *   also make documents expire at the date they hold, with `{ type: Date, ttl: true }`. Expired documents are no
+ *   longer found and are deleted by the background sweeper (see `VunshDB.prototype.sweep()`).
+ * @param {Object} [options.text] - How the fields declared with `text: true` are indexed for `Model.search()`:
+ *   `{ stemming, stopWords }`, see `./TextIndex.js`.
+ * @param {boolean|Object} [options.timestamps=false] - Whether documents get a `createdAt` and an `updatedAt` time
+ *   (ISO strings), maintained on every write. `{ createdAt, updatedAt }` renames the fields.
+ * @param {boolean|string} [options.versionKey=false] - Whether documents get a version counter (`__v`, or the given
+ *   field name) that every write increments. Saving a document read before the last write fails with a `VersionError`.
+ * @param {boolean} [options.history=false] - Whether the previous state of every changed or deleted document is
+ *   kept, see `Model.history()` and `Model.revert()`.
+ * @param {boolean} [options.softDelete=false] - Whether deletes only mark documents with a `deletedAt` time. Marked
+ *   documents are no longer found, and can be brought back with `Model.restore()` or removed with `Model.purge()`.
+ * @param {Object} [options.toJSON] - How documents are converted by `JSON.stringify()`: `{ getters, virtuals }`
+ *   to apply the field getters and include the virtuals, see `Document.prototype.toObject()`.
+ *   Example:
+ *   ```javascript
+ *      const schema = new Schema({
+ *          _id: false,
+ *          username: { type: String, required: true, minLength: 3 },
+ *          role: { type: String, enum: ["user", "admin"], default: "user" },
+ *          tags: [String],
+ *          author: { type: Schema.Types.ObjectId, ref: "Users" },
+ *          token: { type: String, encrypt: true },
+ *          tag: {
+ *              trigger: String,
+ *              content: String
+ *          }
+ *      });
+ *   ```
+ */
+class Schema {
+    constructor(schemaDefinition, options = {}) {
+        if (options.version !== undefined && (!Number.isInteger(options.version) || options.version < 0)) {
+            throw new Error("[VunshDB] The schema version must be a non-negative integer.");
+        }
+        if (options.ttl !== undefined && (typeof options.ttl !== "number" || !(options.ttl > 0))) {
+            throw new Error("[VunshDB] The schema ttl must be a positive number of seconds.");
+        }
+        if (options.versionKey !== undefined && typeof options.versionKey !== "boolean" && !(typeof options.versionKey === "string" && options.versionKey)) {
+            throw new Error("[VunshDB] The schema versionKey must be a boolean or a field name.");
+        }
+        this.schemaDefinition = schemaDefinition;  // Holds the schema definition for validation and defaulting
+        this.options = options;  // The schema options
+        this.version = options.version ?? null;  // The version of the document structure, if versioned
+        this.ttl = options.ttl ?? null;  // Seconds after which documents expire, if set
+        this.strict = true;  // Whether fields that aren't in the schema are rejected (internal, the vunshdb command turns it off)
+        this.timestamps = Schema.timestampFields(options.timestamps);  // `{ createdAt, updatedAt }` field names, if maintained
+        this.versionKey = options.versionKey === true ? "__v" : options.versionKey || null;  // The version counter field, if any
+        this.history = Boolean(options.history);  // Whether previous revisions of documents are kept
+        this.softDelete = Boolean(options.softDelete);  // Whether deletes only mark documents as deleted
+        this.hooks = { pre: {}, post: {} };  // Middleware registered with pre() and post(), per event
+        this.methods = {};  // Instance methods of the documents, see method()
+        this.statics = {};  // Functions added to the model, see static()
+        this.virtuals = {};  // Computed properties of the documents, see virtual()
+    }
+
+    /**
+     * Adds instance methods to the documents of models using this schema; `this` is the document. Methods can also
+     * be assigned to `schema.methods` directly. They must be defined before the model.
+     * @param {string|Object} name - The name of the method, or an object of methods by name.
+     * @param {Function} [fn] - The method.
+     * @returns {Schema} - The schema, for chaining.
+     */
+    method(name, fn) {
+        return this._addFunctions("methods", name, fn);
+    }
+
+    /**
+     * Adds functions to the models using this schema, e.g. custom finders; `this` is the model. Statics can also be
+     * assigned to `schema.statics` directly. They must be defined before the model.
+     * @param {string|Object} name - The name of the function, or an object of functions by name.
+     * @param {Function} [fn] - The function.
+     * @returns {Schema} - The schema, for chaining.
+     */
+    static(name, fn) {
+        return this._addFunctions("statics", name, fn);
+    }
+
+    _addFunctions(kind, name, fn) {
+        const functions = typeof name === "string" ? { [name]: fn } : name;
+        if (!Schema.isPlainObject(functions)) throw new Error(`[VunshDB] Invalid ${kind}. Expected a name and a function, or an object of functions.`);
+
+        for (const [key, value] of Object.entries(functions)) {
+            if (typeof value !== "function") throw new Error(`[VunshDB] The ${kind === "methods" ? "method" : "static"} "${key}" must be a function.`);
+            this[kind][key] = value;
+        }
+        return this;
+    }
+
+    /**
+     * Defines a virtual: a property of the documents that is computed instead of stored, e.g. a full name made of
+     * two fields. Virtuals aren't part of `toObject()` and `toJSON()` unless asked for with `{ virtuals: true }`.
+     * @param {string} name - The name of the property.
+     * @param {Object} [accessors={}] - `{ get, set }`: the getter returns the value (`this` is the document), the
+     * setter receives an assigned value and usually sets fields from it. Without a setter, the virtual is read-only.
+     * @returns {Object} - `{ get(fn), set(fn) }` to add the getter and setter by chaining.
+     */
+    virtual(name, { get, set } = {}) {
+        if (typeof name !== "string" || !name) throw new Error("[VunshDB] Invalid virtual. Expected a property name.");
+
+        const virtual = (this.virtuals[name] ||= { get: null, set: null });
+        const accessor = (kind) => (fn) => {
+            if (typeof fn !== "function") throw new Error(`[VunshDB] The ${kind}ter of virtual "${name}" must be a function.`);
+            virtual[kind] = fn;
+            return builder;
+        };
+        const builder = { get: accessor("get"), set: accessor("set") };
+
+        if (get !== undefined) builder.get(get);
+        if (set !== undefined) builder.set(set);
+        return builder;
+    }
+
+    /**
+     * Registers middleware that runs before an operation. Throwing (or rejecting) aborts the operation with that error.
+     * - `validate`, `save` and `create` hooks are called with the document as `this` and first argument, and may modify it.
+     * - `update` hooks receive `{ filter, update, options }` and `delete` hooks `{ filter, options }`; the filter and
+     *   update may be modified.
+     * @param {string} event - `"validate"`, `"save"`, `"create"`, `"update"` or `"delete"`.
+     * @param {Function} fn - The (async) middleware.
+     * @returns {Schema} - The schema, for chaining.
+     */
+    pre(event, fn) {
+        return this._addHook("pre", event, fn);
+    }
+
+    /**
+     * Registers middleware that runs after an operation completed.
+     * - `validate`, `save` and `create` hooks are called with the document as `this` and first argument.
+     * - `update` hooks receive the context (see `pre()`) and `{ matchedCount, modifiedCount, upsertedId }`, `delete`
+     *   hooks the context and `{ deletedCount, docs }`.
+     * @param {string} event - `"validate"`, `"save"`, `"create"`, `"update"` or `"delete"`.
+     * @param {Function} fn - The (async) middleware.
+     * @returns {Schema} - The schema, for chaining.
+     */
+    post(event, fn) {
+        return this._addHook("post", event, fn);
+    }
+
+    _addHook(kind, event, fn) {
+        if (!Schema.hookEvents.includes(event)) {
+            throw new Error(`[VunshDB] Unknown hook event "${event}". Expected one of ${Schema.hookEvents.join(", ")}.`);
+        }
+        if (typeof fn !== "function") throw new Error(`[VunshDB] The ${kind}("${event}") hook must be a function.`);
+
+        (this.hooks[kind][event] ||= []).push(fn);
+        return this;
+    }
+
+    /**
+     * Runs the middleware registered for an event, in registration order.
+     * @param {string} kind - `"pre"` or `"post"`.
+     * @param {string} event - The event.
+     * @param {Object} target - The document or context, passed as `this` and first argument.
+     * @param {...*} args - Further arguments for the middleware.
+     * @returns {Promise<void>}
+     */
+    async runHooks(kind, event, target, ...args) {
+        for (const fn of this.hooks[kind][event] || []) {
+            await fn.call(target, target, ...args);
+        }
+    }
+
+    /**
+     * Applies default values to data based on the schema definition.
+     * @param {Object} data - The data to apply defaults to.
+     * @param {Object} schema - The schema to use for default application.
+     * @returns {Object} - The data with default values applied.
+     */
+    applyDefaults(data, schema = this.schemaDefinition) {
+        const defaultData = {};
+
+        for (let field in schema) {
+            if (field === "_id") continue;  // _id is handled below
+            const fieldDefinition = Schema.normalizeField(schema[field]);
+            const value = data[field];
+
+            // Check if the field exists in `data` and use it if so
+            if (value !== undefined) {
+                if (fieldDefinition.kind === "nested" && Schema.isPlainObject(value)) {
+                    defaultData[field] = this.applyDefaults(value, fieldDefinition.fields);  // Recurse into nested objects
+                } else if (fieldDefinition.kind === "array" && fieldDefinition.items?.kind === "nested" && Array.isArray(value)) {
+                    // Apply defaults to every subdocument of typed arrays like [{ name: String }]
+                    defaultData[field] = value.map(item => Schema.isPlainObject(item) ? this.applyDefaults(item, fieldDefinition.items.fields) : item);
+                } else {
+                    defaultData[field] = value;
+                }
+            }
+            else if (fieldDefinition.default !== undefined) {
+                defaultData[field] = Schema.resolveDefault(fieldDefinition.default);  // Apply default if exists
+            }
+            // Handle nested objects
+            else if (fieldDefinition.kind === "nested") {
+                defaultData[field] = this.applyDefaults({}, fieldDefinition.fields);
+            }
+            // Handle arrays (default to empty array if missing)
+            else if (fieldDefinition.kind === "array") {
+                defaultData[field] = [];
+            }
+            // Leave required fields missing so validation can report them
+            else if (fieldDefinition.required) {
+                continue;
+            }
+            else if (fieldDefinition.type === Boolean) {
+                defaultData[field] = false;  // Default for Boolean
+            } else if (fieldDefinition.type === String) {
+                defaultData[field] = '';     // Default for String
+            } else {
+                defaultData[field] = null;   // Default for other primitive types
+            }
+        }
+
+        if (!this.strict) {
+            for (const field in data) {
+                if (!(field in defaultData) && field !== "_id" && typeof data[field] !== "function") defaultData[field] = data[field];  // Keep fields the schema doesn't define
+            }
+        }
+
+        // Keep the _id of the document itself (new documents get theirs when they are written)
+        if (schema === this.schemaDefinition) {
+            if (data._id !== undefined) defaultData._id = data._id;
+            for (const field of this.systemFields()) {
+                if (data[field] !== undefined) defaultData[field] = data[field];  // Keep the stamps (migration version, expiry, timestamps...)
+            }
+        }
+
+        return defaultData;
+    }
+
+    /**
+     * Validates that the data matches the schema definition.
+     * Every field is checked against its rules (`type`, `required`, `enum`, `min`/`max`, `minLength`/`maxLength`,
+     * `match` and custom `validate` functions, which may be async), nested objects and typed arrays included.
+     * The `validate` hooks run before and after the checks.
+     * @param {Object} data - The data to validate.
+     * @returns {Promise<boolean>} - Resolves to true if the data is valid.
+     * @throws {ValidationError} - If validation fails, lists every invalid path in `error.errors`.
+     */
+    async validate(data) {
+        await this.runHooks("pre", "validate", data);
+
+        const errors = [];
+        const pending = [];  // Results of async custom validators
+
+        this._validateFields(data, this.schemaDefinition, "", errors, pending);
+        for (const error of await Promise.all(pending)) {
+            if (error) errors.push(error);
+        }
+
+        if (errors.length > 0) throw new ValidationError(errors);
+
+        await this.runHooks("post", "validate", data);
+        return true;
+    }
+
+    /**
+     * Validates every field of an object against a (nested) schema definition.
+     * @param {Object} data - The object to validate.
+     * @param {Object} fields - The schema definition for the object.
+     * @param {string} path - The path of the object (used for nested objects).
+     * @param {Array} errors - Collects the validation failures.
+     * @param {Array<Promise>} pending - Collects the results of async validators.
+     */
+    _validateFields(data, fields, path, errors, pending) {
+        // Reject fields that aren't part of the schema
+        const systemFields = this.strict ? this.systemFields() : [];
+        for (let field in data) {
+            if (!this.strict || field === "_id" || systemFields.includes(field) || typeof data[field] === "function") continue;
+            if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+                errors.push({ path: `${path}${field}`, kind: "strict", message: `Field "${path}${field}" is not defined in the schema`, value: data[field] });
+            }
+        }
+
+        for (let field in fields) {
+            if (field === "_id") continue;  // Skip validation for the "_id" field
+            this._validateValue(data[field], Schema.normalizeField(fields[field]), `${path}${field}`, errors, pending);
+        }
+    }
+
+    /**
+     * Validates a single value against its normalized field definition.
+     * @param {*} value - The value to validate.
+     * @param {Object} field - The normalized field definition.
+     * @param {string} path - The path of the value.
+     * @param {Array} errors - Collects the validation failures.
+     * @param {Array<Promise>} pending - Collects the results of async validators.
+     */
+    _validateValue(value, field, path, errors, pending) {
+        const fail = (kind, message) => errors.push({ path, kind, message, value });
+
+        if (value === undefined || value === null || (value === "" && field.type === String)) {
+            if (field.required) return fail("required", `"${path}" is required`);
+            // Report required fields of missing nested objects
+            if (field.kind === "nested") this._validateFields({}, field.fields, `${path}.`, errors, pending);
+            return;
+        }
+
+        if (field.kind === "nested") {
+            if (!Schema.isPlainObject(value)) return fail("type", `"${path}" must be an object, got ${Schema.describe(value)}`);
+            return this._validateFields(value, field.fields, `${path}.`, errors, pending);
+        }
+
+        if (field.kind === "array") {
+            if (!Array.isArray(value)) return fail("type", `"${path}" must be an array, got ${Schema.describe(value)}`);
+            if (field.minLength !== undefined && value.length < field.minLength) fail("minLength", `"${path}" must contain at least ${field.minLength} items`);
+            if (field.maxLength !== undefined && value.length > field.maxLength) fail("maxLength", `"${path}" must contain at most ${field.maxLength} items`);
+            if (field.items) value.forEach((item, i) => this._validateValue(item, field.items, `${path}.${i}`, errors, pending));
+            return this._runValidators(value, field, path, errors, pending);
+        }
+
+        if (!Schema.checkType(value, field.type)) {
+            if (field.type === ObjectId) return fail("type", `"${path}" must be a document _id, got ${JSON.stringify(value)}`);
+            return fail("type", `"${path}" must be of type ${field.type.name}, got ${Schema.describe(value)}`);
+        }
+
+        if (Array.isArray(field.enum) && !field.enum.includes(value)) {
+            fail("enum", `"${path}" must be one of: ${field.enum.join(", ")}`);
+        }
+
+        if (field.min !== undefined || field.max !== undefined) {
+            const comparable = field.type === Date ? new Date(value).getTime() : value;
+            const min = field.min instanceof Date ? field.min.getTime() : field.min;
+            const max = field.max instanceof Date ? field.max.getTime() : field.max;
+            if (min !== undefined && comparable < min) fail("min", `"${path}" must be at least ${field.min}`);
+            if (max !== undefined && comparable > max) fail("max", `"${path}" must be at most ${field.max}`);
+        }
+
+        if (typeof value === "string") {
+            if (field.minLength !== undefined && value.length < field.minLength) fail("minLength", `"${path}" must be at least ${field.minLength} characters`);
+            if (field.maxLength !== undefined && value.length > field.maxLength) fail("maxLength", `"${path}" must be at most ${field.maxLength} characters`);
+            if (field.match && !new RegExp(field.match).test(value)) fail("match", `"${path}" must match ${field.match}`);
+        }
+
+        this._runValidators(value, field, path, errors, pending);
+    }
+
+    /**
+     * Runs the custom `validate` rules of a field. A validator fails by returning `false` (or a promise resolving
+     * to `false`) or by throwing; the thrown message is used as the error message.
+     * @param {*} value - The value to validate.
+     * @param {Object} field - The normalized field definition.
+     * @param {string} path - The path of the value.
+     * @param {Array} errors - Collects the validation failures.
+     * @param {Array<Promise>} pending - Collects the results of async validators.
+     */
+    _runValidators(value, field, path, errors, pending) {
+        if (!field.validate) return;
+        const validators = Array.isArray(field.validate) ? field.validate : [field.validate];
+
+        for (const validator of validators) {
+            const fn = typeof validator === "function" ? validator : validator.validator;
+            const message = validator.message || `"${path}" failed custom validation`;
+            const toError = (msg) => ({ path, kind: "validate", message: msg, value });
+
+            try {
+                const result = fn(value);
+                if (result && typeof result.then === "function") {
+                    pending.push(result.then(ok => ok === false ? toError(message) : null, e => toError(e?.message || message)));
+                } else if (result === false) {
+                    errors.push(toError(message));
+                }
+            } catch (e) {
+                errors.push(toError(e?.message || message));
+            }
+        }
+    }
+
+    /**
+     * Lists the indexes declared on the schema's fields with `index: true` or `unique: true`.
+     * @param {Object} schema - The schema definition to collect indexes from (used for nested objects).
+     * @param {string} path - The current path (used for nested objects).
+     * @returns {Array<{ fields: Object, unique: boolean }>} - The declared indexes.
+     */
+    indexes(schema = this.schemaDefinition, path = "") {
+        const indexes = [];
+
+        for (let field in schema) {
+            if (field === "_id") continue;
+            const fieldDefinition = Schema.normalizeField(schema[field]);
+
+            if (fieldDefinition.kind === "nested") {
+                indexes.push(...this.indexes(fieldDefinition.fields, `${path}${field}.`));
+            } else if (fieldDefinition.index || fieldDefinition.unique) {
+                indexes.push({ fields: { [`${path}${field}`]: 1 }, unique: Boolean(fieldDefinition.unique) });
+            }
+        }
+        return indexes;
+    }
+
+    /**
+     * Looks up the definition of a (dot-notation) path, following nested objects and arrays of subdocuments.
+     * @param {string} path - The path, e.g. `"author"` or `"comments.author"`.
+     * @returns {Object|null} - The normalized field definition, or null if the path isn't part of the schema.
+     */
+    path(path) {
+        let fields = this.schemaDefinition;
+        let field = null;
+
+        for (const segment of path.split(".")) {
+            if (!fields || !Object.prototype.hasOwnProperty.call(fields, segment)) return null;
+            field = Schema.normalizeField(fields[segment]);
+            const inner = field.kind === "array" ? field.items : field;
+            fields = inner && inner.kind === "nested" ? inner.fields : null;
+        }
+        return field;
+    }
+
+    /**
+     * Lists the paths of the reference fields (fields with a `ref`), nested objects and arrays included.
+     * @returns {string[]} - The paths of the reference fields.
+     */
+    refs() {
+        return this._collectPaths(field => field.ref);
+    }
+
+    /**
+     * Lists the paths of the fields declared with `encrypt: true`, nested objects and arrays included.
+     * @returns {string[]} - The paths of the encrypted fields.
+     */
+    encryptedFields() {
+        return this._collectPaths(field => field.encrypt);
+    }
+
+    /**
+     * Lists the paths of the fields declared with `text: true`, which are indexed for full-text search.
+     * @returns {string[]} - The paths of the text fields.
+     */
+    textFields() {
+        return this._collectPaths(field => field.text);
+    }
+
+    /**
+     * Lists the paths of the fields declared with `ttl: true`, nested objects and arrays included.
+     * @returns {string[]} - The paths of the expiry fields.
+     */
+    ttlFields() {
+        return this._collectPaths(field => field.ttl);
+    }
+
+    /**
+     * Lists the fields declared with `get` or `set` transforms, e.g. `{ type: String, set: v => v.toLowerCase() }`.
+     * Setters run when a value is assigned to a document (and on the data of new documents), getters when the field
+     * is read from a document; the stored value is the one the setter returned. Only top-level fields support them.
+     * @returns {Object} - Field name -> `{ get, set }` (either may be null).
+     */
+    transforms() {
+        const transforms = {};
+        for (const [field, definition] of Object.entries(this.schemaDefinition)) {
+            if (field === "_id") continue;
+            const { get, set } = Schema.normalizeField(definition);
+            if (typeof get === "function" || typeof set === "function") {
+                transforms[field] = { get: typeof get === "function" ? get : null, set: typeof set === "function" ? set : null };
+            }
+        }
+        return transforms;
+    }
+
+    /**
+     * Runs the `set` transforms on the data of a new document (see `transforms()`).
+     * @param {Object} data - The data.
+     * @returns {Object} - A copy of the data with the transformed values (the data itself if nothing was transformed).
+     */
+    applySetters(data) {
+        let result = data;
+        for (const [field, { set }] of Object.entries(this.transforms())) {
+            if (!set || data[field] === undefined) continue;
+            if (result === data) result = { ...data };
+            result[field] = set.call(result, data[field]);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the fields the database stamps on documents: the migration version, the expiry, and the fields of the
+     * `timestamps`, `versionKey` and `softDelete` options. They are kept by `applyDefaults()` and allowed by strict
+     * schemas.
+     * @returns {string[]} - The field names.
+     */
+    systemFields() {
+        const fields = [versionField, Schema.expiryField];
+        if (this.timestamps) fields.push(this.timestamps.createdAt, this.timestamps.updatedAt);
+        if (this.versionKey) fields.push(this.versionKey);
+        if (this.softDelete) fields.push(Schema.deletedField);
+        return fields;
+    }
+
+    /**
+     * Checks whether documents of this schema can expire.
+     * @returns {boolean} - `true` if the schema has a `ttl` or `ttl: true` fields.
+     */
+    expires() {
+        return this.ttl !== null || this.ttlFields().length > 0;
+    }
+
+    /**
+     * Returns when a document expires: the earliest date held by its `ttl: true` fields, or the expiry stamped on
+     * it when it was created with a schema `ttl`.
+     * @param {Object} doc - The document.
+     * @param {string[]} [paths] - The paths of the expiry fields, see `ttlFields()`.
+     * @returns {number|null} - The expiry time (ms since the epoch), or null if the document doesn't expire.
+     */
+    expiresAt(doc, paths = this.ttlFields()) {
+        let expiresAt = null;
+        const values = [doc[Schema.expiryField], ...paths.flatMap(path => Query.resolvePath(doc, path).flat())];
+
+        for (const value of values) {
+            if (value === undefined || value === null || value === "") continue;
+            const time = new Date(value).getTime();
+            if (!isNaN(time) && (expiresAt === null || time < expiresAt)) expiresAt = time;
+        }
+        return expiresAt;
+    }
+
+    /**
+     * Checks whether a document has expired.
+     * @param {Object} doc - The document.
+     * @param {number} [now=Date.now()] - The current time.
+     * @param {string[]} [paths] - The paths of the expiry fields, see `ttlFields()`.
+     * @returns {boolean} - `true` if the document has expired.
+     */
+    isExpired(doc, now = Date.now(), paths = this.ttlFields()) {
+        const expiresAt = this.expiresAt(doc, paths);
+        return expiresAt !== null && expiresAt <= now;
+    }
+
+    /**
+     * Lists the paths of the fields (or the items of array fields) whose definition passes a test.
+     * @param {Function} test - Receives a normalized field definition.
+     * @param {Object} schema - The schema definition to collect paths from (used for nested objects).
+     * @param {string} path - The current path (used for nested objects).
+     * @returns {string[]} - The matching paths.
+     */
+    _collectPaths(test, schema = this.schemaDefinition, path = "") {
+        const paths = [];
+
+        for (let field in schema) {
+            if (field === "_id") continue;
+            const fieldDefinition = Schema.normalizeField(schema[field]);
+            const inner = fieldDefinition.kind === "array" ? fieldDefinition.items : fieldDefinition;
+
+            if (inner && inner.kind === "nested") {
+                paths.push(...this._collectPaths(test, inner.fields, `${path}${field}.`));
+            } else if (test(fieldDefinition) || (inner && test(inner))) {
+                paths.push(`${path}${field}`);
+            }
+        }
+        return paths;
+    }
+
+    /**
+     * Replaces populated documents with their `_id` so only the references are stored.
+     * @param {Object} data - The document.
+     * @returns {Object} - A copy of the document with the references restored, or the document itself if nothing
+     * was populated.
+     */
+    depopulate(data) {
+        const refs = this.refs();
+        if (refs.length === 0) return data;
+
+        const copy = JSON.parse(JSON.stringify(data));
+        let populated = false;
+        for (const path of refs) {
+            Populate.mapPath(copy, path, (value) => {
+                if (!Schema.isPlainObject(value) || value._id === undefined) return value;
+                populated = true;
+                return value._id;
+            });
+        }
+        return populated ? copy : data;
+    }
+
+    /**
+     * Normalizes the different ways a field can be declared (`String`, `"string"`, `{ type: String, ... }`,
+     * `[String]`, nested objects and sub-schemas) into one shape.
+     * @param {*} definition - The field definition.
+     * @returns {Object} - The field rules with `kind` ("value", "array" or "nested"), `type`, `items` and `fields`.
+     */
+    static normalizeField(definition) {
+        if (definition instanceof Schema) return { kind: "nested", fields: definition.schemaDefinition };
+        if (Array.isArray(definition)) {
+            return { kind: "array", type: Array, items: definition.length > 0 ? Schema.normalizeField(definition[0]) : null };
+        }
+        if (typeof definition === "string") {
+            const type = Schema.typeAliases[definition.toLowerCase()] ?? Mixed;
+            return type === Array ? { kind: "array", type, items: null } : { kind: "value", type };
+        }
+        if (typeof definition === "function") {
+            return definition === Array ? { kind: "array", type: Array, items: null } : { kind: "value", type: definition };
+        }
+        if (Schema.isPlainObject(definition)) {
+            const { type } = definition;
+            if (typeof type === "function" || typeof type === "string" || Array.isArray(type) || type instanceof Schema) {
+                return { ...definition, ...Schema.normalizeField(type) };  // Field options like { type: String, required: true }
+            }
+            return { kind: "nested", fields: definition };
+        }
+        return { kind: "value", type: Mixed };
+    }
+
+    /**
+     * Checks a value against a field type. Unknown types (e.g. `Schema.Types.Mixed`) accept any value.
+     * @param {*} value - The value to check.
+     * @param {Function} type - The field type.
+     * @returns {boolean} - `true` if the value matches the type.
+     */
+    static checkType(value, type) {
+        switch (type) {
+            case String: return typeof value === "string";
+            case Number: return typeof value === "number" && !isNaN(value);
+            case Boolean: return typeof value === "boolean";
+            case Date: return (value instanceof Date || typeof value === "string" || typeof value === "number") && !isNaN(new Date(value).getTime());
+            case Object: return Schema.isPlainObject(value);
+            case ObjectId: return isUUID(value);
+            default: return true;
+        }
+    }
+
+    static resolveDefault(value) {
+        if (typeof value === "function") return value();
+        if (Array.isArray(value)) return [...value];
+        if (Schema.isPlainObject(value)) return { ...value };
+        return value;
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp);
+    }
+
+    static describe(value) {
+        if (Array.isArray(value)) return "array";
+        if (value instanceof Date) return "date";
+        return typeof value;
+    }
+
+    static timestampFields(option) {
+        if (!option) return null;
+        const { createdAt = "createdAt", updatedAt = "updatedAt" } = option === true ? {} : option;
+        return { createdAt, updatedAt };
+    }
+
+    /**
+     * Checks whether a document is marked deleted (see the schema option `softDelete`).
+     * @param {Object} doc - The document.
+     * @returns {boolean} - `true` if the document is marked deleted.
+     */
+    static isDeleted(doc) {
+        return doc[Schema.deletedField] !== undefined && doc[Schema.deletedField] !== null;
+    }
+
+    static expiryField = "_expiresAt";  // Stamped on documents created with a schema `ttl`
+    static deletedField = "deletedAt";  // Marks documents deleted under the `softDelete` option
+
+    static hookEvents = ["validate", "save", "create", "update", "delete"];
+
+    static typeAliases = {
+        string: String,
+        number: Number,
+        boolean: Boolean,
+        date: Date,
+        array: Array,
+        object: Object,
+        objectid: ObjectId,
+        mixed: Mixed
+    };
+
+    static Types = {
+        String,
+        Number,
+        Boolean,
+        Date,
+        Array,
+        Object,
+        ObjectId,
+        Mixed
+    };
+}
+
+module.exports = Schema;
@@ -0,0 +1,110 @@
+const { TransactionError } = require("./Errors");
+
+module.exports = class Session {
+    /**
+     * A transaction session. Model calls made with `{ session }` read and write a private copy of each collection;
+     * the copies are only written to disk, all together, when the session commits.
+     * Sessions are created by `VunshDB.transaction()` and shouldn't be constructed directly.
+     * @param {Object} storage The storage adapter of the database the transaction runs on.
+     */
+    constructor(storage) {
+        this.storage = storage;  // Writes the staged collections on commit
+        this.collections = new Map();  // Collection name -> { model, signature, docs, dirty }
+        this.state = "active";  // "active", "committed" or "aborted"
+    }
+
+    /**
+     * Checks whether the session holds a copy of a collection.
+     * @param {string} name The name the collection is stored under.
+     * @returns {boolean} `true` if the collection was read or written in this session.
+     */
+    has(name) {
+        this.ensureActive();
+        return this.collections.has(name);
+    }
+
+    /**
+     * Returns the session's copy of a collection.
+     * @param {string} name The name the collection is stored under.
+     * @returns {Array|null} The documents as seen by the session, or `null` if the collection wasn't touched yet.
+     */
+    get(name) {
+        this.ensureActive();
+        const entry = this.collections.get(name);
+        return entry ? entry.docs : null;
+    }
+
+    /**
+     * Starts tracking a collection the first time the session reads it.
+     * @param {string} name The name the collection is stored under.
+     * @param {Object} model The model the collection belongs to.
+     * @param {string} signature The signature of the file when it was read.
+     * @param {Array} docs The documents that were read.
+     * @returns {Array} The session's copy of the documents.
+     */
+    track(name, model, signature, docs) {
+        this.ensureActive();
+        if (!this.collections.has(name)) {
+            this.collections.set(name, { model, signature, docs: docs.slice(), dirty: false });
+        }
+        return this.collections.get(name).docs;
+    }
+
+    /**
+     * Stages the new content of a collection.
+     * @param {string} name The name the collection is stored under.
+     * @param {Array} docs The documents to write on commit.
+     */
+    stage(name, docs) {
+        this.ensureActive();
+        const entry = this.collections.get(name);
+        entry.docs = JSON.parse(JSON.stringify(docs));  // Store the data as it would be written
+        entry.dirty = true;
+    }
+
+    /**
+     * Writes every staged collection. The collections are locked, checked for changes made since the session read
+     * them, and written as one unit (a single journal entry for file storage).
+     * @returns {Promise<void>}
+     * @throws {TransactionError} If a collection was modified outside of the session in the meantime.
+     */
+    async commit() {
+        this.ensureActive();
+        const entries = [...this.collections.entries()]
+            .filter(([, entry]) => entry.dirty)
+            .sort(([a], [b]) => a.localeCompare(b));  // Lock in a fixed order so sessions can't deadlock
+
+        const commitLocked = async (i) => {
+            if (i < entries.length) return await this.storage.lock(entries[i][0], () => commitLocked(i + 1));
+
+            for (const [name, entry] of entries) {
+                if (this.storage.signature(name) !== entry.signature) {
+                    throw new TransactionError(`Transaction aborted: collection "${entry.model.collectionName}" was modified outside of the transaction.`);
+                }
+            }
+
+            const prepared = [];
+            for (const [name, entry] of entries) {
+                prepared.push({ name, entry, ...(await entry.model._prepareWrite(entry.docs)) });
+            }
+
+            this.storage.write(prepared.map(({ name, stored }) => ({ name, docs: stored })));
+            for (const { name, entry, docs, built, revisions } of prepared) entry.model._afterWrite(name, docs, built, revisions);
+        };
+
+        await commitLocked(0);
+        this.state = "committed";
+    }
+
+    /**
+     * Discards every staged write.
+     */
+    abort() {
+        this.collections.clear();
+        this.state = "aborted";
+    }
+
+    ensureActive() {
+        if (this.state !== "active") throw new TransactionError("This transaction has already ended.");
+    }
+};
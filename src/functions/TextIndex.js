@@ -0,0 +1,297 @@
+const crypto = require("crypto");
+const Query = require("./Query");
+
+module.exports = class TextIndex {
+    /**
+     * A full-text index over the fields of a collection declared with `text: true`: an inverted index from terms
+     * to the documents containing them, ranked with BM25. Text is split into lowercase words (accents removed),
+     * optionally without stop-words and reduced to their stems. The index is keyed by `_id` and updated
+     * incrementally, only documents whose indexed text changed are tokenized again. It is persisted through the
+     * storage adapter (next to the `.vunsh.db` file for file storage).
+     *
+     * @param {Object|null} storage The storage adapter the index is persisted with, `null` for a temporary index.
+     * @param {string|null} name The name the collection is stored under.
+     * @param {string[]} fields The paths of the indexed fields.
+     * @param {Object} [options={}] The text options of the schema.
+     * @param {boolean} [options.stemming=false] Whether words are reduced to their (English) stem, so "running"
+     * matches "runs".
+     * @param {boolean|string[]} [options.stopWords=false] Words left out of the index and queries: `true` for the
+     * common English ones, or a list.
+     * @throws {Error} Throws an error if the options are invalid.
+     */
+    constructor(storage, name, fields, { stemming = false, stopWords = false } = {}) {
+        if (typeof stopWords !== "boolean" && !(Array.isArray(stopWords) && stopWords.every(word => typeof word === "string"))) {
+            throw new Error("[VunshDB] Invalid text stopWords option. Expected true, false or an array of words.");
+        }
+        this.storage = storage;  // Where the index is persisted
+        this.name = name;  // The collection the index belongs to
+        this.fields = fields;  // The indexed paths
+        this.options = { stemming: Boolean(stemming), stopWords };  // How text is tokenized
+        this.stopWords = new Set(stopWords === true ? TextIndex.stopWords : stopWords || []);
+        this.docs = new Map();  // _id -> { hash, lengths: { field: words }, terms: [term] }
+        this.terms = new Map();  // Term -> Map(_id -> { field: occurrences })
+        this.totals = {};  // Field -> words in every document, for the average length
+        this.signature = null;  // Signature of the collection data the index was built from
+    }
+
+    /**
+     * Loads the persisted index, unless it was built for other fields or options.
+     */
+    load() {
+        const stored = this.storage && this.storage.readTextIndex(this.name);
+        if (!stored || stored.version !== TextIndex.version) return;
+        if (JSON.stringify(stored.fields) !== JSON.stringify(this.fields) || JSON.stringify(stored.options) !== JSON.stringify(this.options)) return;
+
+        this.docs = new Map(stored.docs);
+        this.terms = new Map(stored.terms.map(([term, postings]) => [term, new Map(postings)]));
+        this.totals = stored.totals;
+        this.signature = stored.signature;
+    }
+
+    /**
+     * Updates the index if the collection changed since it was last updated.
+     * @param {Array} db The documents of the collection.
+     * @param {string} signature The signature of the collection data.
+     */
+    refresh(db, signature) {
+        if (this.signature === signature) return;
+        this.update(db, signature);
+    }
+
+    /**
+     * Brings the index up to date with the documents of the collection and persists it. Documents without an
+     * `_id` aren't indexed.
+     * @param {Array} db The documents of the collection.
+     * @param {string|null} signature The signature of the collection data.
+     */
+    update(db, signature) {
+        const seen = new Set();
+        for (const doc of db) {
+            if (doc._id === undefined || doc._id === null) continue;
+            seen.add(doc._id);
+
+            const texts = this.textsOf(doc);
+            const hash = crypto.createHash("sha1").update(JSON.stringify(texts)).digest("base64");
+            const entry = this.docs.get(doc._id);
+            if (entry && entry.hash === hash) continue;  // The indexed text didn't change
+
+            if (entry) this.remove(doc._id);
+            this.add(doc._id, texts, hash);
+        }
+        for (const id of [...this.docs.keys()]) {
+            if (!seen.has(id)) this.remove(id);  // Deleted
+        }
+
+        this.signature = signature;
+        this.persist();
+    }
+
+    add(id, texts, hash) {
+        const lengths = {};
+        const terms = new Set();
+
+        for (const [field, text] of Object.entries(texts)) {
+            const tokens = this.tokenize(text);
+            lengths[field] = tokens.length;
+            this.totals[field] = (this.totals[field] || 0) + tokens.length;
+
+            for (const token of tokens) {
+                if (!this.terms.has(token)) this.terms.set(token, new Map());
+                const postings = this.terms.get(token);
+                const counts = postings.get(id) || {};
+                counts[field] = (counts[field] || 0) + 1;
+                postings.set(id, counts);
+                terms.add(token);
+            }
+        }
+        this.docs.set(id, { hash, lengths, terms: [...terms] });
+    }
+
+    remove(id) {
+        const { lengths, terms } = this.docs.get(id);
+        for (const [field, length] of Object.entries(lengths)) this.totals[field] -= length;
+        for (const term of terms) {
+            const postings = this.terms.get(term);
+            postings.delete(id);
+            if (postings.size === 0) this.terms.delete(term);
+        }
+        this.docs.delete(id);
+    }
+
+    /**
+     * Ranks the documents matching any of the query's terms with BM25.
+     * @param {string} query The search terms.
+     * @param {Object} [options={}] The search options.
+     * @param {string[]} [options.fields] Only searches these indexed fields (all of them by default).
+     * @returns {Array<{ _id: *, score: number }>} The matching documents, best first.
+     * @throws {Error} Throws an error if a field isn't indexed.
+     */
+    search(query, { fields = this.fields } = {}) {
+        for (const field of fields) {
+            if (!this.fields.includes(field)) throw new Error(`[VunshDB] Field "${field}" isn't a text field. Declare it with { type: String, text: true }.`);
+        }
+        const sum = (values) => fields.reduce((total, field) => total + (values[field] || 0), 0);
+
+        const count = this.docs.size;
+        const averageLength = count > 0 ? sum(this.totals) / count : 0;
+        const { k1, b } = TextIndex.bm25;
+        const scores = new Map();
+
+        for (const term of new Set(this.tokenize(query))) {
+            const matches = [];
+            for (const [id, counts] of this.terms.get(term) || []) {
+                const frequency = sum(counts);
+                if (frequency > 0) matches.push([id, frequency]);
+            }
+
+            const idf = Math.log(1 + (count - matches.length + 0.5) / (matches.length + 0.5));
+            for (const [id, frequency] of matches) {
+                const length = sum(this.docs.get(id).lengths);
+                const score = idf * frequency * (k1 + 1) / (frequency + k1 * (1 - b + b * length / (averageLength || 1)));
+                scores.set(id, (scores.get(id) || 0) + score);
+            }
+        }
+
+        return [...scores].map(([_id, score]) => ({ _id, score })).sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Extracts the text of the indexed fields of a document; array fields contribute every string they hold.
+     * @param {Object} doc The document.
+     * @returns {Object} Field -> text.
+     */
+    textsOf(doc) {
+        const texts = {};
+        for (const field of this.fields) {
+            const values = Query.resolvePath(doc, field).flat(Infinity).filter(value => typeof value === "string");
+            if (values.length > 0) texts[field] = values.join("\n");
+        }
+        return texts;
+    }
+
+    /**
+     * Splits text into the terms of the index.
+     * @param {string} text The text.
+     * @returns {string[]} The terms, in order.
+     */
+    tokenize(text) {
+        const words = String(text).normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        const terms = [];
+        for (const word of words) {
+            if (this.stopWords.has(word)) continue;
+            terms.push(this.options.stemming ? TextIndex.stem(word) : word);
+        }
+        return terms;
+    }
+
+    persist() {
+        if (!this.storage) return;
+        this.storage.writeTextIndex(this.name, {
+            version: TextIndex.version,
+            signature: this.signature,
+            fields: this.fields,
+            options: this.options,
+            totals: this.totals,
+            docs: [...this.docs],
+            terms: [...this.terms].map(([term, postings]) => [term, [...postings]])
+        });
+    }
+
+    /**
+     * Reduces an English word to its stem with the Porter stemming algorithm, e.g. "connections" -> "connect".
+     * @param {string} word The lowercase word.
+     * @returns {string} The stem.
+     */
+    static stem(word) {
+        if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+        const isConsonant = (w, i) => !"aeiou".includes(w[i]) && (w[i] !== "y" || i === 0 || !isConsonant(w, i - 1));
+        const measure = (w) => {
+            let m = 0;
+            for (let i = 1; i < w.length; i++) {
+                if (!isConsonant(w, i - 1) && isConsonant(w, i)) m++;  // A vowel-consonant sequence
+            }
+            return m;
+        };
+        const hasVowel = (w) => [...w].some((_, i) => !isConsonant(w, i));
+        const doubleConsonant = (w) => w.length > 1 && w.at(-1) === w.at(-2) && isConsonant(w, w.length - 1);
+        const cvc = (w) => w.length > 2 && isConsonant(w, w.length - 3) && !isConsonant(w, w.length - 2)
+            && isConsonant(w, w.length - 1) && !"wxy".includes(w.at(-1));
+        const replace = (w, rules, minMeasure) => {
+            for (const [suffix, replacement] of rules) {
+                if (!w.endsWith(suffix)) continue;
+                const stem = w.slice(0, -suffix.length);
+                if (suffix === "ion" && !/[st]$/.test(stem)) return w;
+                return measure(stem) > minMeasure ? stem + replacement : w;
+            }
+            return w;
+        };
+
+        // Step 1: plurals, -ed, -ing and -y
+        if (word.endsWith("sses") || word.endsWith("ies")) word = word.slice(0, -2);
+        else if (word.endsWith("s") && !word.endsWith("ss")) word = word.slice(0, -1);
+
+        if (word.endsWith("eed")) {
+            if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+        } else {
+            const suffix = ["ed", "ing"].find(suffix => word.endsWith(suffix) && hasVowel(word.slice(0, -suffix.length)));
+            if (suffix) {
+                word = word.slice(0, -suffix.length);
+                if (/(at|bl|iz)$/.test(word)) word += "e";
+                else if (doubleConsonant(word) && !/[lsz]$/.test(word)) word = word.slice(0, -1);
+                else if (measure(word) === 1 && cvc(word)) word += "e";
+            }
+        }
+        if (word.endsWith("y") && hasVowel(word.slice(0, -1))) word = word.slice(0, -1) + "i";
+
+        // Steps 2 to 4: derivational suffixes
+        word = replace(word, TextIndex.stemRules.step2, 0);
+        word = replace(word, TextIndex.stemRules.step3, 0);
+        word = replace(word, TextIndex.stemRules.step4, 1);
+
+        // Step 5: a final -e and -ll
+        if (word.endsWith("e")) {
+            const stem = word.slice(0, -1);
+            if (measure(stem) > 1 || (measure(stem) === 1 && !cvc(stem))) word = stem;
+        }
+        if (word.endsWith("ll") && measure(word) > 1) word = word.slice(0, -1);
+        return word;
+    }
+
+    static version = 1;  // Format of the persisted index
+    static bm25 = { k1: 1.2, b: 0.75 };  // Term frequency saturation and length normalization
+
+    /**
+     * The suffix replacements of the Porter stemmer, longest suffixes first.
+     */
+    static stemRules = {
+        step2: [
+            ["ational", "ate"], ["tional", "tion"], ["ization", "ize"], ["iveness", "ive"], ["fulness", "ful"],
+            ["ousness", "ous"], ["biliti", "ble"], ["ation", "ate"], ["alism", "al"], ["aliti", "al"], ["iviti", "ive"],
+            ["entli", "ent"], ["ousli", "ous"], ["enci", "ence"], ["anci", "ance"], ["izer", "ize"], ["abli", "able"],
+            ["alli", "al"], ["ator", "ate"], ["eli", "e"]
+        ],
+        step3: [
+            ["icate", "ic"], ["ative", ""], ["alize", "al"], ["iciti", "ic"], ["ical", "ic"], ["ness", ""], ["ful", ""]
+        ],
+        step4: [
+            ["ement", ""], ["ance", ""], ["ence", ""], ["able", ""], ["ible", ""], ["ment", ""], ["ant", ""], ["ent", ""],
+            ["ion", ""], ["ism", ""], ["ate", ""], ["iti", ""], ["ous", ""], ["ive", ""], ["ize", ""], ["al", ""], ["er", ""],
+            ["ic", ""], ["ou", ""]
+        ]
+    };
+
+    /**
+     * Common English words left out with `stopWords: true`.
+     */
+    static stopWords = [
+        "a", "about", "after", "all", "also", "am", "an", "and", "any", "are", "as", "at", "be", "because", "been",
+        "before", "being", "between", "both", "but", "by", "can", "could", "did", "do", "does", "doing", "down",
+        "during", "each", "few", "for", "from", "further", "had", "has", "have", "having", "he", "her", "here", "hers",
+        "him", "his", "how", "i", "if", "in", "into", "is", "it", "its", "just", "me", "more", "most", "my", "no", "nor",
+        "not", "now", "of", "off", "on", "once", "only", "or", "other", "our", "ours", "out", "over", "own", "same",
+        "she", "should", "so", "some", "such", "than", "that", "the", "their", "theirs", "them", "then", "there",
+        "these", "they", "this", "those", "through", "to", "too", "under", "until", "up", "very", "was", "we", "were",
+        "what", "when", "where", "which", "while", "who", "whom", "why", "will", "with", "would", "you", "your", "yours"
+    ];
+};
@@ -0,0 +1,214 @@
+const Query = require("./Query");
+const { QueryError } = require("./Errors");
+
+module.exports = class Update {
+    /**
+     * Applies an update document to a document in place.
+     * Supports the `$set`, `$unset`, `$inc`, `$push`, `$pull`, `$addToSet` and `$rename` operators, all of which
+     * accept dot-notation paths. An update without any operators is treated as a `$set`.
+     *
+     * @param {Object} doc The document to modify.
+     * @param {Object} update The update document (e.g. `{ $set: { name: "John" }, $inc: { age: 1 } }`).
+     * @returns {boolean} `true` if the document was modified, otherwise `false`.
+     * @throws {QueryError} Throws an error if the update document or one of its operators is invalid.
+     */
+    static apply(doc, update) {
+        const operations = Update.normalize(update);
+        const before = JSON.stringify(doc);
+
+        for (const op in operations) {
+            const fields = operations[op];
+            for (const path in fields) {
+                const value = fields[path];
+                switch (op) {
+                    case "$set":
+                        Update.setPath(doc, path, value);
+                        break;
+                    case "$unset":
+                        Update.unsetPath(doc, path);
+                        break;
+                    case "$inc": {
+                        const current = Query.getValue(doc, path);
+                        if (typeof value !== "number") throw new QueryError(`$inc expects a number for "${path}".`);
+                        if (current !== undefined && current !== null && typeof current !== "number") {
+                            throw new QueryError(`Cannot apply $inc to non-numeric field "${path}".`);
+                        }
+                        Update.setPath(doc, path, (current || 0) + value);
+                        break;
+                    }
+                    case "$push":
+                        Update.getArray(doc, path, op).push(...Update.eachValues(value));
+                        break;
+                    case "$addToSet": {
+                        const array = Update.getArray(doc, path, op);
+                        for (const item of Update.eachValues(value)) {
+                            if (!array.some(existing => Query.isEqual(existing, item))) array.push(item);
+                        }
+                        break;
+                    }
+                    case "$pull": {
+                        const array = Query.getValue(doc, path);
+                        if (array === undefined) break;
+                        if (!Array.isArray(array)) throw new QueryError(`Cannot apply $pull to non-array field "${path}".`);
+                        Update.setPath(doc, path, array.filter(item => !Update.pullMatches(item, value)));
+                        break;
+                    }
+                    case "$rename": {
+                        if (typeof value !== "string") throw new QueryError(`$rename expects a string for "${path}".`);
+                        const current = Query.getValue(doc, path);
+                        if (current === undefined) break;
+                        Update.unsetPath(doc, path);
+                        Update.setPath(doc, value, current);
+                        break;
+                    }
+                }
+            }
+        }
+
+        return JSON.stringify(doc) !== before;
+    }
+
+    /**
+     * Validates an update document and converts a plain object into a `$set` update.
+     * @param {Object} update The update document.
+     * @returns {Object} The update document keyed by operator.
+     * @throws {QueryError} Throws an error if operators and plain fields are mixed, an operator is unknown, a path
+     * names `__proto__`, `constructor` or `prototype`, or a path targets `_id`.
+     */
+    static normalize(update) {
+        if (update === null || typeof update !== "object" || Array.isArray(update)) {
+            throw new QueryError("Invalid update. Expected an object.");
+        }
+
+        const keys = Object.keys(update);
+        const operators = keys.filter(key => key.startsWith("$"));
+        if (operators.length === 0) {
+            for (const path of keys) Update.checkPath(path, { target: true });
+            return { $set: update };
+        }
+        if (operators.length !== keys.length) {
+            throw new QueryError("An update can't mix update operators and plain fields.");
+        }
+
+        for (const op of operators) {
+            if (!Update.operators.includes(op)) throw new QueryError(`Unknown update operator "${op}".`);
+            if (update[op] === null || typeof update[op] !== "object") throw new QueryError(`${op} expects an object.`);
+            for (const path of Object.keys(update[op])) {
+                Update.checkPath(path, { target: true });
+                if (op === "$rename" && typeof update[op][path] === "string") Update.checkPath(update[op][path], { target: true });
+            }
+        }
+        return update;
+    }
+
+    /**
+     * Rejects paths that would reach the prototype of a document instead of its fields, and (for the paths an
+     * update writes to) paths that would change the `_id` of a document.
+     * @param {string} path The dot-notation path.
+     * @param {Object} [options={}] The check options.
+     * @param {boolean} [options.target=false] Whether the path is written to by an update operator.
+     * @throws {QueryError} Throws an error if a segment of the path is `__proto__`, `constructor` or `prototype`,
+     * or an update target is (inside) `_id`.
+     */
+    static checkPath(path, { target = false } = {}) {
+        const parts = path.split(".");
+        if (parts.some(part => Update.forbiddenKeys.includes(part))) {
+            throw new QueryError(`Invalid path "${path}": "__proto__", "constructor" and "prototype" can't be used as field names.`);
+        }
+        if (target && Update.immutableFields.includes(parts[0])) {
+            throw new QueryError(`Invalid path "${path}": "${parts[0]}" can't be changed by an update.`);
+        }
+    }
+
+    /**
+     * Builds the starting document for an upsert from the equality conditions of a filter.
+     * @param {Object|Function} filter The filter used for the update.
+     * @returns {Object} A document containing the filter's equality fields.
+     */
+    static seedFromFilter(filter) {
+        const seed = {};
+        if (typeof filter !== "object" || filter === null) return seed;
+
+        for (const key in filter) {
+            if (key.startsWith("$")) continue;
+            const condition = filter[key];
+            if (!Query.isOperatorObject(condition)) {
+                if (!(condition instanceof RegExp)) Update.setPath(seed, key, condition);
+            } else if ("$eq" in condition) {
+                Update.setPath(seed, key, condition.$eq);
+            }
+        }
+        return seed;
+    }
+
+    /**
+     * Sets a value at a dot-notation path, creating intermediate objects as needed. Only own objects and arrays of
+     * the document are stepped into, anything else on the way is replaced by an object.
+     * @param {Object} doc The document to modify.
+     * @param {string} path The dot-notation path.
+     * @param {*} value The value to set.
+     * @throws {QueryError} Throws an error if the path names `__proto__`, `constructor` or `prototype`.
+     */
+    static setPath(doc, path, value) {
+        Update.checkPath(path);
+        const parts = path.split(".");
+        const last = parts.pop();
+        let target = doc;
+
+        for (const part of parts) {
+            const own = Object.prototype.hasOwnProperty.call(target, part);
+            if (!own || !Update.isContainer(target[part])) target[part] = {};
+            target = target[part];
+        }
+        target[last] = value;
+    }
+
+    static isContainer(value) {
+        if (Array.isArray(value)) return true;
+        if (value === null || typeof value !== "object") return false;
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;  // Plain objects only
+    }
+
+    /**
+     * Removes the value at a dot-notation path.
+     * @param {Object} doc The document to modify.
+     * @param {string} path The dot-notation path.
+     * @throws {QueryError} Throws an error if the path names `__proto__`, `constructor` or `prototype`.
+     */
+    static unsetPath(doc, path) {
+        Update.checkPath(path);
+        const parts = path.split(".");
+        const last = parts.pop();
+        const parent = parts.length ? Query.getValue(doc, parts.join(".")) : doc;
+
+        if (parent !== null && typeof parent === "object") delete parent[last];
+    }
+
+    static getArray(doc, path, op) {
+        let array = Query.getValue(doc, path);
+        if (array === undefined || array === null) {
+            array = [];
+            Update.setPath(doc, path, array);
+        }
+        if (!Array.isArray(array)) throw new QueryError(`Cannot apply ${op} to non-array field "${path}".`);
+        return array;
+    }
+
+    static eachValues(value) {
+        if (value !== null && typeof value === "object" && Array.isArray(value.$each)) return value.$each;
+        return [value];
+    }
+
+    static pullMatches(item, condition) {
+        if (Query.isOperatorObject(condition)) return Query.matchCondition([item], condition);
+        if (condition !== null && typeof condition === "object" && !Array.isArray(condition) && !(condition instanceof RegExp)) {
+            return item !== null && typeof item === "object" && Query.match(item, condition);
+        }
+        return Query.isEqual(item, condition);
+    }
+
+    static operators = ["$set", "$unset", "$inc", "$push", "$pull", "$addToSet", "$rename"];
+    static forbiddenKeys = ["__proto__", "constructor", "prototype"];  // Path segments that lead to prototypes
+    static immutableFields = ["_id"];  // Fields updates can't write to
+};
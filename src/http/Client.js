@@ -0,0 +1,170 @@
+const { ValidationError, DuplicateKeyError, VersionError, QueryError } = require("../functions/Errors");
+
+module.exports = class Client {
+    /**
+     * Talks to a database served with `VunshDB.prototype.serve()`. Its models have the same `create`, `findOne`,
+     * `findById`, `findMany`, `save` and `deleteOne` methods as local models (plus `updateById`), and throw the same
+     * `ValidationError`, `DuplicateKeyError`, `VersionError` and `QueryError`s. Filters must be query objects (predicate functions can't be sent).
+     * Created with `VunshDB.client()`.
+     *
+     * @param {string} url The URL of the server, e.g. `"http://127.0.0.1:8080"`.
+     * @param {Object} [options={}] The client options.
+     * @param {string} [options.token] The bearer token sent with every request.
+     */
+    constructor(url, { token } = {}) {
+        this.url = String(url).replace(/\/+$/, "");  // The URL of the server
+        this.token = token;  // The bearer token, if the server requires one
+    }
+
+    /**
+     * Returns a model for a collection served by the server.
+     * @param {string} collectionName The name of the collection.
+     * @returns {Object} The remote model.
+     */
+    model(collectionName) {
+        const client = this;
+        const base = `/collections/${encodeURIComponent(collectionName)}`;
+        const byId = (id) => `${base}/${encodeURIComponent(id)}`;
+
+        return new class {
+            constructor() {
+                this.collectionName = collectionName;  // The collection's name
+            }
+
+            async create(data) {
+                return this._hydrate(await client.request("POST", base, data));
+            }
+
+            async findOne(criteria = {}) {
+                const [doc] = await client.request("GET", base, undefined, { filter: criteria, limit: 1 });
+                return doc ? this._hydrate(doc) : null;
+            }
+
+            async findById(id) {
+                try {
+                    return this._hydrate(await client.request("GET", byId(id)));
+                } catch (e) {
+                    if (e.status === 404) return null;
+                    throw e;
+                }
+            }
+
+            /**
+             * Finds multiple documents.
+             * @param {Object} [criteria={}] The query object.
+             * @param {Object} [options={}] `{ sort, skip, limit, select }`, see `Cursor`.
+             * @returns {Promise<Array>} The matching documents.
+             */
+            async findMany(criteria = {}, options = {}) {
+                const { sort, skip, limit, select } = options;
+                const docs = await client.request("GET", base, undefined, { filter: criteria, sort, skip, limit, select });
+                return docs.map(doc => select ? doc : this._hydrate(doc));
+            }
+
+            /**
+             * Updates a document by `_id`.
+             * @param {string} id The `_id` of the document.
+             * @param {Object} update Update operators (`{ $inc: { age: 1 } }`) or the fields to set.
+             * @returns {Promise<Object|null>} The updated document, or null if it doesn't exist.
+             */
+            async updateById(id, update) {
+                try {
+                    return this._hydrate(await client.request("PATCH", byId(id), update));
+                } catch (e) {
+                    if (e.status === 404) return null;
+                    throw e;
+                }
+            }
+
+            async save(data) {
+                if (data._id === undefined) return this._hydrate(Object.assign(data, await client.request("POST", base, data)));
+                return Object.assign(data, await client.request("PUT", byId(data._id), data));  // Picks up the stamps set by the server
+            }
+
+            /**
+             * Deletes the first document matching the criteria (looked up first unless the criteria is an `_id`).
+             * @param {Object} criteria The query object.
+             * @returns {Promise<boolean>} True if a document was deleted.
+             * @throws {QueryError} If the criteria are missing (`{}` matches every document).
+             */
+            async deleteOne(criteria) {
+                if (criteria === undefined || criteria === null) throw new QueryError("Missing the filter of the delete, pass {} to match every document.");
+                const onlyId = Object.keys(criteria).length === 1 && typeof criteria._id === "string";
+                const id = onlyId ? criteria._id : (await this.findOne(criteria))?._id;
+                if (id === undefined) return false;
+
+                try {
+                    await client.request("DELETE", byId(id));
+                    return true;
+                } catch (e) {
+                    if (e.status === 404) return false;
+                    throw e;
+                }
+            }
+
+            _hydrate(doc) {
+                doc.save = async () => await this.save(doc);  // Like local documents
+                return doc;
+            }
+        };
+    }
+
+    /**
+     * Reads the `ci`, `ti` and `rt` system collections of the server's database.
+     * @returns {Promise<Object>} `{ ci, ti, rt }`
+     */
+    async stats() {
+        return await this.request("GET", "/_stats");
+    }
+
+    /**
+     * Sends a request to the server.
+     * @param {string} method The HTTP method.
+     * @param {string} path The path.
+     * @param {*} [body] The JSON body.
+     * @param {Object} [query={}] Query parameters, sent as JSON (undefined ones are left out).
+     * @returns {Promise<*>} The parsed response body.
+     * @throws {Error} Throws the server's error: a `ValidationError`, a `DuplicateKeyError`, a `VersionError`, a `QueryError`
+     * or an error with the HTTP `status`.
+     */
+    async request(method, path, body, query = {}) {
+        if (body !== undefined && typeof body !== "object") throw new Error("[VunshDB] Invalid request body. Expected an object.");
+        for (const value of Object.values(query)) {
+            if (typeof value === "function") throw new Error("[VunshDB] Predicate functions can't be sent to a server, use a query object.");
+        }
+
+        const params = new URLSearchParams();
+        for (const [name, value] of Object.entries(query)) {
+            if (value !== undefined) params.set(name, JSON.stringify(value));
+        }
+        const search = params.toString() ? `?${params}` : "";
+
+        const response = await fetch(`${this.url}${path}${search}`, {
+            method,
+            headers: {
+                ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+                ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        const text = await response.text();
+        let result;
+        try {
+            result = text ? JSON.parse(text) : null;
+        } catch (e) {
+            throw Object.assign(new Error(`[VunshDB] Invalid response from ${this.url} (${response.status})`), { status: response.status });
+        }
+        if (response.ok) return result;
+
+        const { error, name, errors } = result || {};
+        let e;
+        if (name === "ValidationError" && Array.isArray(errors)) e = new ValidationError(errors);
+        else if (name === "DuplicateKeyError") e = new DuplicateKeyError(result.index, result.keyValue);
+        else if (name === "VersionError") e = new VersionError(result.id, result.version, result.current);
+        else if (name === "QueryError") e = new QueryError(String(error).replace("[VunshDB] ", ""));
+        else e = new Error(error || `[VunshDB] Request failed with status ${response.status}`);
+        e.status = response.status;  // The HTTP status code
+        throw e;
+    }
+};
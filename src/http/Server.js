@@ -0,0 +1,297 @@
+const http = require("http");
+const crypto = require("crypto");
+const Query = require("../functions/Query");
+const Update = require("../functions/Update");
+const { ValidationError, DuplicateKeyError, TransactionError, VersionError, QueryError } = require("../functions/Errors");
+
+/**
+ * An error with the HTTP status it is answered with.
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(`[VunshDB] ${message}`);
+        this.name = "HttpError";
+        this.status = status;  // The HTTP status code
+    }
+}
+
+module.exports = class Server {
+    /**
+     * Exposes the models of a database as a REST API over HTTP, with JSON request and response bodies:
+     *
+     * | Route | Description |
+     * | --- | --- |
+     * | `GET /collections` | The names of the models |
+     * | `GET /collections/:name?filter=&sort=&skip=&limit=&select=` | The matching documents (query values are JSON) |
+     * | `GET /collections/:name/:id` | A document by `_id` |
+     * | `POST /collections/:name` | Creates a document |
+     * | `PUT /collections/:name/:id` | Saves (creates or replaces) a document |
+     * | `PATCH /collections/:name/:id` | Updates a document with update operators, or sets the fields of the body |
+     * | `DELETE /collections/:name/:id` | Deletes a document |
+     * | `GET /_stats` | The `ci`, `ti` and `rt` system collections |
+     * | `GET /_metrics` | The database's metrics in the Prometheus text format, see `VunshDB.prototype.prometheus()` |
+     *
+     * Errors are answered as `{ error, name }` (plus `errors` for validation failures, `index` and `keyValue` for
+     * duplicate keys, `id`, `version` and `current` for outdated documents) with status 400 (bad request
+     * or invalid document), 401 (missing or wrong token), 404, 405, 409 (duplicate key, outdated document or
+     * transaction conflict), 413 (body too large) or 500.
+     * Created with `VunshDB.prototype.serve()`.
+     *
+     * @param {VunshDB} db The database.
+     * @param {Object} [options={}] The server options.
+     * @param {string|string[]|Function} [options.auth] Bearer token(s) clients must send
+     * (`Authorization: Bearer <token>`), or a function receiving the token and the request and returning whether
+     * it is accepted (may be async). Without it, every request is accepted.
+     * @param {number} [options.maxBodySize=1048576] The largest accepted request body (bytes).
+     */
+    constructor(db, { auth, maxBodySize = Server.maxBodySize } = {}) {
+        if (auth !== undefined && typeof auth !== "function" && ![].concat(auth).every(token => typeof token === "string" && token)) {
+            throw new Error("[VunshDB] Invalid auth option. Expected a token, an array of tokens or a function.");
+        }
+        this.db = db;  // The database whose models are served
+        this.auth = auth;  // Accepted bearer token(s) or a function checking them
+        this.maxBodySize = maxBodySize;  // The largest accepted request body (bytes)
+        this.http = http.createServer((req, res) => this.handle(req, res));  // The underlying Node.js server
+        this.url = null;  // The URL the server listens on, set by listen()
+    }
+
+    /**
+     * Starts listening.
+     * @param {number} [port=0] The port, 0 for a random free port.
+     * @param {string} [host="127.0.0.1"] The interface to listen on, `"0.0.0.0"` for every interface.
+     * @returns {Promise<Server>} Resolves with the server once it listens.
+     */
+    listen(port = 0, host = "127.0.0.1") {
+        return new Promise((resolve, reject) => {
+            this.http.once("error", reject);
+            this.http.listen(port, host, () => {
+                this.http.off("error", reject);
+                const address = this.http.address();
+                this.port = address.port;  // The port the server listens on
+                this.url = `http://${address.family === "IPv6" ? `[${address.address}]` : address.address}:${address.port}`;
+                resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Stops accepting connections and closes the idle ones.
+     * @returns {Promise<void>} Resolves once the server is closed.
+     */
+    close() {
+        return new Promise((resolve, reject) => {
+            this.http.close(e => e ? reject(e) : resolve());
+            this.http.closeIdleConnections();
+        });
+    }
+
+    /**
+     * Answers a request.
+     * @param {http.IncomingMessage} req The request.
+     * @param {http.ServerResponse} res The response.
+     */
+    async handle(req, res) {
+        try {
+            await this.authenticate(req);
+
+            const url = new URL(req.url, "http://localhost");
+            const segments = url.pathname.split("/").filter(Boolean).map(Server.decodeSegment);
+            const { status = 200, body, text } = await this.route(req, segments, url.searchParams);
+            if (text !== undefined) this.sendText(res, status, text);
+            else this.send(res, status, body);
+        } catch (e) {
+            const details = e instanceof ValidationError ? { errors: e.errors }
+                : e instanceof DuplicateKeyError ? { index: e.index, keyValue: e.keyValue }
+                : e instanceof VersionError ? { id: e.id, version: e.version, current: e.current }
+                : {};
+            this.send(res, Server.statusOf(e), { error: e.message, name: e.name, ...details });
+        }
+    }
+
+    /**
+     * Calls the model method for a route.
+     * @param {http.IncomingMessage} req The request.
+     * @param {string[]} segments The path segments.
+     * @param {URLSearchParams} params The query parameters.
+     * @returns {Promise<{ status?: number, body?: *, text?: string }>} The response, a JSON `body` or plain `text`.
+     */
+    async route(req, [root, name, id, ...rest], params) {
+        if (root === "_stats" && name === undefined) {
+            Server.allow(req, ["GET"]);
+            const [ci, ti, rt] = await Promise.all(["ci", "ti", "rt"].map(collection => this.db.getCollection(collection)));
+            return { body: { ci, ti, rt } };
+        }
+        if (root === "_metrics" && name === undefined) {
+            Server.allow(req, ["GET"]);
+            return { text: await this.db.prometheus() };
+        }
+        if (root !== "collections" || rest.length > 0) throw new HttpError(404, `Not found: ${req.url}`);
+
+        if (name === undefined) {
+            Server.allow(req, ["GET"]);
+            return { body: [...this.db.models.keys()] };
+        }
+
+        const model = this.db.models.get(name);
+        if (!model) throw new HttpError(404, `No model has been defined for collection "${name}".`);
+
+        if (id === undefined) {
+            Server.allow(req, ["GET", "POST"]);
+            if (req.method === "POST") return { status: 201, body: await model.create(Server.document(await this.readBody(req))) };
+
+            const filter = Server.param(params, "filter", {});
+            Server.checkFilter(filter);
+            const cursor = model.find(filter);
+            try {
+                if (params.has("sort")) cursor.sort(Server.param(params, "sort"));
+                if (params.has("skip")) cursor.skip(Server.param(params, "skip"));
+                if (params.has("limit")) cursor.limit(Server.param(params, "limit"));
+                if (params.has("select")) cursor.select(Server.param(params, "select"));
+            } catch (e) {
+                throw new HttpError(400, e.message.replace("[VunshDB] ", ""));
+            }
+            return { body: await cursor.toArray() };
+        }
+
+        Server.allow(req, ["GET", "PUT", "PATCH", "DELETE"]);
+        switch (req.method) {
+            case "GET": {
+                const doc = await model.findById(id);
+                if (!doc) throw new HttpError(404, `Document "${id}" not found in collection "${name}".`);
+                return { body: doc };
+            }
+            case "PUT": {
+                const body = Server.document(await this.readBody(req));
+                if (body._id !== undefined && body._id !== id) throw new HttpError(400, "The _id of the body doesn't match the URL.");
+                return { body: await model.save({ ...body, _id: id }) };
+            }
+            case "PATCH": {
+                const body = Server.document(await this.readBody(req));
+                const operators = Object.keys(body).some(key => key.startsWith("$"));
+                if (!operators && body._id !== undefined) {
+                    if (body._id !== id) throw new HttpError(400, "The _id of the body doesn't match the URL.");
+                    delete body._id;  // Sent back unchanged, like with PUT
+                }
+                const update = operators ? body : { $set: body };  // Operators that target _id are rejected below
+                try {
+                    Update.normalize(update);
+                } catch (e) {
+                    throw new HttpError(400, e.message.replace("[VunshDB] ", ""));
+                }
+                const doc = await model.findOneAndUpdate({ _id: id }, update, { returnNew: true });
+                if (!doc) throw new HttpError(404, `Document "${id}" not found in collection "${name}".`);
+                return { body: doc };
+            }
+            default: {
+                if (!(await model.deleteOne({ _id: id }))) throw new HttpError(404, `Document "${id}" not found in collection "${name}".`);
+                return { body: { deleted: true } };
+            }
+        }
+    }
+
+    /**
+     * Checks the bearer token of a request.
+     * @param {http.IncomingMessage} req The request.
+     * @throws {HttpError} Throws a 401 error if the token is missing or not accepted.
+     */
+    async authenticate(req) {
+        if (this.auth === undefined) return;
+
+        const [scheme, token] = (req.headers.authorization || "").split(" ");
+        const accepted = scheme === "Bearer" && token
+            ? typeof this.auth === "function"
+                ? await this.auth(token, req)
+                : [].concat(this.auth).some(expected => Server.safeEqual(token, expected))
+            : false;
+        if (!accepted) throw new HttpError(401, "Missing or invalid bearer token.");
+    }
+
+    /**
+     * Reads and parses the JSON body of a request.
+     * @param {http.IncomingMessage} req The request.
+     * @returns {Promise<*>} The parsed body.
+     * @throws {HttpError} Throws a 413 error if the body is too large, or a 400 error if it isn't valid JSON.
+     */
+    async readBody(req) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > this.maxBodySize) throw new HttpError(413, `The request body is larger than ${this.maxBodySize} bytes.`);
+            chunks.push(chunk);
+        }
+
+        try {
+            return JSON.parse(Buffer.concat(chunks).toString("utf-8"));
+        } catch (e) {
+            throw new HttpError(400, `The request body isn't valid JSON: ${e.message}`);
+        }
+    }
+
+    send(res, status, body) {
+        const content = JSON.stringify(body);  // Documents' save() methods are left out
+        res.writeHead(status, {
+            "Content-Type": "application/json; charset=utf-8",
+            "Content-Length": Buffer.byteLength(content),
+            ...(status === 401 ? { "WWW-Authenticate": "Bearer" } : {})
+        });
+        res.end(content);
+    }
+
+    sendText(res, status, text) {
+        res.writeHead(status, {
+            "Content-Type": "text/plain; version=0.0.4; charset=utf-8",  // The Prometheus exposition format
+            "Content-Length": Buffer.byteLength(text)
+        });
+        res.end(text);
+    }
+
+    static allow(req, methods) {
+        if (!methods.includes(req.method)) throw new HttpError(405, `Method ${req.method} isn't allowed here, use ${methods.join(", ")}.`);
+    }
+
+    static param(params, name, fallback) {
+        if (!params.has(name)) return fallback;
+        try {
+            return JSON.parse(params.get(name));
+        } catch (e) {
+            throw new HttpError(400, `The ${name} parameter isn't valid JSON: ${params.get(name)}`);
+        }
+    }
+
+    static checkFilter(filter) {
+        try {
+            if (typeof filter !== "object" || filter === null || Array.isArray(filter)) throw new Error("Invalid filter. Expected an object.");
+            Query.match({}, filter);  // Rejects unknown operators
+        } catch (e) {
+            throw new HttpError(400, e.message.replace("[VunshDB] ", ""));
+        }
+    }
+
+    static decodeSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (e) {
+            throw new HttpError(400, `Invalid escape in path segment "${segment}".`);
+        }
+    }
+
+    static document(body) {
+        if (body === null || typeof body !== "object" || Array.isArray(body)) throw new HttpError(400, "The request body must be a JSON object.");
+        return body;
+    }
+
+    static safeEqual(a, b) {
+        const hash = (value) => crypto.createHash("sha256").update(value).digest();  // Equal lengths for timingSafeEqual
+        return crypto.timingSafeEqual(hash(a), hash(b));
+    }
+
+    static statusOf(e) {
+        if (e instanceof HttpError) return e.status;
+        if (e instanceof ValidationError || e instanceof QueryError) return 400;
+        if (e instanceof DuplicateKeyError || e instanceof TransactionError || e instanceof VersionError) return 409;
+        return 500;
+    }
+
+    static maxBodySize = 1024 * 1024;
+};
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const Cipher = require("./Cipher");
+
+module.exports = class Backup {
+    /**
+     * Writes a backup archive: every collection and system collection of a database in a single gzip-compressed
+     * JSON file (`{ format: "vunshdb-backup", version, createdAt, collections, system }`). Archives of encrypted
+     * databases are encrypted with the database's key, and documents keep their encrypted fields encrypted.
+     * @param {string} destPath The file to write, or an existing directory to create `vunshdb-<timestamp>.vdbak` in.
+     * @param {{ createdAt: string, collections: Object, system: Object }} snapshot The data.
+     * @param {Cipher|null} cipher Encrypts the archive, if set.
+     * @returns {string} The path of the archive.
+     */
+    static write(destPath, snapshot, cipher) {
+        let file = path.resolve(destPath);
+        if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+            file = path.join(file, `vunshdb-${snapshot.createdAt.replace(/[:.]/g, "-")}.vdbak`);
+        }
+
+        const json = JSON.stringify({ format: Backup.format, version: Backup.version, ...snapshot });
+        const content = zlib.gzipSync(cipher ? cipher.encrypt(json) : json);
+
+        // Written next to the destination and renamed, so an existing archive is never left half-overwritten
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmpPath = `${file}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tmpPath, content);
+            fs.renameSync(tmpPath, file);
+        } catch (e) {
+            fs.rmSync(tmpPath, { force: true });
+            throw e;
+        }
+        return file;
+    }
+
+    /**
+     * Reads an archive.
+     * @param {string} srcPath The archive.
+     * @param {Cipher|null} cipher Decrypts encrypted archives.
+     * @returns {{ createdAt: string, collections: Object, system: Object }} The data.
+     * @throws {Error} Throws an error if the file isn't a backup archive or can't be decrypted.
+     */
+    static read(srcPath, cipher) {
+        let content;
+        try {
+            content = zlib.gunzipSync(fs.readFileSync(srcPath)).toString("utf-8");
+        } catch (e) {
+            throw new Error(`[VunshDB] ${srcPath} isn't a VunshDB backup archive\n${e}`);
+        }
+
+        if (Cipher.isEncrypted(content)) {
+            if (!cipher) throw Cipher.keyError("The backup archive is encrypted, connect with its encryptionKey to restore it");
+            content = cipher.decrypt(content);
+        }
+
+        let archive;
+        try {
+            archive = JSON.parse(content);
+        } catch (e) {
+            throw new Error(`[VunshDB] The backup archive ${srcPath} is damaged\n${e}`);
+        }
+        if (!archive || archive.format !== Backup.format || typeof archive.collections !== "object" || typeof archive.system !== "object") {
+            throw new Error(`[VunshDB] ${srcPath} isn't a VunshDB backup archive`);
+        }
+        if (archive.version > Backup.version) {
+            throw new Error(`[VunshDB] The backup archive ${srcPath} was created by a newer version of VunshDB (archive version ${archive.version})`);
+        }
+
+        const { createdAt, collections, system } = archive;
+        for (const [name, docs] of Object.entries(collections)) {
+            if (!Array.isArray(docs)) throw new Error(`[VunshDB] The backup archive ${srcPath} is damaged, collection ${name} isn't an array`);
+        }
+        return { createdAt, collections, system };
+    }
+
+    static format = "vunshdb-backup";
+    static version = 1;  // Incremented when the archive layout changes
+};
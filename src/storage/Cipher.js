@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+
+module.exports = class Cipher {
+    /**
+     * Encrypts and decrypts data with AES-256-GCM. Every encrypted value is a self-contained envelope
+     * (`vdbenc:<key id>:<iv>:<auth tag>:<ciphertext>`) with its own random IV, and the authentication tag makes
+     * decryption fail if the data was tampered with.
+     *
+     * @param {Buffer|string} key The 32-byte key, as a Buffer or a hex or base64 string.
+     * @throws {Error} Throws an error if the key isn't 32 bytes long.
+     */
+    constructor(key) {
+        this.key = Cipher.normalizeKey(key);  // The raw 32-byte key
+        this.keyId = crypto.createHash("sha256").update(this.key).digest("hex").slice(0, 8);  // Identifies the key without revealing it
+    }
+
+    /**
+     * Encrypts a string.
+     * @param {string} plaintext The text to encrypt.
+     * @returns {string} The envelope (a single line).
+     */
+    encrypt(plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv("aes-256-gcm", this.key, iv);
+        const ciphertext = Buffer.concat([cipher.update(plaintext, "utf-8"), cipher.final()]);
+        return [Cipher.prefix, this.keyId, iv.toString("base64"), cipher.getAuthTag().toString("base64"), ciphertext.toString("base64")].join(":");
+    }
+
+    /**
+     * Decrypts an envelope created by `encrypt()`.
+     * @param {string} envelope The envelope.
+     * @returns {string} The plaintext.
+     * @throws {Error} Throws an error if the envelope was encrypted with another key (`code` is `"VDB_KEY"`) or
+     * fails authentication because it was modified or is damaged.
+     */
+    decrypt(envelope) {
+        const parts = String(envelope).trim().split(":");
+        if (parts.length !== 5 || parts[0] !== Cipher.prefix) throw new Error("Invalid encrypted data");
+        const [, keyId, iv, tag, ciphertext] = parts;
+        if (keyId !== this.keyId) throw Cipher.keyError(`Data was encrypted with a different key (${keyId})`);
+
+        try {
+            const decipher = crypto.createDecipheriv("aes-256-gcm", this.key, Buffer.from(iv, "base64"));
+            decipher.setAuthTag(Buffer.from(tag, "base64"));
+            return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]).toString("utf-8");
+        } catch (e) {
+            throw new Error("Encrypted data failed authentication, it was modified or is damaged");
+        }
+    }
+
+    /**
+     * Encrypts any JSON value (used for encrypted fields).
+     * @param {*} value The value.
+     * @returns {string} The envelope.
+     */
+    encryptValue(value) {
+        return this.encrypt(JSON.stringify(value));
+    }
+
+    decryptValue(envelope) {
+        return JSON.parse(this.decrypt(envelope));
+    }
+
+    /**
+     * Re-encrypts every encrypted value (envelope) found in a value, e.g. the encrypted fields of documents.
+     * @param {*} value The value, searched recursively.
+     * @param {Cipher|null} from The cipher the envelopes were encrypted with.
+     * @param {Cipher} to The cipher to encrypt them with.
+     * @returns {*} The value with the envelopes replaced.
+     */
+    static reencryptValues(value, from, to) {
+        if (Cipher.isEncrypted(value)) {
+            if (!from) throw Cipher.keyError("Found encrypted data, but no encryption key is configured");
+            return to.encrypt(from.decrypt(value));
+        }
+        if (Array.isArray(value)) return value.map(item => Cipher.reencryptValues(item, from, to));
+        if (value !== null && typeof value === "object") {
+            for (const key in value) value[key] = Cipher.reencryptValues(value[key], from, to);
+        }
+        return value;
+    }
+
+    /**
+     * Checks whether a value is (or, for file content, starts with) an envelope.
+     * @param {*} value The value.
+     * @returns {boolean} `true` if the value is encrypted.
+     */
+    static isEncrypted(value) {
+        return typeof value === "string" && value.startsWith(`${Cipher.prefix}:`);
+    }
+
+    /**
+     * Returns the id of the key an envelope was encrypted with.
+     * @param {string} envelope The envelope.
+     * @returns {string|null} The key id.
+     */
+    static keyIdOf(envelope) {
+        return Cipher.isEncrypted(envelope) ? envelope.split(":")[1] : null;
+    }
+
+    /**
+     * Accepts a key as a Buffer or a hex or base64 string.
+     * @param {Buffer|string} key The key.
+     * @returns {Buffer} The 32-byte key.
+     * @throws {Error} Throws an error if the key isn't 32 bytes long.
+     */
+    static normalizeKey(key) {
+        let buffer = null;
+        if (Buffer.isBuffer(key)) buffer = key;
+        else if (typeof key === "string" && /^[0-9a-f]{64}$/i.test(key)) buffer = Buffer.from(key, "hex");
+        else if (typeof key === "string" && /^[A-Za-z0-9+/]{43}=$/.test(key)) buffer = Buffer.from(key, "base64");
+
+        if (!buffer || buffer.length !== 32) {
+            throw new Error("[VunshDB] Invalid encryption key. Expected 32 bytes as a Buffer or a hex/base64 string, generate one with VunshDB.generateKey().");
+        }
+        return Buffer.from(buffer);
+    }
+
+    /**
+     * Generates a random key.
+     * @returns {string} A 32-byte key as a hex string.
+     */
+    static generateKey() {
+        return crypto.randomBytes(32).toString("hex");
+    }
+
+    static keyError(message) {
+        const error = new Error(message);
+        error.code = "VDB_KEY";  // A key problem rather than damaged data, so it must not be "repaired"
+        return error;
+    }
+
+    static prefix = "vdbenc";
+};
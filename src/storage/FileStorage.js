@@ -0,0 +1,928 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const LogFormat = require("./LogFormat");
+const Cipher = require("./Cipher");
+
+module.exports = class FileStorage {
+    /**
+     * The default storage adapter: every collection is a `.vunsh.db` file in `<root>/dbs`, and the system
+     * collections are `.json` files in `<root>/cltns`. Writes are journaled and atomic, and lock files let several
+     * processes share the directory.
+     *
+     * Collection files are stored in one of two formats (both can be read, files are converted on their next write):
+     * - `"json"`: the whole collection as a JSON array, rewritten on every write.
+     * - `"log"`: an append-only log of `insert`, `set` and `delete` records (see `LogFormat`). Writes only append
+     *   the changed documents, and the file is compacted once it holds mostly outdated records.
+     *
+     * With an encryption key (see `setCipher()`), collection and index files are encrypted with AES-256-GCM: a JSON
+     * file is a single encrypted line, a log has one encrypted line per record. System collections aren't encrypted.
+     *
+     * Storage adapters are used through `VDBFileManager` and implement `open`, `has`, `create`, `signature`,
+     * `read`, `write`, `size`, `list`, `drop`, `compact`, `lock`, `repair`, `readIndexes`, `writeIndexes`, `readTextIndex`, `writeTextIndex`,
+     * `readHistory`, `appendHistory` and the system collection
+     * methods `hasSystem`, `readSystem`, `writeSystem`, `lockSystem` and `backupSystem`. Adapters that support
+     * encryption also implement `setCipher` and `reencrypt`. Collections are passed by their resolved names, and
+     * everything but `lock`/`lockSystem` is synchronous.
+     *
+     * @param {string} root The directory the database is stored in.
+     * @param {Object} [options={}] The storage options.
+     * @param {string} [options.format="json"] The format collection files are written in, `"json"` or `"log"`.
+     * @throws {Error} Throws an error if the format is unknown.
+     */
+    constructor(root, { format = "json" } = {}) {
+        if (!["json", "log"].includes(format)) {
+            throw new Error(`[VunshDB] Unknown storage format "${format}". Expected "json" or "log".`);
+        }
+        this.dbPath = path.join(root, "dbs");  // Collection files and the journal
+        this.cltnsPath = path.join(root, "cltns");  // System collections
+        this.format = format;  // The format collection files are written in
+        this.logs = new Map();  // Collection name -> state of its log file, used to compute what to append
+        this.cipher = null;  // Encrypts the collection and index files, if set
+    }
+
+    static compaction = {
+        minSize: 1024 * 1024,  // Log files smaller than this are never compacted automatically (bytes)
+        ratio: 2  // Compact once a log holds this many records per live document
+    };
+
+    /**
+     * Creates the directories and finishes writes that were interrupted by a crash.
+     */
+    open() {
+        fs.mkdirSync(this.dbPath, { recursive: true });  // Ensures any subdirectories are created
+        fs.mkdirSync(this.cltnsPath, { recursive: true });
+        this.replayJournal();
+    }
+
+    getCollectionFile(name) {
+        return path.join(this.dbPath, `${name}.vunsh.db`);
+    }
+
+    getIndexFile(name) {
+        return path.join(this.dbPath, `${name}.vunsh.idx`);
+    }
+
+    getTextIndexFile(name) {
+        return path.join(this.dbPath, `${name}.vunsh.fts`);
+    }
+
+    getHistoryFile(name) {
+        return path.join(this.dbPath, `${name}.vunsh.hist`);
+    }
+
+    getSystemFile(name) {
+        return path.join(this.cltnsPath, `${name}.json`);
+    }
+
+    /**
+     * Checks whether a collection exists.
+     * @param {string} name The name of the collection.
+     * @returns {boolean} `true` if the collection file exists.
+     */
+    has(name) {
+        return fs.existsSync(this.getCollectionFile(name));
+    }
+
+    /**
+     * Creates an empty collection.
+     * @param {string} name The name of the collection.
+     * @throws {Error} Throws an error if the collection already exists.
+     */
+    create(name) {
+        const filePath = this.getCollectionFile(name);
+        if (fs.existsSync(filePath)) throw new Error(`[VunshDB] Database file ${filePath} already exists.`);
+
+        fs.mkdirSync(this.dbPath, { recursive: true });
+        FileStorage.writeFileAtomic(filePath, this.format === "log" ? "" : this.serializeJson([]));
+    }
+
+    /**
+     * Returns a token that changes whenever the collection is written, so readers can tell whether their copy
+     * is still current.
+     * @param {string} name The name of the collection.
+     * @returns {string} The signature, or an empty string if the collection doesn't exist.
+     */
+    signature(name) {
+        return FileStorage.getSignature(this.getCollectionFile(name));
+    }
+
+    /**
+     * Reads the documents of a collection.
+     * @param {string} name The name of the collection.
+     * @returns {Array} The stored documents.
+     * @throws {Error} Throws an error pointing to `VunshDB.repair()` if the collection is corrupt.
+     */
+    read(name) {
+        const filePath = this.getCollectionFile(name);
+        const signature = FileStorage.getSignature(filePath);
+        const { docs, format, records, size, keyId } = this.readDbFile(filePath);
+
+        if (this.format === "log") this.logs.set(name, { signature, format, keyId, entries: LogFormat.entries(docs), records, size });
+        return docs;
+    }
+
+    /**
+     * Returns the size of a collection in storage.
+     * @param {string} name The name of the collection.
+     * @returns {number} The size of the collection file (bytes), 0 if it doesn't exist.
+     */
+    size(name) {
+        try {
+            return fs.statSync(this.getCollectionFile(name)).size;
+        } catch (e) {
+            if (e.code === "ENOENT") return 0;
+            throw e;
+        }
+    }
+
+    /**
+     * Writes one or more collections as a single unit.
+     * @param {Array<{ name: string, docs: Array }>} writes The collections and their new documents.
+     */
+    write(writes) {
+        const encoded = writes.map(({ name, docs }) => ({ name, ...this.encode(name, docs) }));
+        this.writeFiles(encoded.map(({ file, data, offset }) => ({ file, data, offset })));
+
+        for (const { name, file, log } of encoded) {
+            if (!log) continue;
+            this.logs.set(name, { ...log, signature: FileStorage.getSignature(file) });
+
+            const { minSize, ratio } = FileStorage.compaction;
+            if (log.size > minSize && log.records > ratio * Math.max(log.entries.length, 1)) this.compact(name);
+        }
+    }
+
+    /**
+     * Encodes the new documents of a collection as a file write. In the log format only the records for the
+     * changed documents are appended; the file is rewritten if it is still a JSON array or if the change can't be
+     * expressed as records (e.g. reordered documents).
+     * @param {string} name The name of the collection.
+     * @param {Array} docs The new documents.
+     * @returns {{ file: string, data: string, offset?: number, log?: Object }} The write (appended at `offset`
+     * if set), and the new state of the log.
+     */
+    encode(name, docs) {
+        const file = this.getCollectionFile(name);
+        if (this.format === "json") return { file, data: this.serializeJson(docs) };
+
+        const entries = LogFormat.entries(docs);
+        const log = this.getLog(name);
+        const keyId = this.cipher ? this.cipher.keyId : null;
+        // Only append to logs written with the same key (or both unencrypted)
+        const records = log.format === "log" && log.keyId === keyId ? LogFormat.diff(log.entries, entries) : null;
+
+        if (records && records.length <= entries.length) {
+            const data = records.map(record => this.seal(record) + "\n").join("");
+            return { file, data, offset: log.size, log: { format: "log", keyId, entries, records: log.records + records.length, size: log.size + Buffer.byteLength(data) } };
+        }
+
+        const data = LogFormat.serialize(entries, record => this.seal(record));
+        return { file, data, log: { format: "log", keyId, entries, records: entries.length, size: Buffer.byteLength(data) } };
+    }
+
+    /**
+     * Serializes documents in the JSON format: pretty-printed, or a single encrypted line.
+     * @param {Array} docs The documents.
+     * @returns {string} The file content.
+     */
+    serializeJson(docs) {
+        return this.cipher ? this.seal(JSON.stringify(docs)) + "\n" : JSON.stringify(docs, null, 2);
+    }
+
+    /**
+     * Serializes documents in the configured format.
+     * @param {Array} docs The documents.
+     * @returns {string} The file content.
+     */
+    serialize(docs) {
+        return this.format === "log" ? LogFormat.serialize(LogFormat.entries(docs), record => this.seal(record)) : this.serializeJson(docs);
+    }
+
+    /**
+     * Encrypts a line if an encryption key is set.
+     * @param {string} line The line (without a newline).
+     * @returns {string} The encrypted (or unchanged) line.
+     */
+    seal(line) {
+        return this.cipher ? this.cipher.encrypt(line) : line;
+    }
+
+    /**
+     * Sets (or removes, with `null`) the key collection and index files are encrypted with. Unencrypted files can
+     * still be read and are encrypted on their next write.
+     * @param {Cipher|null} cipher The cipher.
+     */
+    setCipher(cipher) {
+        this.cipher = cipher;
+    }
+
+    /**
+     * Rewrites every collection with a new key as a single journaled unit, so after a crash either every file
+     * uses the old key or every file uses the new one. Index files are removed and rebuilt on their next use, history
+     * files are rewritten afterwards.
+     * @param {string[]} names The collections, which must be locked by the caller.
+     * @param {Cipher} cipher The new cipher.
+     * @param {Function} transform Receives the documents of a collection and returns them re-encrypted (used for
+     * encrypted fields).
+     */
+    reencrypt(names, cipher, transform) {
+        const collections = names.map(name => ({ name, docs: transform(this.read(name)) }));
+        const histories = names.map(name => {
+            const entries = this.readHistory(name);
+            const docs = transform(entries.map(entry => entry.doc));
+            return { name, entries: entries.map((entry, i) => ({ ...entry, doc: docs[i] })) };
+        });
+        const previous = this.cipher;
+
+        this.cipher = cipher;
+        try {
+            this.writeFiles(collections.map(({ name, docs }) => ({ file: this.getCollectionFile(name), data: this.serialize(docs) })));
+        } catch (e) {
+            this.cipher = previous;
+            throw e;
+        }
+
+        for (const name of names) {
+            this.logs.delete(name);
+            fs.rmSync(this.getIndexFile(name), { force: true });
+            fs.rmSync(this.getTextIndexFile(name), { force: true });
+        }
+        for (const { name, entries } of histories) {
+            if (entries.length > 0) FileStorage.writeFileAtomic(this.getHistoryFile(name), this.serializeHistory(entries));
+        }
+        this.checkpointJournal();  // Don't keep data encrypted with the old key in the journal
+    }
+
+    /**
+     * Returns the state of a collection's log, reading the file again if it changed since it was last read.
+     * @param {string} name The name of the collection.
+     * @returns {Object} `{ signature, format, entries, records, size }`
+     */
+    getLog(name) {
+        const log = this.logs.get(name);
+        if (log && log.signature === this.signature(name)) return log;
+
+        this.read(name);
+        return this.logs.get(name);
+    }
+
+    /**
+     * Rewrites a collection file without outdated records (and converts it to the configured format).
+     * @param {string} name The name of the collection.
+     * @returns {{ collection: string, before: number, after: number }} The file size before and after (bytes).
+     */
+    compact(name) {
+        const file = this.getCollectionFile(name);
+        const before = fs.statSync(file).size;
+        const docs = this.read(name);
+
+        if (this.format === "json") {
+            const data = this.serializeJson(docs);
+            this.writeFile(file, data);
+            return { collection: name, before, after: Buffer.byteLength(data) };
+        }
+
+        const entries = LogFormat.entries(docs);
+        const data = LogFormat.serialize(entries, record => this.seal(record));
+        this.writeFile(file, data);
+        this.logs.set(name, {
+            signature: FileStorage.getSignature(file),
+            format: "log",
+            keyId: this.cipher ? this.cipher.keyId : null,
+            entries,
+            records: entries.length,
+            size: Buffer.byteLength(data)
+        });
+        return { collection: name, before, after: Buffer.byteLength(data) };
+    }
+
+    /**
+     * Lists the names of every collection.
+     * @returns {string[]} The names of the collections.
+     */
+    list() {
+        if (!fs.existsSync(this.dbPath)) return [];
+        return fs.readdirSync(this.dbPath)
+            .filter(file => file.endsWith(".vunsh.db"))
+            .map(file => file.slice(0, -".vunsh.db".length));
+    }
+
+    /**
+     * Deletes a collection, its indexes and its history.
+     * @param {string} name The name of the collection.
+     * @returns {boolean} `true` if the collection existed.
+     */
+    drop(name) {
+        const filePath = this.getCollectionFile(name);
+        if (!fs.existsSync(filePath)) return false;
+
+        fs.rmSync(this.getIndexFile(name), { force: true });
+        fs.rmSync(this.getTextIndexFile(name), { force: true });
+        fs.rmSync(this.getHistoryFile(name), { force: true });
+        fs.unlinkSync(filePath);
+        this.logs.delete(name);
+        FileStorage.fsyncDir(this.dbPath);
+        return true;
+    }
+
+    /**
+     * Runs a read-modify-write of a collection exclusively. See `FileStorage.withLock()`.
+     * @param {string} name The name of the collection.
+     * @param {Function} fn The (async) function to run while holding the lock.
+     * @returns {Promise<*>} Resolves with the result of `fn`.
+     */
+    async lock(name, fn) {
+        return await FileStorage.withLock(this.getCollectionFile(name), fn);
+    }
+
+    /**
+     * Reads the persisted indexes of a collection.
+     * @param {string} name The name of the collection.
+     * @returns {Object|null} The persisted indexes, or `null` if there are none (or they can't be read).
+     */
+    readIndexes(name) {
+        return this.readIndexFile(this.getIndexFile(name));
+    }
+
+    /**
+     * Persists the indexes of a collection.
+     * @param {string} name The name of the collection.
+     * @param {Object} data The index definitions and entries.
+     */
+    writeIndexes(name, data) {
+        FileStorage.writeFileAtomic(this.getIndexFile(name), this.seal(JSON.stringify(data)));  // Index keys are document values
+    }
+
+    /**
+     * Reads the persisted full-text index of a collection (the `.vunsh.fts` file).
+     * @param {string} name The name of the collection.
+     * @returns {Object|null} The persisted index, or `null` if there is none (or it can't be read).
+     */
+    readTextIndex(name) {
+        return this.readIndexFile(this.getTextIndexFile(name));
+    }
+
+    /**
+     * Persists the full-text index of a collection.
+     * @param {string} name The name of the collection.
+     * @param {Object} data The index, see `TextIndex`.
+     */
+    writeTextIndex(name, data) {
+        FileStorage.writeFileAtomic(this.getTextIndexFile(name), this.seal(JSON.stringify(data)));  // Terms are document contents
+    }
+
+    /**
+     * Reads the history of a collection (the `.vunsh.hist` file, one entry per line).
+     * @param {string} name The name of the collection.
+     * @returns {Array<Object>} The entries in the order they were recorded. A torn line (from a crash mid-append)
+     * is ignored.
+     * @throws {Error} Throws an error if the history is encrypted and the key is missing or wrong.
+     */
+    readHistory(name) {
+        const file = this.getHistoryFile(name);
+        if (!fs.existsSync(file)) return [];
+
+        const entries = [];
+        for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+            if (!line) continue;
+            try {
+                if (Cipher.isEncrypted(line) && !this.cipher) throw Cipher.keyError("It is encrypted, connect with its encryptionKey");
+                entries.push(JSON.parse(Cipher.isEncrypted(line) ? this.cipher.decrypt(line) : line));
+            } catch (e) {
+                if (e.code === "VDB_KEY") throw new Error(`[VunshDB] Can't read the history of collection "${name}": ${e.message}.`);
+                // Incomplete entry, its append never finished
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Appends entries to the history of a collection. The file is only ever appended to, so revision numbers
+     * stay stable.
+     * @param {string} name The name of the collection.
+     * @param {Array<Object>} entries The entries, see `History`.
+     */
+    appendHistory(name, entries) {
+        const fd = fs.openSync(this.getHistoryFile(name), "a+");
+        try {
+            const { size } = fs.fstatSync(fd);
+            const last = Buffer.alloc(1);
+            if (size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a) {
+                fs.writeSync(fd, "\n");  // End a torn line, so it doesn't swallow the next entry
+            }
+            fs.writeSync(fd, this.serializeHistory(entries));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    serializeHistory(entries) {
+        return entries.map(entry => this.seal(JSON.stringify(entry)) + "\n").join("");  // Entries hold document values
+    }
+
+    readIndexFile(indexPath) {
+        if (!fs.existsSync(indexPath)) return null;
+        try {
+            const content = fs.readFileSync(indexPath, "utf-8");
+            return JSON.parse(Cipher.isEncrypted(content) ? this.cipher.decrypt(content) : content);
+        } catch (e) {
+            return null; // A corrupt (or differently encrypted) index file is simply rebuilt from the collection
+        }
+    }
+
+    hasSystem(name) {
+        return fs.existsSync(this.getSystemFile(name));
+    }
+
+    /**
+     * Reads a system collection.
+     * @param {string} name The name of the system collection.
+     * @returns {Object} The collection data.
+     * @throws {Error} Throws an error if the collection doesn't exist or isn't valid JSON.
+     */
+    readSystem(name) {
+        return JSON.parse(fs.readFileSync(this.getSystemFile(name), "utf-8"));
+    }
+
+    writeSystem(name, data) {
+        this.writeFile(this.getSystemFile(name), JSON.stringify(data, null, 4));  // Indent for readability
+    }
+
+    async lockSystem(name, fn) {
+        return await FileStorage.withLock(this.getSystemFile(name), fn);
+    }
+
+    /**
+     * Keeps a copy of a corrupt system collection before it is reset.
+     * @param {string} name The name of the system collection.
+     * @returns {string} Where the copy was saved.
+     */
+    backupSystem(name) {
+        const backupPath = `${this.getSystemFile(name)}.corrupt-${Date.now()}`;
+        fs.copyFileSync(this.getSystemFile(name), backupPath);
+        return backupPath;
+    }
+
+    /**
+     * Computes a signature that changes whenever a file is written (modification time and size).
+     * @param {string} filePath The path of the file.
+     * @returns {string} The signature of the file, or an empty string if it doesn't exist.
+     */
+    static getSignature(filePath) {
+        if (!fs.existsSync(filePath)) return "";
+        const stats = fs.statSync(filePath, { bigint: true });
+        return `${stats.mtimeNs}:${stats.size}`;
+    }
+
+    /**
+     * Reads and parses a database file in either format.
+     * @param {string} filePath The path of the `.vunsh.db` file.
+     * @returns {Object} The parsed file, see `parseContent()`.
+     * @throws {Error} Throws an error pointing to `VunshDB.repair()` if the file is corrupt.
+     */
+    readDbFile(filePath) {
+        const content = fs.readFileSync(filePath, "utf-8");
+        const name = path.basename(filePath, ".vunsh.db");
+        try {
+            return this.parseContent(content);
+        } catch (e) {
+            if (e.code === "VDB_KEY") throw new Error(`[VunshDB] Can't read collection "${name}": ${e.message}.`);
+            throw new Error(`[VunshDB] Collection "${name}" is corrupt (${e.message}). Run VunshDB.repair("${name}") to recover it.`);
+        }
+    }
+
+    /**
+     * Parses the content of a database file, decrypting it first if it is encrypted.
+     * @param {string} content The file content.
+     * @param {Object} [options={}] `{ lenient }`, see `LogFormat.parse()`. Lines that can't be decrypted are
+     * skipped when lenient, unless they were encrypted with another key.
+     * @returns {Object} The result of `LogFormat.parse()` and the `keyId` the file was encrypted with (or `null`).
+     * @throws {Error} Throws an error if the content is invalid or can't be decrypted (`code` is `"VDB_KEY"` if the
+     * key is missing or wrong).
+     */
+    parseContent(content, options = {}) {
+        if (!Cipher.isEncrypted(content)) return { ...LogFormat.parse(content, options), keyId: null };
+        if (!this.cipher) throw Cipher.keyError("It is encrypted, connect with its encryptionKey");
+
+        const complete = content.slice(0, content.lastIndexOf("\n") + 1);  // Everything after the last newline is torn
+        const lines = [];
+        let lost = 0;
+        for (const line of complete.split("\n")) {
+            if (!line) continue;
+            try {
+                lines.push(Cipher.isEncrypted(line) ? this.cipher.decrypt(line) : line);
+            } catch (e) {
+                if (!options.lenient || e.code === "VDB_KEY") throw e;
+                lost++;
+            }
+        }
+        if (lines.length === 0 && lost === 0 && content.trim() && !options.lenient) {
+            throw new Error("Incomplete encrypted data");  // E.g. a JSON file cut off before its only line ended
+        }
+
+        const parsed = LogFormat.parse(lines.map(line => line + "\n").join(""), options);
+        return { ...parsed, size: Buffer.byteLength(complete), lost: parsed.lost + lost, keyId: Cipher.keyIdOf(content) };
+    }
+
+    static journalSeq = 0;
+
+    /**
+     * Crash-safely writes a file: the new content is first appended to the journal, then atomically swapped in.
+     * If the process dies before the swap completes, the write is replayed from the journal on the next `open()`.
+     * @param {string} filePath The path of the file to write.
+     * @param {string} content The new content of the file.
+     */
+    writeFile(filePath, content) {
+        this.writeFiles([{ file: filePath, data: content }]);
+    }
+
+    /**
+     * Crash-safely writes several files as one unit: all of them are recorded in a single journal entry before
+     * any is replaced, so after a crash either none or all of them end up with the new content.
+     * @param {Array<{ file: string, data: string }>} writes The files to write and their new content.
+     */
+    writeFiles(writes) {
+        const id = `${process.pid}-${Date.now()}-${++FileStorage.journalSeq}`;
+
+        this.appendJournal({ id, writes });
+        for (const write of writes) FileStorage.applyWrite(write);
+        this.appendJournal({ id, commit: true }, false);
+
+        // Start a fresh journal once it gets large, every entry in it has been applied
+        if (fs.statSync(this.getJournalFile()).size > FileStorage.journalLimit) {
+            this.checkpointJournal();
+        }
+    }
+
+    /**
+     * Atomically replaces a file: the content is written to a temporary file, flushed to disk and renamed over
+     * the original, so readers (and crashes) only ever see the old or the new content.
+     * @param {string} filePath The path of the file to write.
+     * @param {string} content The new content of the file.
+     */
+    static writeFileAtomic(filePath, content) {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tmpPath, "w");
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, filePath);
+        FileStorage.fsyncDir(path.dirname(filePath));
+    }
+
+    /**
+     * Applies a journaled write: appends are written at their offset (dropping anything after it, such as a torn
+     * earlier append), everything else atomically replaces the file. Replaying a write is therefore harmless.
+     * @param {{ file: string, data: string, offset?: number }} write The write.
+     */
+    static applyWrite({ file, data, offset }) {
+        if (offset === undefined) return FileStorage.writeFileAtomic(file, data);
+
+        const fd = fs.openSync(file, "r+");
+        try {
+            fs.ftruncateSync(fd, offset);
+            fs.writeSync(fd, data, offset);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    static fsyncDir(dirPath) {
+        try {
+            const fd = fs.openSync(dirPath, "r");
+            try { fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+        } catch (e) {
+            // Some platforms (e.g. Windows) can't fsync directories, the rename is still atomic
+        }
+    }
+
+    static journalLimit = 4 * 1024 * 1024;  // Checkpoint the journal once it exceeds 4MB
+
+    /**
+     * Retrieves the path of the write-ahead journal.
+     * @returns {string} The path of the journal file.
+     */
+    getJournalFile() {
+        return path.join(this.dbPath, ".vunsh.journal");
+    }
+
+    appendJournal(entry, sync = true) {
+        if (!fs.existsSync(this.dbPath)) fs.mkdirSync(this.dbPath, { recursive: true });
+        const journalPath = this.getJournalFile();
+
+        FileStorage.withLockSync(`${journalPath}.lock`, () => {
+            const fd = fs.openSync(journalPath, "a");
+            try {
+                fs.writeSync(fd, JSON.stringify(entry) + "\n");
+                if (sync) fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+        });
+    }
+
+    /**
+     * Reads every complete entry of the journal. A torn last line (from a crash mid-append) is ignored.
+     * @returns {Array<Object>} The journal entries in the order they were written.
+     */
+    readJournal() {
+        const journalPath = this.getJournalFile();
+        if (!fs.existsSync(journalPath)) return [];
+
+        const entries = [];
+        for (const line of fs.readFileSync(journalPath, "utf-8").split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (e) {
+                // Incomplete entry, its write never started
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Replays the writes of the journal that were never committed, then empties the journal.
+     * A file is only restored if no later committed write replaced it.
+     * @returns {number} The number of files restored.
+     */
+    replayJournal() {
+        const journalPath = this.getJournalFile();
+        if (!fs.existsSync(journalPath)) return 0;
+
+        try {
+            return FileStorage.withLockSync(`${journalPath}.lock`, () => {
+                const entries = this.readJournal();
+                const committed = new Set(entries.filter(entry => entry.commit).map(entry => entry.id));
+
+                // Find the latest write of every file
+                const latest = new Map();
+                for (const entry of entries) {
+                    if (!entry.writes) continue;
+                    for (const write of entry.writes) latest.set(write.file, { write, committed: committed.has(entry.id) });
+                }
+
+                let restored = 0;
+                for (const { write, committed: isCommitted } of latest.values()) {
+                    if (isCommitted) continue;
+                    FileStorage.applyWrite(write);
+                    restored++;
+                }
+
+                fs.truncateSync(journalPath, 0);
+                return restored;
+            });
+        } catch (e) {
+            throw new Error(`[VunshDB] Couldn't replay the journal\n${e}`);
+        }
+    }
+
+    /**
+     * Empties the journal, as long as no process is in the middle of a journaled write.
+     */
+    checkpointJournal() {
+        const journalPath = this.getJournalFile();
+        if (!fs.existsSync(journalPath)) return;
+
+        FileStorage.withLockSync(`${journalPath}.lock`, () => {
+            const entries = this.readJournal();
+            const committed = new Set(entries.filter(entry => entry.commit).map(entry => entry.id));
+            if (entries.every(entry => !entry.writes || committed.has(entry.id))) fs.truncateSync(journalPath, 0);
+        });
+    }
+
+    static queues = new Map();  // File path -> tail of its in-process write queue
+
+    static lockOptions = {
+        timeout: 10000,  // How long to wait for a lock before giving up (ms)
+        stale: 30000,  // Locks older than this are considered abandoned (ms)
+        retryDelay: 10  // How long to wait between attempts (ms)
+    };
+
+    /**
+     * Runs a read-modify-write of a file exclusively. Calls for the same file are queued within this process,
+     * and an advisory `.lock` file next to it keeps other processes sharing the directory out while it runs.
+     * @param {string} filePath The path of the file being modified.
+     * @param {Function} fn The (async) function to run while holding the lock.
+     * @returns {Promise<*>} Resolves with the result of `fn`.
+     * @throws {Error} Throws an error if the lock can't be acquired in time, or whatever `fn` throws.
+     */
+    static async withLock(filePath, fn) {
+        const previous = FileStorage.queues.get(filePath) || Promise.resolve();
+        let release;
+        const tail = previous.then(() => new Promise(resolve => (release = resolve)));
+        FileStorage.queues.set(filePath, tail);
+
+        await previous;
+        const lockPath = `${filePath}.lock`;
+        try {
+            await FileStorage.acquireLock(lockPath);
+            try {
+                return await fn();
+            } finally {
+                FileStorage.releaseLock(lockPath);
+            }
+        } finally {
+            release();
+            if (FileStorage.queues.get(filePath) === tail) FileStorage.queues.delete(filePath);
+        }
+    }
+
+    /**
+     * Acquires an advisory lock file, waiting for other processes to release it.
+     * @param {string} lockPath The path of the lock file.
+     * @returns {Promise<void>} Resolves once the lock is held.
+     * @throws {Error} Throws an error if the lock can't be acquired before the timeout.
+     */
+    static async acquireLock(lockPath) {
+        const started = Date.now();
+        while (!FileStorage.tryLock(lockPath)) {
+            if (Date.now() - started > FileStorage.lockOptions.timeout) {
+                throw new Error(`[VunshDB] Timed out waiting for lock ${lockPath}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, FileStorage.lockOptions.retryDelay));
+        }
+    }
+
+    /**
+     * Runs a short synchronous function while holding an advisory lock file (used for the journal).
+     * @param {string} lockPath The path of the lock file.
+     * @param {Function} fn The function to run.
+     * @returns {*} The result of `fn`.
+     */
+    static withLockSync(lockPath, fn) {
+        const started = Date.now();
+        const sleeper = new Int32Array(new SharedArrayBuffer(4));
+        while (!FileStorage.tryLock(lockPath)) {
+            if (Date.now() - started > FileStorage.lockOptions.timeout) {
+                throw new Error(`[VunshDB] Timed out waiting for lock ${lockPath}`);
+            }
+            Atomics.wait(sleeper, 0, 0, FileStorage.lockOptions.retryDelay);  // Sleep without spinning the CPU
+        }
+
+        try {
+            return fn();
+        } finally {
+            FileStorage.releaseLock(lockPath);
+        }
+    }
+
+    /**
+     * Tries to create a lock file once, removing it first if it was abandoned.
+     * @param {string} lockPath The path of the lock file.
+     * @returns {boolean} `true` if the lock is now held.
+     */
+    static tryLock(lockPath) {
+        try {
+            const fd = fs.openSync(lockPath, "wx");
+            try {
+                fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), time: Date.now() }));
+            } finally {
+                fs.closeSync(fd);
+            }
+            return true;
+        } catch (e) {
+            if (e.code !== "EEXIST") throw e;
+        }
+
+        if (FileStorage.isStaleLock(lockPath)) {
+            try {
+                fs.unlinkSync(lockPath);
+            } catch (e) {
+                // Another process removed it first
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Checks whether a lock file was left behind: its owner is no longer running, or it is older than
+     * `lockOptions.stale`. Locks with this process's pid are always stale, as in-process callers are queued.
+     * @param {string} lockPath The path of the lock file.
+     * @returns {boolean} `true` if the lock can be taken over.
+     */
+    static isStaleLock(lockPath) {
+        try {
+            const stats = fs.statSync(lockPath);
+            if (Date.now() - stats.mtimeMs > FileStorage.lockOptions.stale) return true;
+
+            const owner = JSON.parse(fs.readFileSync(lockPath, "utf-8"));
+            if (owner.host !== os.hostname()) return false;
+            if (owner.pid === process.pid) return true;
+
+            process.kill(owner.pid, 0);  // Throws if the process doesn't exist
+            return false;
+        } catch (e) {
+            return e.code === "ESRCH";  // Owner is gone; anything else (e.g. a half-written lock) is retried
+        }
+    }
+
+    static releaseLock(lockPath) {
+        try {
+            fs.unlinkSync(lockPath);
+        } catch (e) {
+            // Already removed
+        }
+    }
+
+    /**
+     * Recovers a corrupt collection file. The last journaled version of the file is restored if there is one,
+     * otherwise every document that can still be parsed is salvaged. The corrupt file is kept as a
+     * `.corrupt-<timestamp>` backup.
+     * @param {string} name The name of the collection to repair.
+     * @returns {Object} `{ collection, status, recovered, lost }` where status is `"ok"`, `"restored"` or `"salvaged"`.
+     */
+    repair(name) {
+        const filePath = this.getCollectionFile(name);
+        if (!fs.existsSync(filePath)) throw new Error(`[VunshDB] Database file ${filePath} doesn't exist.`);
+
+        const content = fs.readFileSync(filePath, "utf-8");
+        try {
+            const { docs } = this.parseContent(content);
+            return { collection: name, status: "ok", recovered: docs.length, lost: 0 };
+        } catch (e) {
+            // A missing or wrong key isn't corruption, "repairing" would throw the data away
+            if (e.code === "VDB_KEY") throw new Error(`[VunshDB] Can't repair collection "${name}": ${e.message}.`);
+            // Corrupt, continue below
+        }
+
+        let docs = null;
+        let status = "restored";
+        let lost = 0;
+
+        // Prefer the most recent journaled version of the file, unless records were appended to it since
+        for (const entry of this.readJournal().reverse()) {
+            const write = (entry.writes || []).find(w => w.file === filePath);
+            if (!write) continue;
+            if (write.offset !== undefined) break;
+            try {
+                docs = this.parseContent(write.data).docs;
+                break;
+            } catch (e) {
+                continue;
+            }
+        }
+
+        if (!Array.isArray(docs)) {
+            ({ docs, lost } = content.trimStart().startsWith("[")
+                ? FileStorage.salvageDocuments(content)
+                : this.parseContent(content, { lenient: true }));
+            status = "salvaged";
+        }
+
+        fs.copyFileSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+        this.writeFile(filePath, this.serialize(docs));
+        this.logs.delete(name);
+        return { collection: name, status, recovered: docs.length, lost };
+    }
+
+    /**
+     * Extracts every complete top-level document from the content of a damaged database file.
+     * @param {string} content The raw file content.
+     * @returns {{ docs: Array, lost: number }} The parsed documents and the number of documents that couldn't be read.
+     */
+    static salvageDocuments(content) {
+        const docs = [];
+        let lost = 0;
+        let depth = 0;
+        let start = -1;
+        let inString = false;
+        let escaped = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === "\\") escaped = true;
+                else if (char === '"') inString = false;
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === "{") {
+                if (depth === 0) start = i;
+                depth++;
+            } else if (char === "}" && depth > 0) {
+                depth--;
+                if (depth === 0) {
+                    try {
+                        docs.push(JSON.parse(content.slice(start, i + 1)));
+                    } catch (e) {
+                        lost++;
+                    }
+                    start = -1;
+                }
+            }
+        }
+
+        if (start !== -1) lost++;  // The last document was cut off
+        return { docs, lost };
+    }
+};
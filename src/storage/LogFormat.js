@@ -0,0 +1,131 @@
+module.exports = class LogFormat {
+    /**
+     * Reads the content of a `.vunsh.db` file in either format: a JSON array of documents, or an append-only log
+     * with one record per line (`insert`, `set` or `delete`) that is folded into the current documents.
+     * A torn last line (from a crash or a concurrent append) is ignored.
+     *
+     * @param {string} content The file content.
+     * @param {Object} [options={}] The parse options.
+     * @param {boolean} [options.lenient=false] Whether to skip unreadable records instead of throwing.
+     * @returns {{ docs: Array, format: string, records: number, size: number, lost: number }} The documents, the
+     * format (`"json"` or `"log"`), the number of records, the byte size of the complete records and the number
+     * of records that were skipped.
+     * @throws {Error} Throws an error if the content is invalid (unless lenient).
+     */
+    static parse(content, { lenient = false } = {}) {
+        if (content.trimStart().startsWith("[")) {
+            const docs = JSON.parse(content);
+            if (!Array.isArray(docs)) throw new Error("Expected an array of documents");
+            return { docs, format: "json", records: docs.length, size: Buffer.byteLength(content), lost: 0 };
+        }
+
+        const complete = content.slice(0, content.lastIndexOf("\n") + 1);  // Everything after the last newline is torn
+        const docs = new Map();  // Document key -> document, in collection order
+        let records = 0;
+        let lost = 0;
+
+        complete.split("\n").forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                LogFormat.applyRecord(docs, JSON.parse(line));
+                records++;
+            } catch (e) {
+                if (!lenient) throw new Error(`Invalid record on line ${i + 1}: ${e.message}`);
+                lost++;
+            }
+        });
+
+        return { docs: [...docs.values()], format: "log", records, size: Buffer.byteLength(complete), lost };
+    }
+
+    /**
+     * Applies one log record to the folded documents.
+     * @param {Map} docs Document key -> document.
+     * @param {Object} record The record.
+     * @throws {Error} Throws an error if the record is invalid.
+     */
+    static applyRecord(docs, record) {
+        switch (record && record.op) {
+            case "insert": {
+                const key = record.doc._id;
+                docs.set(LogFormat.isKey(key) && !docs.has(key) ? key : {}, record.doc);  // Documents without an _id get a unique key
+                break;
+            }
+            case "set":
+                docs.set(record._id, record.doc);  // Replaces the document in place
+                break;
+            case "delete":
+                docs.delete(record._id);
+                break;
+            default:
+                throw new Error(`Unknown record type "${record && record.op}"`);
+        }
+    }
+
+    /**
+     * Serializes every document once, so unchanged documents can be detected by comparing strings.
+     * @param {Array} docs The documents.
+     * @returns {Array<{ id: *, json: string }>} The `_id` and JSON of every document.
+     */
+    static entries(docs) {
+        return docs.map(doc => ({ id: doc ? doc._id : undefined, json: JSON.stringify(doc) }));
+    }
+
+    /**
+     * Computes the records that turn the previous documents into the next ones: deletes, in-place `set`s and
+     * inserts at the end. Every document needs a unique `_id`, and the documents that are kept must stay in
+     * the same order.
+     * @param {Array<{ id: *, json: string }>} prev The previous entries.
+     * @param {Array<{ id: *, json: string }>} next The next entries.
+     * @returns {string[]|null} The serialized records, or `null` if the change can't be expressed as records.
+     */
+    static diff(prev, next) {
+        if (!LogFormat.hasUniqueKeys(prev) || !LogFormat.hasUniqueKeys(next)) return null;
+        const nextIds = new Set(next.map(entry => entry.id));
+
+        const records = [];
+        const kept = [];
+        for (const entry of prev) {
+            if (nextIds.has(entry.id)) kept.push(entry);
+            else records.push(JSON.stringify({ op: "delete", _id: entry.id }));
+        }
+
+        for (let i = 0; i < next.length; i++) {
+            const entry = next[i];
+            if (i >= kept.length) {
+                records.push(LogFormat.insertRecord(entry));
+                continue;
+            }
+            if (kept[i].id !== entry.id) return null;  // Reordered, or inserted in the middle
+            if (kept[i].json !== entry.json) records.push(`{"op":"set","_id":${JSON.stringify(entry.id)},"doc":${entry.json}}`);
+        }
+        return records;
+    }
+
+    /**
+     * Serializes the documents as a compacted log: one insert record per document.
+     * @param {Array<{ id: *, json: string }>} entries The entries of the documents.
+     * @param {Function} [seal] Transforms every record before it is written (e.g. encrypts it).
+     * @returns {string} The log content.
+     */
+    static serialize(entries, seal = record => record) {
+        return entries.map(entry => seal(LogFormat.insertRecord(entry)) + "\n").join("");
+    }
+
+    static insertRecord(entry) {
+        return `{"op":"insert","doc":${entry.json}}`;
+    }
+
+    static hasUniqueKeys(entries) {
+        const ids = new Set();
+        for (const { id } of entries) {
+            if (!LogFormat.isKey(id) || ids.has(id)) return false;
+            ids.add(id);
+        }
+        return true;
+    }
+
+    static isKey(id) {
+        return typeof id === "string" || typeof id === "number";
+    }
+};
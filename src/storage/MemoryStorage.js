@@ -0,0 +1,157 @@
+module.exports = class MemoryStorage {
+    /**
+     * A storage adapter that keeps every collection in memory and never touches the disk. Data is lost when the
+     * process exits, which makes it useful for tests and caches.
+     * Collections are stored serialized, so documents behave exactly as if they had been written to a file
+     * (e.g. dates come back as strings).
+     * See `FileStorage` for the adapter interface.
+     */
+    constructor() {
+        this.collections = new Map();  // Collection name -> { content, signature }
+        this.system = new Map();  // System collection name -> content
+        this.histories = new Map();  // Collection name -> serialized history entries
+        this.queues = new Map();  // Lock key -> tail of its write queue
+        this.version = 0;  // Incremented on every write, used for the signatures
+    }
+
+    open() {
+        // Nothing to prepare
+    }
+
+    has(name) {
+        return this.collections.has(name);
+    }
+
+    create(name) {
+        if (this.collections.has(name)) throw new Error(`[VunshDB] Collection ${name} already exists.`);
+        this.write([{ name, docs: [] }]);
+    }
+
+    signature(name) {
+        const collection = this.collections.get(name);
+        return collection ? collection.signature : "";
+    }
+
+    read(name) {
+        const collection = this.collections.get(name);
+        if (!collection) throw new Error(`[VunshDB] Collection ${name} doesn't exist.`);
+        return JSON.parse(collection.content);
+    }
+
+    write(writes) {
+        for (const { name, docs } of writes) {
+            this.collections.set(name, { content: JSON.stringify(docs), signature: `mem:${++this.version}` });
+        }
+    }
+
+    size(name) {
+        const collection = this.collections.get(name);
+        return collection ? Buffer.byteLength(collection.content) : 0;
+    }
+
+    list() {
+        return [...this.collections.keys()];
+    }
+
+    drop(name) {
+        this.histories.delete(name);
+        return this.collections.delete(name);
+    }
+
+    compact(name) {
+        const size = Buffer.byteLength(this.collections.get(name).content);  // Nothing to compact in memory
+        return { collection: name, before: size, after: size };
+    }
+
+    /**
+     * Runs a read-modify-write of a collection exclusively. Only this process can access the data, so calls are
+     * simply queued.
+     * @param {string} name The name of the collection.
+     * @param {Function} fn The (async) function to run.
+     * @returns {Promise<*>} Resolves with the result of `fn`.
+     */
+    async lock(name, fn) {
+        const previous = this.queues.get(name) || Promise.resolve();
+        let release;
+        const tail = previous.then(() => new Promise(resolve => (release = resolve)));
+        this.queues.set(name, tail);
+
+        await previous;
+        try {
+            return await fn();
+        } finally {
+            release();
+            if (this.queues.get(name) === tail) this.queues.delete(name);
+        }
+    }
+
+    setCipher() {
+        // Nothing is written to disk, so there is nothing to encrypt
+    }
+
+    /**
+     * Re-encrypts the encrypted fields of every collection, see `FileStorage.reencrypt()`.
+     * @param {string[]} names The collections.
+     * @param {Cipher} cipher The new cipher (unused, collections aren't encrypted in memory).
+     * @param {Function} transform Receives the documents of a collection and returns them re-encrypted.
+     */
+    reencrypt(names, cipher, transform) {
+        this.write(names.map(name => ({ name, docs: transform(this.read(name)) })));
+        for (const name of names) {
+            const entries = this.readHistory(name);
+            const docs = transform(entries.map(entry => entry.doc));
+            this.histories.set(name, entries.map((entry, i) => JSON.stringify({ ...entry, doc: docs[i] })));
+        }
+    }
+
+    repair(name) {
+        const docs = this.read(name);  // Memory can't be corrupted
+        return { collection: name, status: "ok", recovered: docs.length, lost: 0 };
+    }
+
+    readIndexes() {
+        return null;  // Indexes are rebuilt from the data
+    }
+
+    writeIndexes() {
+        // Indexes only live in memory
+    }
+
+    readTextIndex() {
+        return null;
+    }
+
+    writeTextIndex() {
+        // The full-text index only lives in memory
+    }
+
+    readHistory(name) {
+        return (this.histories.get(name) || []).map(entry => JSON.parse(entry));
+    }
+
+    appendHistory(name, entries) {
+        if (!this.histories.has(name)) this.histories.set(name, []);
+        this.histories.get(name).push(...entries.map(entry => JSON.stringify(entry)));
+    }
+
+    hasSystem(name) {
+        return this.system.has(name);
+    }
+
+    readSystem(name) {
+        if (!this.system.has(name)) throw new Error(`[VunshDB] Collection ${name} doesn't exist.`);
+        return JSON.parse(this.system.get(name));
+    }
+
+    writeSystem(name, data) {
+        this.system.set(name, JSON.stringify(data));
+    }
+
+    async lockSystem(name, fn) {
+        return await this.lock(`system:${name}`, fn);
+    }
+
+    backupSystem() {
+        return null;  // Memory can't be corrupted
+    }
+};
@@ -1,65 +1,104 @@
 const path = require("path");
-const fs = require("fs");
+const FileStorage = require("./storage/FileStorage");
+const MemoryStorage = require("./storage/MemoryStorage");
 
 class VDBFileManager {
 
-    static dbPath = path.resolve(__dirname, "../dbs");
+    /**
+     * Manages the collections and system collections of one database. The data itself is read and written
+     * through a storage adapter: `FileStorage` (the default) keeps it in `<root>/dbs` and `<root>/cltns`,
+     * `MemoryStorage` keeps it in memory.
+     * This class is for internal use within the package, databases are opened with `VunshDB.connect()`.
+     * @param {string|null} root The directory the database is stored in (unused by in-memory storage).
+     * @param {string|Object} [storage="file"] `"file"`, `"memory"` or a custom storage adapter.
+     * @param {Object} [options={}] Options passed to the storage adapter, e.g. `{ format: "log" }` for file storage.
+     */
+    constructor(root, storage = "file", options = {}) {
+        this.root = root ? path.resolve(root) : null;  // The database directory
+        this.storage = VDBFileManager.createStorage(storage, this.root, options);  // Reads and writes the data
+    }
 
     /**
-     * Validates the database path. Creates the directory if it doesn't exist.
-     * This is for internal use within the package and shouldn't be used externally.
-     * @returns {Promise<boolean>} Returns true if the directory exists or is created.
-     * @throws {Error} Throws an error if directory creation fails.
+     * Creates the storage adapter for a database.
+     * @param {string|Object} storage `"file"`, `"memory"` or a custom storage adapter.
+     * @param {string|null} root The directory the database is stored in.
+     * @param {Object} [options={}] The options of the storage adapter.
+     * @returns {Object} The storage adapter.
+     * @throws {Error} Throws an error if the storage type is unknown.
      */
-    static async validateDbPath() {
-        try {
-            if (!fs.existsSync(this.dbPath)) {
-                fs.mkdirSync(this.dbPath, { recursive: true }); // Ensures any subdirectories are created
-                return true; // Return true when the directory is created
-            } else {
-                return true; // Return true if the directory already exists
-            }
-        } catch (e) {
-            throw new Error(`[VunshDB] Couldn't validate dbPath ${e}`);
+    static createStorage(storage, root, options = {}) {
+        if (storage === "file") {
+            if (!root) throw new Error("[VunshDB] File storage requires a database path.");
+            return new FileStorage(root, options);
         }
+        if (storage === "memory") return new MemoryStorage();
+        if (storage !== null && typeof storage === "object") return storage;  // A custom adapter
+        throw new Error(`[VunshDB] Unknown storage "${storage}". Expected "file", "memory" or a storage adapter.`);
     }
 
     /**
-     * Creates a new database file if it doesn't already exist.
-     * This function is for internal package use only and should not be called externally.
-     * @param {string} name The name of the database to create.
-     * @returns {Promise<void>} Resolves when the file is created.
-     * @throws {Error} Throws an error if the file already exists.
+     * Prepares the storage, e.g. creates the directories and finishes interrupted writes.
+     * This is for internal use within the package and shouldn't be used externally.
+     * @returns {Promise<boolean>} Returns true once the storage is ready.
+     * @throws {Error} Throws an error if the storage can't be opened.
      */
-    static async createDbFile(name) {
-        const resolvedName = VDBFileManager.resolveCollectionName(name);
-        const filePath = path.join(this.dbPath, `${resolvedName}.vunsh.db`);
-        if (!fs.existsSync(filePath)) {
-            fs.writeFileSync(filePath, JSON.stringify([]));
-        } else {
-            throw new Error(`[VunshDB] Database file ${filePath} already exists.`);
+    async open() {
+        try {
+            await this.storage.open();
+            return true;
+        } catch (e) {
+            throw new Error(`[VunshDB] Couldn't open the database storage\n${e}`);
         }
     }
 
     /**
-     * Retrieves the path of a database file, creating it if necessary.
+     * Resolves the name of a collection, creating the collection if it doesn't exist yet.
      * This function is for internal use within the package and shouldn't be called externally.
-     * @param {string} name The name of the database to fetch.
-     * @returns {Promise<string>} Resolves with the file path of the database.
-     * @throws {Error} Throws an error if database retrieval fails.
+     * @param {string} name The name of the collection.
+     * @returns {Promise<string>} Resolves with the name the collection is stored under.
+     * @throws {Error} Throws an error if the collection can't be created.
      */
-    static async getDbFile(name) {
+    async ensureCollection(name) {
         try {
             const resolvedName = VDBFileManager.resolveCollectionName(name);
-            const filePath = path.join(VDBFileManager.dbPath, `${resolvedName}.vunsh.db`);
-            if (!fs.existsSync(filePath)) await VDBFileManager.createDbFile(resolvedName);
-            return filePath;
+            if (!this.storage.has(resolvedName)) this.storage.create(resolvedName);
+            return resolvedName;
         } catch (e) {
             throw new Error(`[VunshDB] Couldn't fetch DB file\n${e}`)
         }
     }
 
-    static cltnsPath = path.resolve(__dirname, "../cltns");
+    /**
+     * Lists the names of every collection.
+     * This function is for internal use within the package and shouldn't be called externally.
+     * @returns {Promise<string[]>} Resolves with the names of the collections.
+     */
+    async listCollections() {
+        return this.storage.list();
+    }
+
+    /**
+     * Rewrites a collection without outdated data, see `FileStorage.compact()`.
+     * This function is for internal use within the package and shouldn't be called externally.
+     * @param {string} name The name of the collection to compact.
+     * @returns {Promise<Object>} Resolves with `{ collection, before, after }` (sizes in bytes).
+     */
+    async compactCollection(name) {
+        const resolvedName = await this.ensureCollection(name);
+        return await this.storage.lock(resolvedName, () => this.storage.compact(resolvedName));
+    }
+
+    /**
+     * Recovers a corrupt collection, see `FileStorage.repair()`.
+     * This function is for internal use within the package and shouldn't be called externally.
+     * @param {string} name The name of the collection to repair.
+     * @returns {Promise<Object>} Resolves with `{ collection, status, recovered, lost }`.
+     */
+    async repairCollection(name) {
+        const resolvedName = VDBFileManager.resolveCollectionName(name);
+        if (!this.storage.has(resolvedName)) throw new Error(`[VunshDB] Collection ${resolvedName} doesn't exist.`);
+        return this.storage.repair(resolvedName);
+    }
 
     /**
      * Validates and ensures collections are properly set up.
@@ -67,55 +106,31 @@ class VDBFileManager {
      * @returns {Promise<boolean>} Resolves to true if validation is successful.
      * @throws {Error} Throws an error if collection validation fails.
      */
-    static async validateCltns() {
+    async validateCltns() {
         try {
-            const validCollections = ["runtime", "vdbsettings", "cinteractions", "tinteractions"];
-
-            // Ensure this.cltnsPath is properly resolved
-            if (this.cltnsPath instanceof Promise) {
-                this.cltnsPath = await this.cltnsPath;
-            }
-
-            // Check if the collection path exists, create it if not
-            if (!fs.existsSync(this.cltnsPath)) {
-                fs.mkdirSync(this.cltnsPath, { recursive: true });
-            }
-
             // Ensure each collection exists and is in the correct format
-            for (const collection of validCollections) {
+            for (const collection of VDBFileManager.systemCollections) {
                 const resolvedName = VDBFileManager.resolveCollectionName(collection);
-                const filePath = path.join(this.cltnsPath, `${resolvedName}.json`);
-
-                if (!fs.existsSync(filePath)) {
-                    const defaultData = resolvedName === "vdbsettings"
-                        ? { "$runtime": true, "$interactioncount": true }
-                        : resolvedName === "cinteractions" || resolvedName === "tinteractions"
-                            ? { "interactions": 0 }
-                            : { "collection": 0 };  // For runtime
-                    fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 4));
+
+                if (!this.storage.hasSystem(resolvedName)) {
+                    const defaultData = VDBFileManager.systemDefaults(resolvedName);
+                    this.storage.writeSystem(resolvedName, defaultData);
                 } else {
                     // Validate the collection's data format
-                    const fileContent = fs.readFileSync(filePath, "utf-8");
                     let collectionData;
                     try {
-                        collectionData = JSON.parse(fileContent);
+                        collectionData = this.storage.readSystem(resolvedName);
                     } catch (e) {
-                        // If the JSON is invalid, fix it
-                        const defaultData = resolvedName === "vdbsettings"
-                            ? { "$runtime": true, "$interactioncount": true }
-                            : resolvedName === "cinteractions" || resolvedName === "tinteractions"
-                                ? { "interactions": 0 }
-                                : { "collection": 0 };  // For runtime
-                        fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 4));  // Fix the data
+                        // If the JSON is still invalid after replaying the journal, keep a copy and reset it
+                        const defaultData = VDBFileManager.systemDefaults(resolvedName);
+                        const backupPath = this.storage.backupSystem(resolvedName);
+                        console.warn(`[VunshDB] System collection ${resolvedName} was corrupt and has been reset, the corrupt file was kept at ${backupPath}`);
+                        this.storage.writeSystem(resolvedName, defaultData);  // Fix the data
                         collectionData = defaultData;  // Use the fixed data
                     }
 
                     // Check if the collection data matches the expected structure
-                    const defaultData = resolvedName === "vdbsettings"
-                        ? { "$runtime": true, "$interactioncount": true }
-                        : resolvedName === "cinteractions" || resolvedName === "tinteractions"
-                            ? { "interactions": 0 }
-                            : { "collection": 0 };  // For runtime
+                    const defaultData = VDBFileManager.systemDefaults(resolvedName);
 
                     // Function to check if collection data matches the default structure
                     const isValidCollectionData = (data, defaultData) => {
@@ -124,7 +139,8 @@ class VDBFileManager {
 
                     // If the data structure is incorrect, fix it
                     if (!isValidCollectionData(collectionData, defaultData)) {
-                        fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 4));
+                        console.warn(`[VunshDB] System collection ${resolvedName} had an invalid structure and has been reset`);
+                        this.storage.writeSystem(resolvedName, defaultData);
                     }
                 }
             }
@@ -134,6 +150,23 @@ class VDBFileManager {
         }
     }
 
+    static systemCollections = ["runtime", "vdbsettings", "cinteractions", "tinteractions", "migrations"];
+
+    /**
+     * Returns the initial data of a system collection.
+     * @param {string} resolvedName The full name of the system collection.
+     * @returns {object} The initial data.
+     */
+    static systemDefaults(resolvedName) {
+        switch (resolvedName) {
+            case "vdbsettings": return { "$runtime": true, "$interactioncount": true };
+            case "cinteractions":
+            case "tinteractions": return { "interactions": 0 };
+            case "migrations": return {};  // Collection name -> { version, mode, updatedAt }
+            default: return { "collection": 0 };  // For runtime
+        }
+    }
+
     /**
      * Creates a collection with the specified name and data.
      * This function is for internal package use and should not be called externally.
@@ -142,12 +175,11 @@ class VDBFileManager {
      * @returns {Promise<boolean>} Resolves to true if the collection is created.
      * @throws {Error} Throws an error if collection creation fails.
      */
-    static async createCollection(name, data = {}) {
+    async createCollection(name, data = {}) {
         try {
             const resolvedName = VDBFileManager.resolveCollectionName(name);
-            const collectionPath = path.join(this.cltnsPath, `${resolvedName}.json`);
 
-            if (fs.existsSync(collectionPath)) {
+            if (this.storage.hasSystem(resolvedName)) {
                 throw new Error(`[VunshDB] Collection ${resolvedName} already exists.`);
             }
 
@@ -161,8 +193,8 @@ class VDBFileManager {
             // Merge provided data with the default data
             const collectionData = { ...defaultData, ...data };
 
-            // Write the collection to the file
-            fs.writeFileSync(collectionPath, JSON.stringify(collectionData, null, 4));
+            // Write the collection to the storage
+            this.storage.writeSystem(resolvedName, collectionData);
             return true;
         } catch (e) {
             throw new Error(`[VunshDB] Couldn't create collection ${name}\n${e}`);
@@ -176,17 +208,15 @@ class VDBFileManager {
      * @returns {Promise<object>} Resolves with the collection data.
      * @throws {Error} Throws an error if the collection cannot be retrieved.
      */
-    static async getCollection(name) {
+    async getCollection(name) {
         try {
             const resolvedName = VDBFileManager.resolveCollectionName(name);
-            const collectionPath = path.join(path.resolve(__dirname, "../cltns"), `${resolvedName}.json`);
 
-            if (!fs.existsSync(collectionPath)) {
+            if (!this.storage.hasSystem(resolvedName)) {
                 throw new Error(`[VunshDB] Collection ${resolvedName} not found.`);
             }
 
-            const fileContent = fs.readFileSync(collectionPath, "utf-8");
-            return JSON.parse(fileContent);
+            return this.storage.readSystem(resolvedName);
         } catch (e) {
             throw new Error(`[VunshDB] Couldn't retrieve collection ${name}\n${e}`);
         }
@@ -200,26 +230,54 @@ class VDBFileManager {
      * @returns {Promise<boolean>} Resolves to true if the collection is updated.
      * @throws {Error} Throws an error if the update fails.
      */
-    static async updateCollection(name, data = {}) {
+    async updateCollection(name, data = {}) {
         try {
             if (typeof data !== 'object' || data === null) {
                 throw new Error("[VunshDB] Invalid data format. Expected an object.");
             }
 
             const resolvedName = VDBFileManager.resolveCollectionName(name);
-            const collectionPath = path.join(VDBFileManager.cltnsPath, `${resolvedName}.json`);
 
-            if (!fs.existsSync(collectionPath)) {
+            if (!this.storage.hasSystem(resolvedName)) {
                 throw new Error(`[VunshDB] Collection ${resolvedName} not found.`);
             }
 
-            fs.writeFileSync(collectionPath, JSON.stringify(data, null, 4)); // Indent for readability
+            await this.storage.lockSystem(resolvedName, () => {
+                this.storage.writeSystem(resolvedName, data);
+            });
             return true;
         } catch (e) {
             throw new Error(`[VunshDB] Couldn't update collection ${name}\n${e}`);
         }
     }
 
+    /**
+     * Atomically reads, modifies and writes a collection while holding its lock, so concurrent updates
+     * (from this or other processes) aren't lost.
+     * This function is for internal package use and should not be called externally.
+     * @param {string} name The name of the collection to modify.
+     * @param {Function} modifier Receives the current data and returns the new data.
+     * @returns {Promise<object>} Resolves with the new data.
+     * @throws {Error} Throws an error if the collection doesn't exist or the update fails.
+     */
+    async modifyCollection(name, modifier) {
+        try {
+            const resolvedName = VDBFileManager.resolveCollectionName(name);
+
+            if (!this.storage.hasSystem(resolvedName)) {
+                throw new Error(`[VunshDB] Collection ${resolvedName} not found.`);
+            }
+
+            return await this.storage.lockSystem(resolvedName, async () => {
+                const data = await modifier(this.storage.readSystem(resolvedName));
+                this.storage.writeSystem(resolvedName, data);
+                return data;
+            });
+        } catch (e) {
+            throw new Error(`[VunshDB] Couldn't modify collection ${name}\n${e}`);
+        }
+    }
+
     /**
      * Resolves shorthand collection names to their full names.
      * This function is for internal use within the package.
@@ -231,16 +289,21 @@ class VDBFileManager {
             "rt": "runtime",
             "vdbs": "vdbsettings",
             "ci": "cinteractions",
-            "ti": "tinteractions"
+            "ti": "tinteractions",
+            "mg": "migrations"
         };
         return shorthandMapping[name] || name;
     };
 
 }
 
+// The database used when `connect()` is called without a path, stored inside the package directory
+VDBFileManager.defaultRoot = path.resolve(__dirname, "..");
+VDBFileManager.default = new VDBFileManager(VDBFileManager.defaultRoot);
+
 module.exports = {
     VDBFileManager,
-    getDbFile: VDBFileManager.getDbFile,
-    getCollection: VDBFileManager.getCollection,
-    updateCollection: VDBFileManager.updateCollection,
+    getCollection: (name) => VDBFileManager.default.getCollection(name),
+    updateCollection: (name, data) => VDBFileManager.default.updateCollection(name, data),
+    modifyCollection: (name, modifier) => VDBFileManager.default.modifyCollection(name, modifier),
 };
@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { VunshDB, QueryError } = require("..");
+
+test("deletes without a filter throw and leave the collection unchanged", async () => {
+    const db = await VunshDB.connect({ storage: "memory" });
+    try {
+        const User = db.model("Users", new db.Schema({ name: String }, { softDelete: true }));
+        await User.create({ name: "ann" });
+        await User.create({ name: "bob" });
+
+        await assert.rejects(User.deleteMany(), QueryError);
+        await assert.rejects(User.deleteOne(), QueryError);
+        await assert.rejects(User.purge(), QueryError);
+        assert.strictEqual(await User.countDocuments({}), 2);
+
+        assert.strictEqual(await User.deleteMany({}), 2);  // An explicit {} still matches every document
+        assert.strictEqual(await User.purge({}), 2);
+    } finally {
+        await db.close();
+    }
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { VunshDB } = require("..");
+
+test("import skips rows that break a unique index and imports the rest", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vunshdb-test-"));
+    const db = await VunshDB.connect({ path: dir });
+    try {
+        const User = db.model("Users", new db.Schema({ email: { type: String, unique: true }, name: String }));
+        await User.create({ email: "ann@example.com", name: "Ann" });
+
+        const file = path.join(dir, "users.ndjson");
+        fs.writeFileSync(file, [
+            { email: "bob@example.com", name: "Bob" },
+            { email: "ann@example.com", name: "Another Ann" },
+            { email: "cy@example.com", name: "Cy" },
+            { email: "cy@example.com", name: "Cy again" }
+        ].map(doc => JSON.stringify(doc)).join("\n"));
+
+        const result = await User.import(file);
+        assert.strictEqual(result.inserted, 2);
+        assert.deepStrictEqual(result.failed.map(({ row }) => row), [2, 4]);
+        assert.match(result.failed[0].error, /Duplicate key/);
+        assert.deepStrictEqual((await User.findMany({})).map(user => user.name).sort(), ["Ann", "Bob", "Cy"]);
+    } finally {
+        await db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { VunshDB } = require("..");
+
+test("scheduled sweeps and flushes don't count as interactions or operations", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vunshdb-test-"));
+    const db = await VunshDB.connect({ path: dir, sweepInterval: 20, flushInterval: 20 });
+    try {
+        const Session = db.model("Sessions", new db.Schema({ expiresAt: { type: Date, ttl: true } }));
+        await Session.create({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        const stats = await db.stats();
+        assert.strictEqual(await Session.countDocuments({}), 0);  // Swept in the background
+        assert.strictEqual(stats.interactions.current, 1);  // Only create()
+        assert.deepStrictEqual(Object.keys(stats.models.Sessions.operations), ["create"]);
+    } finally {
+        await db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { VunshDB } = require("..");
+
+test("the server rejects prototype paths and _id changes, and answers client errors with 400", async () => {
+    const db = await VunshDB.connect({ storage: "memory" });
+    const User = db.model("Users", new db.Schema({ name: String, age: Number }));
+    const server = await db.serve({ port: 0 });
+    const url = server.url;
+    try {
+        const user = await User.create({ name: "ann", age: 1 });
+        const patch = async (body) => await fetch(`${url}/collections/Users/${user._id}`, {
+            method: "PATCH",
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify(body)
+        });
+
+        assert.strictEqual((await patch({ $set: { "__proto__.pwned": true } })).status, 400);
+        assert.strictEqual((await patch({ "constructor.prototype.pwned": true })).status, 400);
+        assert.strictEqual(({}).pwned, undefined);
+
+        const inc = await patch({ $inc: { name: 1 } });
+        assert.strictEqual(inc.status, 400);
+        assert.strictEqual((await inc.json()).name, "QueryError");
+
+        assert.strictEqual((await patch({ _id: "renamed" })).status, 400);
+        assert.strictEqual((await patch({ $set: { _id: "renamed" } })).status, 400);
+        assert.strictEqual((await patch({ $rename: { name: "_id" } })).status, 400);
+        assert.strictEqual((await fetch(`${url}/collections/Users/renamed`)).status, 404);
+        const same = await patch({ _id: user._id, age: 2 });  // The document's own _id is accepted, like with PUT
+        assert.strictEqual(same.status, 200);
+        assert.deepStrictEqual([(await same.json())._id, (await User.findById(user._id)).age], [user._id, 2]);
+
+        assert.strictEqual((await fetch(`${url}/collections/Users/%E0%A4%A`)).status, 400);
+        assert.strictEqual((await fetch(`${url}/collections/Users?filter=${encodeURIComponent('{"$bad":1}')}`)).status, 400);
+    } finally {
+        await server.close();
+        await db.close();
+    }
+});
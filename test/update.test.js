@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { VunshDB } = require("..");
+const Update = require("../src/functions/Update");
+
+test("update paths can't reach Object.prototype", async () => {
+    for (const update of [
+        { $set: { "__proto__.polluted": 1 } },
+        { "constructor.prototype.polluted": 1 },
+        { $rename: { name: "__proto__.polluted" } },
+        { $unset: { "__proto__.toString": 1 } }
+    ]) {
+        assert.throws(() => Update.apply({ name: "x" }, update), /Invalid path/);
+    }
+    assert.throws(() => Update.setPath({}, "a.__proto__.polluted", 1), /Invalid path/);
+    assert.strictEqual(({}).polluted, undefined);
+    assert.strictEqual(typeof ({}).toString, "function");
+});
+
+test("updateOne rejects prototype paths before touching the document", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vunshdb-test-"));
+    const db = await VunshDB.connect({ path: dir });
+    try {
+        const User = db.model("Users", new db.Schema({ name: String }));
+        await User.create({ name: "ann" });
+        await assert.rejects(User.updateOne({ name: "ann" }, { $set: { "__proto__.polluted": true } }), /Invalid path/);
+        assert.strictEqual(({}).polluted, undefined);
+        assert.strictEqual((await User.findOne({ name: "ann" })).name, "ann");
+    } finally {
+        await db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("setPath only steps into own plain objects and arrays", () => {
+    const doc = { tags: [{ name: "a" }], when: new Date(0) };
+    Update.setPath(doc, "tags.0.name", "b");
+    Update.setPath(doc, "when.year", 1970);
+    Update.setPath(doc, "toString.x", 1);
+    assert.deepStrictEqual(doc.tags, [{ name: "b" }]);
+    assert.deepStrictEqual(doc.when, { year: 1970 });
+    assert.deepStrictEqual(doc.toString, { x: 1 });
+    assert.strictEqual(typeof ({}).toString, "function");
+});
+
+test("updates can't change the _id of a document", async () => {
+    for (const update of [
+        { $set: { _id: "zzz" } },
+        { _id: "zzz" },
+        { $unset: { _id: 1 } },
+        { $rename: { _id: "oldId" } },
+        { $rename: { name: "_id" } },
+        { $inc: { _id: 1 } },
+        { $push: { "_id.list": 1 } },
+        { $pull: { _id: 1 } },
+        { $addToSet: { _id: 1 } }
+    ]) {
+        assert.throws(() => Update.normalize(update), /"_id" can't be changed/);
+    }
+
+    const db = await VunshDB.connect({ storage: "memory" });
+    try {
+        const User = db.model("Users", new db.Schema({ name: String }));
+        const user = await User.create({ name: "ann" });
+        await assert.rejects(User.updateOne({ _id: user._id }, { $set: { _id: "zzz" } }), /"_id" can't be changed/);
+        assert.strictEqual((await User.findById(user._id)).name, "ann");
+        assert.strictEqual(await User.findById("zzz"), null);
+
+        const upserted = await User.findOneAndUpdate({ _id: "fixed" }, { $set: { name: "bob" } }, { upsert: true, returnNew: true });
+        assert.strictEqual(upserted._id, "fixed");  // The filter may still choose the _id of an upsert
+    } finally {
+        await db.close();
+    }
+});